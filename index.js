@@ -1,7 +1,6 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const path = require('path');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const mongoSanitize = require('express-mongo-sanitize');
@@ -135,6 +134,10 @@ app.options('*', (req, res) => {
   }
 });
 
+// Stripe webhooks need the raw body for their signature, and shouldn't be
+// rate limited, so they are mounted before both
+app.use('/api/payments/stripe/webhook', require('./routes/stripeWebhook'));
+
 // Apply rate limiting
 app.use('/api/', limiter);
 // app.use('/api/auth/', authLimiter); // Disabled for development
@@ -191,6 +194,12 @@ db.on('error', (error) => {
 });
 db.once('open', () => {
   console.log('Successfully connected to MongoDB');
+
+  // Put tickets from unpaid, expired orders back on sale
+  require('./services/inventory').startExpiryTimer();
+
+  // Auto-approvals, receipt OCR and ticket emails (see services/jobQueue.js)
+  require('./services/jobQueue').start();
 });
 
 // Add global error handler middleware that preserves CORS headers
@@ -233,6 +242,14 @@ const youtubeRouter = require('./routes/youtube');
 const usersRouter = require('./routes/users');
 const uploadsRouter = require('./routes/upload');
 const mcbJuiceManualRouter = require('./routes/mcbJuiceManual');
+const ticketsRouter = require('./routes/tickets');
+const checkInRouter = require('./routes/checkin');
+const walletRouter = require('./routes/wallet');
+const transfersRouter = require('./routes/transfers');
+const filesRouter = require('./routes/files');
+const promoCodesRouter = require('./routes/promoCodes');
+const waitlistRouter = require('./routes/waitlist');
+const reconciliationRouter = require('./routes/reconciliation');
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
@@ -246,9 +263,17 @@ app.use('/api/users', require('./routes/users'));
 app.use('/api/youtube', require('./routes/youtube'));
 app.use('/api/mcbJuiceManual', require('./routes/mcbJuiceManual'));
 app.use('/api/admin', require('./routes/admin'));
+app.use('/api/tickets', require('./routes/tickets'));
+app.use('/api/checkin', require('./routes/checkin'));
+app.use('/api/wallet', require('./routes/wallet'));
+app.use('/api/transfers', require('./routes/transfers'));
+app.use('/api/promo-codes', require('./routes/promoCodes'));
+app.use('/api/waitlist', require('./routes/waitlist'));
+app.use('/api/reconciliation', require('./routes/reconciliation'));
 
-// Serve uploaded files statically
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Stored files (ticket PDFs, payment screenshots) are private and only served
+// through signed, expiring URLs
+app.use('/api/files', require('./routes/files'));
 
 // Sample route
 app.get('/', (req, res) => {
@@ -270,7 +295,11 @@ if (!process.env.JWT_SECRET) {
 const LivePlaylistSocket = require('./socket/livePlaylistSocket');
 new LivePlaylistSocket(io);
 
+// Initialize Socket.IO for the organizer check-in dashboard
+const CheckInDashboardSocket = require('./socket/checkInDashboardSocket');
+app.set('checkInDashboard', new CheckInDashboardSocket(io));
+
 server.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
-  console.log('Socket.IO server initialized for live playlist functionality');
+  console.log('Socket.IO server initialized for live playlist and check-in dashboard');
 });
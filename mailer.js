@@ -14,14 +14,16 @@ const transporter = nodemailer.createTransport({
  * @param {string} options.to 
  * @param {string} options.subject
  * @param {string} options.html 
+ * @param {Array} [options.attachments] - Nodemailer attachments
  * @returns {Promise}
  */
-function sendMail({ to, subject, html }) {
+function sendMail({ to, subject, html, attachments }) {
   return transporter.sendMail({
     from: process.env.GMAIL_USER,
     to,
     subject,
     html,
+    attachments,
   });
 }
 
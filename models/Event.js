@@ -21,10 +21,52 @@ const ticketTypeSchema = new mongoose.Schema({
     default: 0,
     min: 0,
   },
+  reserved: {
+    type: Number, // Held for orders awaiting payment (see services/inventory.js)
+    default: 0,
+    min: 0,
+  },
   description: {
     type: String,
     trim: true,
   },
+  // Sales window and price tiers (see services/ticketSales.js)
+  salesStart: {
+    type: Date, // Not on sale before this
+  },
+  salesEnd: {
+    type: Date, // Not on sale after this
+    validate: {
+      validator: function(v) {
+        return !v || !this.salesStart || v > this.salesStart;
+      },
+      message: 'Sales end must be after sales start'
+    }
+  },
+  hiddenUntil: {
+    type: Date, // Hidden tier: not listed or sold before this
+  },
+  priceTiers: [{
+    // Early-bird prices, used in order before falling back to `price`. A tier
+    // ends when its date passes or its quantity has sold.
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    quantity: {
+      type: Number,
+      min: 1, // Unset: only endsAt closes the tier
+    },
+    endsAt: {
+      type: Date,
+    },
+  }],
 });
 
 const eventSchema = new mongoose.Schema({
@@ -196,6 +238,54 @@ const eventSchema = new mongoose.Schema({
       default: false,
     },
   },
+  // Ticket PDF Design
+  ticketDesign: {
+    template: {
+      type: String,
+      enum: ['a4', 'mobile', 'thermal'],
+      default: 'a4',
+    },
+    logoUrl: {
+      type: String, // Organizer logo shown in place of the Ticketeer wordmark
+    },
+    showFlyer: {
+      type: Boolean,
+      default: true,
+    },
+    footerText: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+    },
+  },
+  // Ticket Transfer Settings
+  transferSettings: {
+    allowTransfers: {
+      type: Boolean,
+      default: true,
+    },
+    transferCutoff: {
+      type: Date, // No transfers started or accepted after this time (defaults to event start)
+    },
+  },
+  // Service fee added to each order (see services/pricing.js)
+  feeSettings: {
+    percent: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    fixedPerTicket: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    passToBuyer: {
+      type: Boolean,
+      default: true, // false: the organizer absorbs the fee
+    },
+  },
   // Payment Settings
   mcbJuiceNumber: {
     type: String,
@@ -230,6 +320,41 @@ const eventSchema = new mongoose.Schema({
       message: 'Please enter a valid bank account number (10-20 digits)'
     }
   },
+  // How OCR-checked MCB Juice receipts are acted on (services/verificationPolicy.js).
+  // Changed through PUT /api/events/:id/verification-policy, which bumps the version.
+  verificationPolicy: {
+    version: {
+      type: Number,
+      default: 1
+    },
+    autoApprove: {
+      type: Boolean,
+      default: true // false: every receipt goes to review
+    },
+    approveConfidence: {
+      type: Number,
+      default: 80,
+      min: 0,
+      max: 100
+    },
+    delayedApproveConfidence: {
+      type: Number,
+      default: 50,
+      min: 0,
+      max: 100
+    },
+    autoApprovalDelayMinutes: {
+      type: Number,
+      default: 5,
+      min: 0,
+      max: 24 * 60
+    },
+    maxAutoApproveAmount: {
+      type: Number,
+      default: null, // null: no limit
+      min: 0
+    }
+  },
 });
 
 // Update the updatedAt field before saving
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Background work that must survive restarts (see services/jobQueue.js)
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  runAt: {
+    type: Date,
+    default: Date.now // Not picked up before this time
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  lockedBy: {
+    type: String // Worker currently running the job
+  },
+  lockedUntil: {
+    type: Date // Lock expiry; a crashed worker's jobs are picked up after this
+  },
+  lastError: {
+    type: String
+  },
+  attemptErrors: [{
+    message: String,
+    at: Date
+  }],
+  uniqueKey: {
+    type: String // Optional; stops the same job being queued twice. Cleared once the job completes or fails
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event' // Lets organizers see jobs for their own events
+  },
+  completedAt: {
+    type: Date
+  },
+  failedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ uniqueKey: 1 }, { unique: true, partialFilterExpression: { uniqueKey: { $type: 'string' } } });
+jobSchema.index({ eventId: 1, status: 1 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -57,19 +57,69 @@ const orderSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  pricing: {
+    subtotal: Number, // Ticket prices before discounts and fees
+    discounts: [{
+      code: String,
+      label: String,
+      amount: Number,
+      promoCodeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PromoCode' // Set when the discount came from a promo code
+      }
+    }],
+    discountTotal: {
+      type: Number,
+      default: 0
+    },
+    feeTotal: {
+      type: Number,
+      default: 0
+    },
+    feesPassedToBuyer: {
+      type: Boolean,
+      default: true
+    }
+  },
   paymentMethod: {
     type: String,
     required: true,
-    enum: ['card', 'mcb-juice', 'mcb-juice-manual', 'mcb-juice-whatsapp', 'bank_transfer', 'bank-transfer-whatsapp']
+    enum: ['card', 'mcb-juice', 'mcb-juice-manual', 'mcb-juice-whatsapp', 'bank_transfer', 'bank-transfer-whatsapp', 'free']
   },
   paymentStatus: {
     type: String,
     required: true,
     enum: ['pending', 'pending_verification', 'pending_auto_approval', 'pending_quick_review', 'pending_whatsapp_verification', 'completed', 'failed', 'refunded'],
-    default: 'pending'
+    default: 'pending' // Change through services/orderStateMachine.js, not directly
   },
+  statusHistory: [{
+    // Append-only record of paymentStatus changes
+    from: {
+      type: String, // null for the status the order was created with
+      immutable: true
+    },
+    to: {
+      type: String,
+      required: true,
+      immutable: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User', // null for automatic changes
+      immutable: true
+    },
+    reason: {
+      type: String,
+      immutable: true
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+      immutable: true
+    }
+  }],
   paymentIntentId: {
-    type: String // For Stripe integration
+    type: String // Stripe PaymentIntent for card payments (services/stripe.js)
   },
   paymentReference: {
     type: String // For manual payment reference codes
@@ -80,6 +130,27 @@ const orderSchema = new mongoose.Schema({
   screenshotOriginalName: {
     type: String // Original filename of uploaded screenshot
   },
+  screenshotHash: {
+    type: String // Perceptual hash of the screenshot, for spotting reuse
+  },
+  receiptTransactionId: {
+    type: String // Transaction ID read from the screenshot by OCR
+  },
+  receiptReuse: [{
+    _id: false,
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order' // Other order with the same receipt
+    },
+    match: {
+      type: String,
+      enum: ['screenshot', 'transaction_id']
+    },
+    detectedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   verificationNotes: {
     type: String // Admin notes for payment verification
   },
@@ -93,6 +164,64 @@ const orderSchema = new mongoose.Schema({
   autoApprovalAt: {
     type: Date // When auto-approval is scheduled
   },
+  // What OCR read from the transfer screenshot and how it compared with the
+  // order (services/receiptVerification.js). Reviewer corrections replace
+  // fields and re-run the checks.
+  receiptCheck: {
+    template: String, // Banking app layout detected (services/receiptTemplates.js)
+    templateConfidence: Number,
+    rawText: String,
+    fields: {
+      amount: Number,
+      reference: String,
+      transactionId: String,
+      date: String,
+      time: String,
+      recipient: String
+    },
+    fieldConfidence: {
+      amount: Number,
+      reference: Number,
+      transactionId: Number,
+      date: Number,
+      time: Number,
+      recipient: Number // 100 once a reviewer has corrected the field
+    },
+    checks: {
+      amountMatch: Boolean,
+      referenceMatch: Boolean,
+      recipientMatch: Boolean,
+      hasTransactionId: Boolean
+    },
+    issues: [String],
+    confidence: Number,
+    error: String, // Why the screenshot couldn't be read
+    checkedAt: Date,
+    corrections: [{
+      _id: false,
+      field: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed,
+      correctedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      correctedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  verificationDecision: {
+    action: {
+      type: String,
+      enum: ['approve', 'delayed_approve', 'review'] // What the receipt check decided
+    },
+    reason: String,
+    confidence: Number,
+    policyVersion: Number, // Version of the event's verification policy applied
+    decidedAt: Date
+  },
   reviewPriority: {
     type: String,
     enum: ['high', 'standard'],
@@ -126,16 +255,72 @@ const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
     unique: true
+  },
+  inventoryStatus: {
+    type: String,
+    enum: ['none', 'held', 'sold', 'released'],
+    default: 'none' // 'none' for orders placed before stock was tracked
+  },
+  holdExpiresAt: {
+    type: Date // Held tickets go back on sale after this if payment isn't verified
+  },
+  refunds: [{
+    // Money paid back to the buyer (see services/refunds.js)
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    method: {
+      type: String,
+      enum: ['card', 'mcb-juice', 'bank_transfer', 'cash', 'other'],
+      required: true
+    },
+    reference: {
+      type: String // Payout reference for manual MCB Juice or bank refunds
+    },
+    reason: {
+      type: String
+    },
+    tickets: [{
+      ticketId: String, // Ticket voided by this refund
+      ticketTypeId: String
+    }],
+    full: {
+      type: Boolean,
+      default: false // true when this refund closed the order
+    },
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    refundedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  refundedAmount: {
+    type: Number,
+    default: 0 // Sum of refunds[].amount
   }
 }, {
   timestamps: true
 });
 
+orderSchema.index({ inventoryStatus: 1, holdExpiresAt: 1 });
+orderSchema.index({ 'pricing.discounts.promoCodeId': 1 });
+orderSchema.index({ paymentIntentId: 1 }, { sparse: true });
+orderSchema.index({ screenshotHash: 1 }, { sparse: true });
+orderSchema.index({ receiptTransactionId: 1 }, { sparse: true });
+
 // Generate order number before saving
 orderSchema.pre('save', function(next) {
   if (!this.orderNumber) {
     this.orderNumber = `TKT-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
   }
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.paymentStatus, reason: 'Order created' });
+  }
   next();
 });
 
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Discount code entered at checkout (see services/promoCodes.js). A code
+// belongs to one organizer and works on one of their events, or on all of
+// them when eventId is unset.
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+    maxlength: 40,
+    match: [/^[A-Z0-9_-]+$/, 'Codes may only contain letters, numbers, dashes and underscores']
+  },
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null // null: valid for all of the organizer's events
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100 // Shown to the buyer, e.g. "Early supporter"
+  },
+  type: {
+    type: String,
+    enum: ['percent', 'fixed'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  ticketTypeIds: [{
+    type: String // Only these ticket types are discounted (all if empty)
+  }],
+  maxUses: {
+    type: Number,
+    min: 1,
+    default: null // null: unlimited
+  },
+  maxUsesPerCustomer: {
+    type: Number,
+    min: 1,
+    default: null // Counted by buyer email; null: unlimited
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  startsAt: {
+    type: Date
+  },
+  endsAt: {
+    type: Date
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+promoCodeSchema.index({ organizer: 1, eventId: 1, code: 1 }, { unique: true });
+promoCodeSchema.index({ code: 1 });
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
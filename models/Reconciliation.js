@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// One credit from an uploaded bank or MCB Juice statement and the pending
+// order it was matched to (see services/reconciliation.js)
+const statementLineSchema = new mongoose.Schema({
+  line: {
+    type: Number // Row (CSV) or transaction (OFX) number in the file
+  },
+  date: {
+    type: Date
+  },
+  amount: {
+    type: Number
+  },
+  reference: {
+    type: String
+  },
+  description: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['matched', 'probable', 'ambiguous', 'unmatched'],
+    required: true
+  },
+  reason: {
+    type: String // Why the line got its status
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order' // Set for matched and probable lines
+  },
+  candidateOrderIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order' // Orders an ambiguous line could belong to
+  }],
+  appliedAt: {
+    type: Date // When the matched order was verified
+  },
+  applyError: {
+    type: String // Why verifying the matched order failed
+  }
+});
+
+// An uploaded statement and its reconciliation report
+const reconciliationSchema = new mongoose.Schema({
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null // null: matched against all of the organizer's events
+  },
+  filename: {
+    type: String
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'ofx'],
+    required: true
+  },
+  lines: [statementLineSchema],
+  skippedLines: {
+    type: Number,
+    default: 0 // Debits and rows that couldn't be read
+  }
+}, {
+  timestamps: true
+});
+
+reconciliationSchema.index({ organizer: 1, createdAt: -1 });
+
+// Line counts by status, plus how many were applied
+reconciliationSchema.virtual('summary').get(function() {
+  const summary = { matched: 0, probable: 0, ambiguous: 0, unmatched: 0, applied: 0 };
+  for (const line of this.lines) {
+    summary[line.status]++;
+    if (line.appliedAt) summary.applied++;
+  }
+  return summary;
+});
+
+reconciliationSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Reconciliation', reconciliationSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Every scan attempt at the door, admitted or not
+const scanLogSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket'
+  },
+  ticketId: {
+    type: String // Ticket ID read from the code, if any
+  },
+  result: {
+    type: String,
+    required: true,
+    enum: ['admitted', 'already_checked_in', 'duplicate_entry', 'wrong_event', 'void', 'order_cancelled', 'order_refunded', 'payment_incomplete', 'not_found', 'invalid_code']
+  },
+  scannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  scannedAt: {
+    type: Date,
+    default: Date.now
+  },
+  source: {
+    type: String,
+    enum: ['online', 'offline', 'manual'],
+    default: 'online'
+  },
+  deviceId: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+scanLogSchema.index({ eventId: 1, scannedAt: -1 });
+
+module.exports = mongoose.model('ScanLog', scanLogSchema);
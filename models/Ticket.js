@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// One admission. Orders hold quantities per ticket type; each unit of
+// quantity becomes its own Ticket with its own ID, QR code and PDF.
+const ticketSchema = new mongoose.Schema({
+  ticketId: {
+    type: String,
+    unique: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true,
+    index: true
+  },
+  ticketTypeId: {
+    type: String,
+    required: true
+  },
+  ticketTypeName: {
+    type: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  sequence: {
+    type: Number, // Position of this admission within the order (1-based)
+    min: 1
+  },
+  holder: {
+    firstName: String,
+    lastName: String,
+    email: String
+  },
+  status: {
+    type: String,
+    enum: ['active', 'void'],
+    default: 'active'
+  },
+  voidedAt: {
+    type: Date
+  },
+  voidReason: {
+    type: String
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  checkedInAt: {
+    type: Date // Set once, when the ticket is admitted at the door
+  },
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Organizer account that scanned the ticket
+  },
+  checkInSource: {
+    type: String,
+    enum: ['online', 'offline', 'manual']
+  },
+  checkInDevice: {
+    type: String // Scanner device ID, when the scan came from a device
+  },
+  reissuedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket' // Ticket this one replaced
+  },
+  reissuedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket' // Ticket that replaced this one
+  },
+  pdfFilename: {
+    type: String // Latest generated PDF in the tickets directory
+  }
+}, {
+  timestamps: true
+});
+
+ticketSchema.index({ orderId: 1, status: 1 });
+
+// Generate ticket ID before saving
+ticketSchema.pre('save', function(next) {
+  if (!this.ticketId) {
+    this.ticketId = `TIX-${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+  }
+  next();
+});
+
+module.exports = mongoose.model('Ticket', ticketSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// A ticket moving from its current holder to someone else. The holder
+// confirms from their inbox, then the recipient accepts; only then is the
+// old ticket voided and a new one issued in the recipient's name.
+const ticketTransferSchema = new mongoose.Schema({
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    required: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true,
+    index: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  from: {
+    firstName: String,
+    lastName: String,
+    email: String
+  },
+  to: {
+    firstName: String,
+    lastName: String,
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    }
+  },
+  message: {
+    type: String,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['pending_confirmation', 'pending', 'accepted', 'declined', 'cancelled', 'expired'],
+    default: 'pending_confirmation'
+  },
+  holderTokenHash: {
+    type: String, // Lets the current holder confirm or cancel
+    required: true
+  },
+  recipientTokenHash: {
+    type: String, // Lets the recipient accept or decline
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  confirmedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  newTicket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket' // Ticket issued to the recipient
+  }
+}, {
+  timestamps: true
+});
+
+ticketTransferSchema.index({ ticket: 1, status: 1 });
+ticketTransferSchema.index({ holderTokenHash: 1 });
+ticketTransferSchema.index({ recipientTokenHash: 1 });
+
+module.exports = mongoose.model('TicketTransfer', ticketTransferSchema);
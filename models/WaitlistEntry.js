@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// A place in line for a sold-out ticket type (see services/waitlist.js).
+// When stock frees up the entry is offered: its tickets are held for it and
+// the person gets a purchase link that works until offerExpiresAt.
+const waitlistEntrySchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  ticketTypeId: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  firstName: {
+    type: String,
+    trim: true
+  },
+  lastName: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 1,
+    max: 10
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'purchased', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  offeredAt: {
+    type: Date
+  },
+  offerExpiresAt: {
+    type: Date // Held tickets go to the next person after this
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order' // Order placed with the offer
+  },
+  purchasedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Line order is createdAt within a ticket type
+waitlistEntrySchema.index({ eventId: 1, ticketTypeId: 1, status: 1, createdAt: 1 });
+// One live place in line per person and ticket type
+waitlistEntrySchema.index(
+  { eventId: 1, ticketTypeId: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['waiting', 'offered'] } } }
+);
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Apple Wallet device registered for updates to a pass (PassKit web service)
+const walletRegistrationSchema = new mongoose.Schema({
+  deviceLibraryIdentifier: {
+    type: String,
+    required: true
+  },
+  pushToken: {
+    type: String,
+    required: true
+  },
+  passTypeIdentifier: {
+    type: String,
+    required: true
+  },
+  serialNumber: {
+    type: String, // Ticket ID
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+walletRegistrationSchema.index(
+  { deviceLibraryIdentifier: 1, passTypeIdentifier: 1, serialNumber: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model('WalletRegistration', walletRegistrationSchema);
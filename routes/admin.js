@@ -2,8 +2,11 @@ const express = require('express');
 const Order = require('../models/Order');
 const Event = require('../models/Event');
 const authenticateToken = require('../middleware/authenticateToken');
-const path = require('path');
-const fs = require('fs');
+const storageService = require('../services/storage');
+const jobQueue = require('../services/jobQueue');
+const paymentService = require('../services/payments');
+const mcbJuiceProvider = require('../services/payments/mcbJuice');
+const Job = require('../models/Job');
 
 const router = express.Router();
 
@@ -40,7 +43,8 @@ router.get('/orders/pending', authenticateToken, requireAdmin, async (req, res)
   }
 });
 
-// GET /api/admin/orders/:id/screenshot - Serve screenshot for verification
+// GET /api/admin/orders/:id/screenshot - Signed, short-lived URL for the payment screenshot.
+// Redirects to it by default; ?format=json returns { url, expiresAt } instead.
 router.get('/orders/:id/screenshot', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
@@ -48,18 +52,90 @@ router.get('/orders/:id/screenshot', authenticateToken, requireAdmin, async (req
       return res.status(404).json({ error: 'Screenshot not found' });
     }
 
-    const screenshotPath = order.transferScreenshot;
-    if (!fs.existsSync(screenshotPath)) {
+    if (!(await storageService.exists(order.transferScreenshot))) {
       return res.status(404).json({ error: 'Screenshot file not found' });
     }
 
-    res.sendFile(path.resolve(screenshotPath));
+    const expiresIn = 5 * 60;
+    const url = await storageService.signedUrl(order.transferScreenshot, {
+      expiresIn,
+      filename: order.screenshotOriginalName
+    });
+
+    if (req.query.format === 'json') {
+      return res.json({ url, expiresAt: new Date(Date.now() + expiresIn * 1000) });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.redirect(url);
   } catch (error) {
     console.error('Error serving screenshot:', error);
     res.status(500).json({ error: 'Failed to serve screenshot' });
   }
 });
 
+// Orders whose receipt checks the organizer can see and correct
+async function findOrganizerOrder(req, res) {
+  const order = await Order.findById(req.params.id).populate('eventId');
+  if (!order || !order.eventId || order.eventId.organizer.toString() !== req.user.userId) {
+    res.status(404).json({ error: 'Order not found' });
+    return null;
+  }
+  return order;
+}
+
+// GET /api/admin/orders/:id/receipt-check - What OCR read from the screenshot,
+// each check's result and the auto-approval decision taken
+router.get('/orders/:id/receipt-check', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const order = await findOrganizerOrder(req, res);
+    if (!order) return;
+
+    if (!order.receiptCheck || !order.receiptCheck.checkedAt) {
+      return res.status(404).json({ error: 'This order has no receipt check' });
+    }
+
+    res.json({
+      orderId: order._id,
+      paymentStatus: order.paymentStatus,
+      receiptCheck: order.receiptCheck,
+      verificationDecision: order.verificationDecision,
+      receiptReuse: order.receiptReuse
+    });
+  } catch (error) {
+    console.error('Error fetching receipt check:', error);
+    res.status(500).json({ error: 'Failed to fetch receipt check' });
+  }
+});
+
+// PUT /api/admin/orders/:id/receipt-check - Correct fields OCR misread
+// ({ fields: { amount, reference, transactionId, date, time, recipient } })
+// and re-run the checks. Approving or rejecting stays a separate step.
+router.put('/orders/:id/receipt-check', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const order = await findOrganizerOrder(req, res);
+    if (!order) return;
+
+    const result = await mcbJuiceProvider.correctReceipt(order, order.eventId, req.body.fields, {
+      actor: req.user.userId
+    });
+
+    res.json({
+      success: true,
+      receiptCheck: result.order.receiptCheck,
+      isValid: result.verification.isValid,
+      policyDecision: result.decision,
+      receiptReuse: result.order.receiptReuse
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error correcting receipt check:', error);
+    res.status(500).json({ error: 'Failed to correct receipt check' });
+  }
+});
+
 // GET /api/admin/orders/stats - Get verification statistics
 router.get('/orders/stats', authenticateToken, requireAdmin, async (req, res) => {
   try {
@@ -136,72 +212,81 @@ router.post('/orders/:id/verify', authenticateToken, requireAdmin, async (req, r
 
     // Update order based on action
     if (action === 'approve') {
-      // Store original status to rollback if needed
-      const originalStatus = order.paymentStatus;
-      
-      // Generate and send tickets FIRST - before updating order status
-      const router_orders = require('./orders');
-      console.log('Starting ticket generation for order:', order._id);
-      console.log('Event details:', order.eventId);
-      
-      try {
-        await router_orders.generateAndSendTickets(order, order.eventId);
-        console.log('Tickets generated successfully');
-      } catch (ticketError) {
-        console.error('Ticket generation failed:', ticketError);
-        throw new Error(`Failed to generate tickets: ${ticketError.message}`);
-      }
-      
-      // Send WhatsApp confirmation to customer
-      try {
-        await router_orders.sendWhatsAppConfirmation(order, order.eventId);
-        console.log('WhatsApp confirmation sent successfully');
-      } catch (whatsappError) {
-        console.error('WhatsApp confirmation failed:', whatsappError);
-        throw new Error(`Failed to send WhatsApp confirmation: ${whatsappError.message}`);
-      }
-
-      // Only update order status AFTER tickets are successfully sent
-      order.paymentStatus = 'completed';
-      order.verifiedBy = req.user?.userId || 'admin';
-      order.verifiedAt = new Date();
-      order.verificationNotes = notes || 'Manually approved by admin';
-
-      await order.save();
+      // Tickets (and the WhatsApp confirmation for WhatsApp payments) go out
+      // through the job queue, which retries failed sends; see
+      // GET /api/admin/jobs for ones that gave up
+      const updatedOrder = await paymentService.verify(order, {
+        actor: req.user.userId,
+        notes: notes || 'Manually approved by admin'
+      });
 
       res.json({
         success: true,
-        message: 'Order approved and tickets sent',
-        order
+        message: 'Order approved and tickets are being sent',
+        order: updatedOrder
       });
     } else if (action === 'reject') {
-      order.paymentStatus = 'failed';
-      order.verifiedBy = req.user?.userId || 'admin';
-      order.verifiedAt = new Date();
-      order.verificationNotes = notes || 'Rejected by admin';
-
-      await order.save();
-
-      // Restore ticket quantities when rejecting order
-      for (const ticket of order.tickets) {
-        await Event.findOneAndUpdate(
-          { _id: order.event._id, 'ticketTypes._id': ticket.ticketTypeId },
-          { $inc: { 'ticketTypes.$.quantity': ticket.quantity } }
-        );
-      }
+      // Gives the held tickets back
+      const updatedOrder = await paymentService.reject(order, {
+        actor: req.user.userId,
+        notes: notes || 'Rejected by admin'
+      });
 
       res.json({
         success: true,
         message: 'Order rejected',
-        order
+        order: updatedOrder
       });
     } else {
       res.status(400).json({ error: 'Invalid action. Use "approve" or "reject"' });
     }
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
     console.error('Error processing verification:', error);
     res.status(500).json({ error: 'Failed to process verification' });
   }
 });
 
+// GET /api/admin/jobs - Background jobs for the organizer's events (failed by default)
+router.get('/jobs', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const status = req.query.status || 'failed';
+    if (!['pending', 'running', 'completed', 'failed'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    const organizerEvents = await Event.find({ organizer: req.user.userId }).select('_id');
+    const eventIds = organizerEvents.map(event => event._id);
+
+    const jobs = await Job.find({ status, eventId: { $in: eventIds } })
+      .sort({ updatedAt: -1 })
+      .limit(100);
+
+    res.json(jobs);
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// POST /api/admin/jobs/:id/retry - Run a failed job again
+router.post('/jobs/:id/retry', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const organizerEvents = await Event.find({ organizer: req.user.userId }).select('_id');
+    const eventIds = organizerEvents.map(event => event._id);
+
+    const job = await jobQueue.retry(req.params.id, { eventId: { $in: eventIds } });
+    if (!job) {
+      return res.status(404).json({ error: 'Failed job not found' });
+    }
+
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,157 @@
+const express = require('express');
+const Event = require('../models/Event');
+const authenticateToken = require('../middleware/authenticateToken');
+const checkInService = require('../services/checkIn');
+
+const router = express.Router();
+
+// Push fresh numbers to any open door dashboards for the event
+function notifyDashboard(req) {
+  const dashboard = req.app.get('checkInDashboard');
+  if (dashboard) {
+    dashboard.scheduleUpdate(req.event._id);
+  }
+}
+
+// Only the event organizer can scan tickets at the door
+async function requireEventOrganizer(req, res, next) {
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user.userId) {
+      return res.status(403).json({ error: 'Only the event organizer can check in tickets' });
+    }
+
+    req.event = event;
+    next();
+  } catch (error) {
+    console.error('Error loading event for check-in:', error);
+    res.status(500).json({ error: 'Failed to load event' });
+  }
+}
+
+// POST /api/checkin/events/:eventId/verify - Check a scanned code without consuming it
+router.post('/events/:eventId/verify', authenticateToken, requireEventOrganizer, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ error: 'Missing required field: code' });
+    }
+
+    const result = await checkInService.verify(code, { eventId: req.event._id });
+    res.json(result);
+  } catch (error) {
+    console.error('Error verifying ticket:', error);
+    res.status(500).json({ error: 'Failed to verify ticket' });
+  }
+});
+
+// POST /api/checkin/events/:eventId/scan - Validate a scanned code and check the ticket in
+router.post('/events/:eventId/scan', authenticateToken, requireEventOrganizer, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ error: 'Missing required field: code' });
+    }
+
+    const result = await checkInService.checkIn(code, {
+      eventId: req.event._id,
+      scannedBy: req.user.userId,
+      deviceId: req.body.deviceId
+    });
+
+    console.log(`Scan for event ${req.event._id}: ${result.result}${result.ticket ? ` (${result.ticket.ticketId})` : ''}`);
+    notifyDashboard(req);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error checking in ticket:', error);
+    res.status(500).json({ error: 'Failed to check in ticket' });
+  }
+});
+
+// POST /api/checkin/events/:eventId/manual - Check a ticket in by its typed-in ticket ID, for codes that won't scan
+router.post('/events/:eventId/manual', authenticateToken, requireEventOrganizer, async (req, res) => {
+  try {
+    const { ticketId } = req.body;
+    if (!ticketId) {
+      return res.status(400).json({ error: 'Missing required field: ticketId' });
+    }
+
+    const result = await checkInService.checkInByTicketId(ticketId, {
+      eventId: req.event._id,
+      scannedBy: req.user.userId,
+      deviceId: req.body.deviceId
+    });
+
+    console.log(`Manual check-in for event ${req.event._id}: ${result.result}${result.ticket ? ` (${result.ticket.ticketId})` : ''}`);
+    notifyDashboard(req);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error checking in ticket manually:', error);
+    res.status(500).json({ error: 'Failed to check in ticket' });
+  }
+});
+
+// GET /api/checkin/events/:eventId/stats - Current door dashboard numbers (also pushed over Socket.IO)
+router.get('/events/:eventId/stats', authenticateToken, requireEventOrganizer, async (req, res) => {
+  try {
+    const stats = await checkInService.getDashboardStats(req.event);
+    res.json(stats);
+  } catch (error) {
+    console.error('Error fetching check-in stats:', error);
+    res.status(500).json({ error: 'Failed to fetch check-in stats' });
+  }
+});
+
+// GET /api/checkin/events/:eventId/manifest - Export the ticket manifest and verification keys for offline scanning
+router.get('/events/:eventId/manifest', authenticateToken, requireEventOrganizer, async (req, res) => {
+  try {
+    const manifest = await checkInService.buildManifest(req.event);
+
+    console.log(`Offline manifest exported for event ${req.event._id}: ${manifest.tickets.length} valid tickets${req.query.deviceId ? ` (device ${req.query.deviceId})` : ''}`);
+
+    res.json(manifest);
+  } catch (error) {
+    console.error('Error exporting scanner manifest:', error);
+    res.status(500).json({ error: 'Failed to export manifest' });
+  }
+});
+
+// POST /api/checkin/events/:eventId/sync - Merge scan logs recorded offline by a scanner device
+router.post('/events/:eventId/sync', authenticateToken, requireEventOrganizer, async (req, res) => {
+  try {
+    const { deviceId, scans } = req.body;
+
+    if (!deviceId || !Array.isArray(scans)) {
+      return res.status(400).json({ error: 'Missing required fields: deviceId, scans' });
+    }
+
+    if (scans.length > 5000) {
+      return res.status(400).json({ error: 'Too many scans in one batch (max 5000)' });
+    }
+
+    const report = await checkInService.syncOfflineScans(req.event._id, {
+      deviceId,
+      scans,
+      syncedBy: req.user.userId
+    });
+
+    notifyDashboard(req);
+
+    if (report.duplicates.length > 0) {
+      console.warn(`Offline sync for event ${req.event._id} from device ${deviceId} found ${report.duplicates.length} duplicate entries`);
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error('Error syncing offline scans:', error);
+    res.status(500).json({ error: 'Failed to sync offline scans' });
+  }
+});
+
+module.exports = router;
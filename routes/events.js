@@ -1,14 +1,41 @@
 const express = require('express');
+const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const Event = require('../models/Event');
 const LivePlaylist = require('../models/LivePlaylist');
 const authenticateToken = require('../middleware/authenticateToken');
 const { validateAndSanitize } = require('../middleware/sanitization');
+const walletPassService = require('../services/walletPass');
+const inventoryService = require('../services/inventory');
+const ticketSalesService = require('../services/ticketSales');
+const verificationPolicyService = require('../services/verificationPolicy');
 const multer = require('multer');
 const path = require('path');
 
 const router = express.Router();
 
+// Organizers see every ticket type on their own event, with sales windows
+// and tiers, so the edit form round-trips. Everyone else only sees what is
+// on sale right now, at its current price.
+function isOrganizerRequest(req, event) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  if (!token) return false;
+
+  try {
+    const user = jwt.verify(token, process.env.JWT_SECRET);
+    const organizerId = event.organizer && event.organizer._id ? event.organizer._id : event.organizer;
+    return organizerId.toString() === user.userId;
+  } catch (error) {
+    return false;
+  }
+}
+
+function publicEvent(event) {
+  const { verificationPolicy, ...fields } = event.toObject();
+  return { ...fields, ticketTypes: ticketSalesService.publicTicketTypes(event) };
+}
+
 // Get all events (public - for explore page)
 router.get('/', async (req, res) => {
   try {
@@ -47,7 +74,7 @@ router.get('/', async (req, res) => {
     console.log('Total events count:', total);
 
     const response = {
-      events,
+      events: events.map(publicEvent),
       totalPages: Math.ceil(total / limit),
       currentPage: page,
       total
@@ -106,7 +133,7 @@ router.get('/:id', async (req, res) => {
 
     // Return event with order-based attendee data
     const eventWithOrderData = {
-      ...event.toObject(),
+      ...(isOrganizerRequest(req, event) ? event.toObject() : publicEvent(event)),
       attendees: attendeesFromOrders,
       totalTicketsSold: totalTicketsSoldFromOrders
     };
@@ -185,6 +212,11 @@ router.post(
     body('ticketTypes.*.name').notEmpty().trim(),
     body('ticketTypes.*.price').isNumeric({ min: 0 }),
     body('ticketTypes.*.quantity').isInt({ min: 0 }),
+    body('ticketTypes.*.salesStart').optional({ nullable: true }).isISO8601(),
+    body('ticketTypes.*.salesEnd').optional({ nullable: true }).isISO8601(),
+    body('ticketTypes.*.hiddenUntil').optional({ nullable: true }).isISO8601(),
+    body('ticketTypes.*.priceTiers').optional().isArray(),
+    body('ticketTypes.*.priceTiers.*.price').optional().isNumeric({ min: 0 }),
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -196,8 +228,13 @@ router.post(
       console.log('Creating event with request body:', req.body);
       console.log('Account number received:', req.body.accountNumber);
       
+      // The verification policy is versioned, so it's only changed through
+      // /:id/verification-policy
+      const { verificationPolicy, ...fields } = req.body;
       const eventData = {
-        ...req.body,
+        ...fields,
+        // Every event starts with nothing sold or held
+        ticketTypes: req.body.ticketTypes.map(({ sold, reserved, ...ticketType }) => ticketType),
         organizer: req.user.userId,
         startDate: new Date(req.body.startDate),
         endDate: new Date(req.body.endDate)
@@ -270,18 +307,94 @@ router.put('/:id', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to update this event' });
     }
 
+    // Sold and held counts belong to the inventory service, not the edit form
+    const { verificationPolicy, ticketTypes, ...fields } = req.body;
+    if (Array.isArray(ticketTypes)) {
+      try {
+        await inventoryService.updateTicketTypes(event, ticketTypes);
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        return res.status(error.statusCode).json({ error: error.message, details: error.details });
+      }
+    }
+
     const updatedEvent = await Event.findByIdAndUpdate(
       req.params.id,
-      { ...req.body, updatedAt: Date.now() },
+      { ...fields, updatedAt: Date.now() },
       { new: true, runValidators: true }
     ).populate('organizer', 'username');
 
+    // Push rescheduled dates or a new venue to saved wallet passes
+    const passFieldsChanged = ['name', 'startDate', 'endDate', 'location', 'venueName', 'selectedAccentColor']
+      .some(field => String(event[field]) !== String(updatedEvent[field]));
+    if (passFieldsChanged) {
+      setImmediate(async () => {
+        try {
+          const result = await walletPassService.handleEventUpdated(updatedEvent);
+          console.log(`Wallet passes updated for event ${updatedEvent._id}:`, result);
+        } catch (error) {
+          console.error(`Failed to update wallet passes for event ${updatedEvent._id}:`, error);
+        }
+      });
+    }
+
     res.json(updatedEvent);
   } catch (error) {
     res.status(500).json({ error: 'Server error while updating event' });
   }
 });
 
+// GET /api/events/:id/verification-policy - How MCB Juice receipts are verified (organizer)
+router.get('/:id/verification-policy', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select('organizer verificationPolicy');
+    if (!event || event.organizer.toString() !== req.user.userId) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    res.json(verificationPolicyService.policyFor(event));
+  } catch (error) {
+    console.error('Error fetching verification policy:', error);
+    res.status(500).json({ error: 'Failed to fetch verification policy' });
+  }
+});
+
+// PUT /api/events/:id/verification-policy - Change the policy (organizer). Any
+// fields left out keep their current value; the version goes up by one.
+router.put(
+  '/:id/verification-policy',
+  authenticateToken,
+  [
+    body('autoApprove').optional().isBoolean().toBoolean(),
+    body('approveConfidence').optional().isFloat({ min: 0, max: 100 }).toFloat(),
+    body('delayedApproveConfidence').optional().isFloat({ min: 0, max: 100 }).toFloat(),
+    body('autoApprovalDelayMinutes').optional().isInt({ min: 0, max: 24 * 60 }).toInt(),
+    body('maxAutoApproveAmount').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const event = await Event.findById(req.params.id).select('organizer verificationPolicy');
+      if (!event || event.organizer.toString() !== req.user.userId) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      const policy = await verificationPolicyService.update(event, req.body);
+      res.json(policy);
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      console.error('Error updating verification policy:', error);
+      res.status(500).json({ error: 'Failed to update verification policy' });
+    }
+  }
+);
+
 // Delete event (protected)
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
@@ -318,7 +431,16 @@ router.post('/:id/purchase', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Invalid ticket type' });
     }
 
-    if (ticket.sold + quantity > ticket.quantity) {
+    try {
+      ticketSalesService.assertPurchasable(ticket);
+    } catch (salesError) {
+      return res.status(salesError.statusCode).json({ error: salesError.message, details: salesError.details });
+    }
+
+    try {
+      await inventoryService.sell(event, [{ ticketTypeId: ticket._id, quantity }]);
+    } catch (inventoryError) {
+      if (!inventoryError.statusCode) throw inventoryError;
       return res.status(400).json({ error: 'Not enough tickets available' });
     }
 
@@ -329,9 +451,6 @@ router.post('/:id/purchase', authenticateToken, async (req, res) => {
       quantity
     });
 
-    // Update sold count
-    ticket.sold += quantity;
-
     // Recalculate totals
     event.calculateTotals();
 
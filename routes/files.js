@@ -0,0 +1,36 @@
+const express = require('express');
+const path = require('path');
+const storageService = require('../services/storage');
+
+const router = express.Router();
+
+// GET /api/files/* - Serve a stored file from a signed, expiring URL (local storage driver)
+router.get('/*', async (req, res) => {
+  try {
+    if (!storageService.isLocal()) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const key = req.params[0];
+    const { expires, filename, signature } = req.query;
+    if (!storageService.getDriver().isValidSignature(key, expires, filename, signature)) {
+      return res.status(403).json({ error: 'Invalid or expired file link' });
+    }
+
+    if (!(await storageService.exists(key))) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.type(path.extname(key));
+    res.set('Cache-Control', 'private, no-store');
+    if (filename) {
+      res.set('Content-Disposition', `inline; filename="${filename.replace(/"/g, '')}"`);
+    }
+    storageService.createReadStream(key).on('error', () => res.end()).pipe(res);
+  } catch (error) {
+    console.error('Error serving stored file:', error);
+    res.status(500).json({ error: 'Failed to serve file' });
+  }
+});
+
+module.exports = router;
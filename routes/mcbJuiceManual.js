@@ -1,102 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const Order = require('../models/Order');
-const Event = require('../models/Event');
 const User = require('../models/User');
 const authenticateToken = require('../middleware/authenticateToken');
+const paymentService = require('../services/payments');
 // Email service not implemented yet
 // const { sendOrderConfirmationEmail } = require('../services/emailService');
 
 // Create manual MCB Juice payment order
 router.post('/create-order', authenticateToken, async (req, res) => {
   try {
-    const {
-      eventId,
-      tickets,
-      customerInfo,
-      paymentReference
-    } = req.body;
-
-    // Validate required fields
-    if (!eventId || !tickets || !customerInfo || !paymentReference) {
-      return res.status(400).json({
-        error: 'Missing required fields: eventId, tickets, customerInfo, paymentReference'
-      });
-    }
-
-    // Get event details
-    const event = await Event.findById(eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    // Calculate total amount
-    let totalAmount = 0;
-    const orderTickets = [];
-
-    for (const ticket of tickets) {
-      const eventTicket = event.ticketTypes.find(t => t._id.toString() === ticket.ticketTypeId);
-      if (!eventTicket) {
-        return res.status(400).json({ error: `Ticket type ${ticket.ticketTypeId} not found` });
-      }
-
-      // Check availability
-      if (eventTicket.quantity < ticket.quantity) {
-        return res.status(400).json({ 
-          error: `Not enough tickets available for ${eventTicket.name}. Available: ${eventTicket.quantity}, Requested: ${ticket.quantity}` 
-        });
-      }
-
-      const ticketTotal = eventTicket.price * ticket.quantity;
-      totalAmount += ticketTotal;
-
-      orderTickets.push({
-        ticketTypeId: ticket.ticketTypeId,
-        name: eventTicket.name,
-        price: eventTicket.price,
-        quantity: ticket.quantity,
-        subtotal: ticketTotal
-      });
-    }
-
-    // Create order
-    const order = new Order({
-      user: req.user.userId,
-      event: eventId,
-      tickets: orderTickets,
-      totalAmount,
-      paymentMethod: 'mcb-juice-manual',
-      paymentStatus: 'pending_verification',
-      paymentReference,
-      customerInfo: {
-        firstName: customerInfo.firstName,
-        lastName: customerInfo.lastName,
-        email: customerInfo.email,
-        phone: customerInfo.phone,
-        address: customerInfo.address
-      },
-      attendees: tickets.map(ticket => ({
-        ticketType: ticket.ticketTypeId,
-        quantity: ticket.quantity,
-        customerInfo: {
-          firstName: customerInfo.firstName,
-          lastName: customerInfo.lastName,
-          email: customerInfo.email
-        },
-        user: req.user.userId
-      }))
+    // An MCB Juice checkout without a screenshot waits for an admin to
+    // check the reference. Older clients don't send a total; when one is
+    // sent it must match.
+    const { order } = await paymentService.checkout('mcb-juice', req.body, {
+      userId: req.user.userId,
+      requireTotal: false
     });
 
-    await order.save();
-
-    // Update ticket quantities
-    for (const ticket of tickets) {
-      await Event.findOneAndUpdate(
-        { _id: eventId, 'ticketTypes._id': ticket.ticketTypeId },
-        { $inc: { 'ticketTypes.$.quantity': -ticket.quantity } }
-      );
-    }
-
     // Send confirmation email (not implemented yet)
     // try {
     //   await sendOrderConfirmationEmail(order, event);
@@ -119,6 +40,9 @@ router.post('/create-order', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
     console.error('Error creating MCB Juice manual order:', error);
     res.status(500).json({ error: 'Failed to create order' });
   }
@@ -191,7 +115,7 @@ router.post('/admin/verify-payment/:orderId', authenticateToken, async (req, res
     const { orderId } = req.params;
     const { verificationNotes } = req.body;
 
-    const order = await Order.findById(orderId).populate('event');
+    const order = await Order.findById(orderId).populate('eventId');
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
@@ -200,28 +124,23 @@ router.post('/admin/verify-payment/:orderId', authenticateToken, async (req, res
       return res.status(400).json({ error: 'Order is not pending verification' });
     }
 
-    // Update order status
-    order.paymentStatus = 'completed';
-    order.verificationNotes = verificationNotes;
-    order.verifiedBy = req.user.userId;
-    order.verifiedAt = new Date();
-
-    await order.save();
-
-    // Send receipt email (not implemented yet)
-    // try {
-    //   await sendOrderConfirmationEmail(order, order.event, true); // true for receipt
-    // } catch (emailError) {
-    //   console.error('Failed to send receipt email:', emailError);
-    // }
+    // Update order status; the tickets are sold and emailed by the provider
+    const updatedOrder = await paymentService.verify(order, {
+      actor: req.user.userId,
+      reason: verificationNotes || 'Payment verified by admin',
+      set: { verificationNotes }
+    });
 
     res.json({
       success: true,
       message: 'Payment verified successfully',
-      order
+      order: updatedOrder
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
     console.error('Error verifying payment:', error);
     res.status(500).json({ error: 'Failed to verify payment' });
   }
@@ -238,7 +157,7 @@ router.post('/admin/reject-payment/:orderId', authenticateToken, async (req, res
     const { orderId } = req.params;
     const { rejectionReason } = req.body;
 
-    const order = await Order.findById(orderId).populate('event');
+    const order = await Order.findById(orderId).populate('eventId');
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
@@ -247,29 +166,23 @@ router.post('/admin/reject-payment/:orderId', authenticateToken, async (req, res
       return res.status(400).json({ error: 'Order is not pending verification' });
     }
 
-    // Update order status
-    order.paymentStatus = 'failed';
-    order.verificationNotes = rejectionReason;
-    order.verifiedBy = req.user.userId;
-    order.verifiedAt = new Date();
-
-    await order.save();
-
-    // Restore ticket quantities
-    for (const ticket of order.tickets) {
-      await Event.findOneAndUpdate(
-        { _id: order.event._id, 'ticketTypes._id': ticket.ticketTypeId },
-        { $inc: { 'ticketTypes.$.quantity': ticket.quantity } }
-      );
-    }
+    // Update order status; this gives the held tickets back
+    const updatedOrder = await paymentService.reject(order, {
+      actor: req.user.userId,
+      reason: rejectionReason || 'Payment rejected by admin',
+      set: { verificationNotes: rejectionReason }
+    });
 
     res.json({
       success: true,
       message: 'Payment rejected successfully',
-      order
+      order: updatedOrder
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, details: error.details });
+    }
     console.error('Error rejecting payment:', error);
     res.status(500).json({ error: 'Failed to reject payment' });
   }
@@ -1,36 +1,25 @@
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const Order = require('../models/Order');
 const Event = require('../models/Event');
 const authenticateToken = require('../middleware/authenticateToken');
 const { validateAndSanitize } = require('../middleware/sanitization');
-const { sendTicketEmail } = require('../utils/sendTicketEmail');
-const receiptVerificationService = require('../services/receiptVerification');
 const ticketGeneratorService = require('../services/ticketGenerator');
+const ticketDeliveryService = require('../services/ticketDelivery');
+const inventoryService = require('../services/inventory');
+const pricingService = require('../services/pricing');
+const jobQueue = require('../services/jobQueue');
+const orderStateMachine = require('../services/orderStateMachine');
+const refundService = require('../services/refunds');
+const promoCodeService = require('../services/promoCodes');
+const paymentService = require('../services/payments');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadDir = path.join(__dirname, '../uploads/transfer-screenshots');
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    // Generate unique filename with timestamp and random string
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'transfer-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
+// Configure multer for file uploads. Files are held in memory and then
+// written through the storage service (local disk or S3).
 const upload = multer({
-  storage: storage,
+  storage: multer.memoryStorage(),
   limits: {
     fileSize: 5 * 1024 * 1024 // 5MB limit
   },
@@ -44,80 +33,49 @@ const upload = multer({
   }
 });
 
-// POST /api/orders/mcb-juice-whatsapp - Create MCB Juice order with WhatsApp verification
-router.post('/mcb-juice-whatsapp', async (req, res) => {
+// Sold out (inventory), stale totals (pricing), unusable promo codes or
+// waitlist offers, or a disallowed status change
+function sendCheckoutError(res, error) {
+  return res.status(error.statusCode).json({ error: error.message, details: error.details });
+}
+
+// What a checkout route returns: the new order's IDs, its status and a
+// message for the buyer, plus anything the provider needs them to pay with
+function sendCheckout(res, { order, payment }) {
+  return res.status(201).json({
+    _id: order._id,
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    ...payment
+  });
+}
+
+// POST /api/orders/checkout - Create an order with any payment provider
+// (`paymentProvider`: card, free, mcb-juice, whatsapp or bank-transfer).
+// Accepts JSON, or multipart with a `transferScreenshot` for MCB Juice.
+router.post('/checkout', upload.single('transferScreenshot'), validateAndSanitize.order, async (req, res) => {
   try {
-    const {
-      eventId,
-      customerInfo,
-      tickets,
-      totalAmount,
-      paymentReference,
-      organizerWhatsApp
-    } = req.body;
-
-    // Validate required fields
-    if (!eventId || !customerInfo || !tickets || !totalAmount || !paymentReference) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: eventId, customerInfo, tickets, totalAmount, paymentReference' 
+    const { paymentProvider } = req.body;
+    if (!paymentProvider) {
+      return res.status(400).json({
+        error: `Missing required field: paymentProvider (${paymentService.providerNames().join(', ')})`
       });
     }
 
-    // Verify event exists
-    const event = await Event.findById(eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    // Create attendee records for guest users
-    const attendees = tickets.map(ticket => ({
-      ticketType: ticket.name,
-      quantity: ticket.quantity,
-      customerInfo: {
-        firstName: customerInfo.firstName,
-        lastName: customerInfo.lastName,
-        email: customerInfo.email
-      },
-      isGuest: true
-    }));
-
-    // Create new order with WhatsApp verification pending
-    const order = new Order({
-      eventId,
-      customerInfo,
-      tickets,
-      totalAmount: parseFloat(totalAmount),
-      paymentMethod: 'mcb-juice-whatsapp',
-      paymentStatus: 'pending_whatsapp_verification',
-      paymentReference,
-      organizerWhatsApp,
-      verificationNotes: 'Payment details sent via WhatsApp. Awaiting organizer verification.',
-      attendees
-    });
-
-    // Save order to database
-    const savedOrder = await order.save();
-
-    // Update event with new attendees
-    event.attendees = event.attendees || [];
-    event.attendees.push(...attendees);
-    
-    // Update total tickets sold
-    const totalTicketsPurchased = tickets.reduce((sum, ticket) => sum + ticket.quantity, 0);
-    event.totalTicketsSold = (event.totalTicketsSold || 0) + totalTicketsPurchased;
-    
-    await event.save();
-
-    console.log(`WhatsApp MCB Juice order created: ${savedOrder._id}, awaiting organizer verification`);
+    sendCheckout(res, await paymentService.checkout(paymentProvider, req.body, { file: req.file }));
+  } catch (error) {
+    if (error.statusCode) return sendCheckoutError(res, error);
+    console.error('Error creating order:', error);
+    res.status(500).json({ error: 'Failed to create order' });
+  }
+});
 
-    res.status(201).json({
-      _id: savedOrder._id,
-      orderId: savedOrder._id,
-      orderNumber: savedOrder.orderNumber,
-      status: 'pending_whatsapp_verification',
-      message: 'Order created successfully. Payment details sent via WhatsApp. Awaiting organizer verification.'
-    });
+// POST /api/orders/mcb-juice-whatsapp - Create MCB Juice order with WhatsApp verification
+router.post('/mcb-juice-whatsapp', async (req, res) => {
+  try {
+    sendCheckout(res, await paymentService.checkout('whatsapp', req.body));
   } catch (error) {
+    if (error.statusCode) return sendCheckoutError(res, error);
     console.error('Error creating WhatsApp MCB Juice order:', error);
     res.status(500).json({ error: 'Failed to create order' });
   }
@@ -126,77 +84,9 @@ router.post('/mcb-juice-whatsapp', async (req, res) => {
 // POST /api/orders/bank-transfer-whatsapp - Create Bank Transfer order with WhatsApp verification
 router.post('/bank-transfer-whatsapp', async (req, res) => {
   try {
-    const {
-      eventId,
-      customerInfo,
-      tickets,
-      totalAmount,
-      paymentReference,
-      organizerWhatsApp
-    } = req.body;
-
-    // Validate required fields
-    if (!eventId || !customerInfo || !tickets || !totalAmount || !paymentReference) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: eventId, customerInfo, tickets, totalAmount, paymentReference' 
-      });
-    }
-
-    // Verify event exists
-    const event = await Event.findById(eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    // Create attendee records for guest users
-    const attendees = tickets.map(ticket => ({
-      ticketType: ticket.name,
-      quantity: ticket.quantity,
-      customerInfo: {
-        firstName: customerInfo.firstName,
-        lastName: customerInfo.lastName,
-        email: customerInfo.email
-      },
-      isGuest: true
-    }));
-
-    // Create new order with WhatsApp verification pending
-    const order = new Order({
-      eventId,
-      customerInfo,
-      tickets,
-      totalAmount: parseFloat(totalAmount),
-      paymentMethod: 'bank-transfer-whatsapp',
-      paymentStatus: 'pending_whatsapp_verification',
-      paymentReference,
-      organizerWhatsApp,
-      verificationNotes: 'Bank transfer details sent via WhatsApp. Awaiting organizer verification.',
-      attendees
-    });
-
-    // Save order to database
-    const savedOrder = await order.save();
-
-    // Update event with new attendees
-    event.attendees = event.attendees || [];
-    event.attendees.push(...attendees);
-    
-    // Update total tickets sold
-    const totalTicketsPurchased = tickets.reduce((sum, ticket) => sum + ticket.quantity, 0);
-    event.totalTicketsSold = (event.totalTicketsSold || 0) + totalTicketsPurchased;
-    
-    await event.save();
-
-    console.log(`WhatsApp Bank Transfer order created: ${savedOrder._id}, awaiting organizer verification`);
-
-    res.status(201).json({
-      _id: savedOrder._id,
-      orderId: savedOrder._id,
-      orderNumber: savedOrder.orderNumber,
-      status: 'pending_whatsapp_verification',
-      message: 'Order created successfully. Bank transfer details sent via WhatsApp. Awaiting organizer verification.'
-    });
+    sendCheckout(res, await paymentService.checkout('bank-transfer', req.body));
   } catch (error) {
+    if (error.statusCode) return sendCheckoutError(res, error);
     console.error('Error creating WhatsApp Bank Transfer order:', error);
     res.status(500).json({ error: 'Failed to create order' });
   }
@@ -205,25 +95,6 @@ router.post('/bank-transfer-whatsapp', async (req, res) => {
 // POST /api/orders/mcb-juice - Create MCB Juice order with screenshot
 router.post('/mcb-juice', upload.single('transferScreenshot'), async (req, res) => {
   try {
-    const {
-      eventId,
-      customerInfo,
-      tickets,
-      totalAmount,
-      paymentReference
-    } = req.body;
-
-    // Parse JSON strings
-    const parsedCustomerInfo = typeof customerInfo === 'string' ? JSON.parse(customerInfo) : customerInfo;
-    const parsedTickets = typeof tickets === 'string' ? JSON.parse(tickets) : tickets;
-
-    // Validate required fields
-    if (!eventId || !parsedCustomerInfo || !parsedTickets || !totalAmount || !paymentReference) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: eventId, customerInfo, tickets, totalAmount, paymentReference' 
-      });
-    }
-
     // Validate screenshot upload
     if (!req.file) {
       return res.status(400).json({ 
@@ -231,149 +102,70 @@ router.post('/mcb-juice', upload.single('transferScreenshot'), async (req, res)
       });
     }
 
-    // Verify event exists
-    const event = await Event.findById(eventId);
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    // Create attendee records for guest users
-    const attendees = parsedTickets.map(ticket => ({
-      ticketType: ticket.name,
-      quantity: ticket.quantity,
-      customerInfo: {
-        firstName: parsedCustomerInfo.firstName,
-        lastName: parsedCustomerInfo.lastName,
-        email: parsedCustomerInfo.email
-      },
-      isGuest: true
-    }));
-
-    // Create new order with screenshot
-    const order = new Order({
-      eventId,
-      customerInfo: parsedCustomerInfo,
-      tickets: parsedTickets,
-      totalAmount: parseFloat(totalAmount),
-      paymentMethod: 'mcb-juice',
-      paymentStatus: 'pending_verification', // Will attempt automatic verification
-      paymentReference,
-      transferScreenshot: req.file.path,
-      screenshotOriginalName: req.file.originalname,
-      attendees
-    });
-
-    // Save order to database
-    const savedOrder = await order.save();
-
-    // Update event with new attendees
-    event.attendees = event.attendees || [];
-    event.attendees.push(...attendees);
-    
-    // Update total tickets sold
-    const totalTicketsPurchased = parsedTickets.reduce((sum, ticket) => sum + ticket.quantity, 0);
-    event.totalTicketsSold = (event.totalTicketsSold || 0) + totalTicketsPurchased;
-    
-    await event.save();
-
-    // Attempt automatic verification
-    console.log(`MCB Juice order created: ${savedOrder._id}, starting automatic verification...`);
-    
-    // Start automatic verification in background
-    setImmediate(async () => {
-      try {
-        await router.processAutomaticVerification(savedOrder, event);
-      } catch (error) {
-        console.error(`Automatic verification failed for order ${savedOrder._id}:`, error);
-        // Order remains in pending_verification status for manual review
-      }
-    });
-
-    res.status(201).json({
-      _id: savedOrder._id,
-      orderId: savedOrder._id,
-      orderNumber: savedOrder.orderNumber,
-      status: 'pending_verification',
-      message: 'Order created successfully. Payment verification in progress.'
-    });
+    sendCheckout(res, await paymentService.checkout('mcb-juice', req.body, { file: req.file }));
   } catch (error) {
+    if (error.statusCode) return sendCheckoutError(res, error);
     console.error('Error creating MCB Juice order:', error);
-    
-    // Clean up uploaded file if order creation fails
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
-    
     res.status(500).json({ error: 'Failed to create order' });
   }
 });
 
-// POST /api/orders - Create a new order
-router.post('/', validateAndSanitize.order, async (req, res) => {
+// POST /api/orders/card - Create a card order and its Stripe PaymentIntent.
+// The order holds its tickets while the buyer pays with the returned
+// clientSecret; the Stripe webhook completes or fails it.
+router.post('/card', validateAndSanitize.order, async (req, res) => {
   try {
-    const {
-      eventId,
-      customerInfo,
-      tickets,
-      totalAmount,
-      paymentMethod,
-      paymentStatus,
-      attendees
-    } = req.body;
-
-    // Validate required fields
-    if (!eventId || !customerInfo || !tickets || !totalAmount) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: eventId, customerInfo, tickets, totalAmount' 
-      });
+    sendCheckout(res, await paymentService.checkout('card', req.body));
+  } catch (error) {
+    if (error.statusCode) return sendCheckoutError(res, error);
+    console.error('Error creating card order:', error);
+    res.status(500).json({ error: 'Failed to create order' });
+  }
+});
+
+// POST /api/orders/quote - Server-side price for a basket, to show before checkout
+router.post('/quote', async (req, res) => {
+  try {
+    const { eventId, tickets, promoCode, email } = req.body;
+    if (!eventId || !Array.isArray(tickets)) {
+      return res.status(400).json({ error: 'Missing required fields: eventId, tickets' });
     }
 
-    // Verify event exists
     const event = await Event.findById(eventId);
     if (!event) {
       return res.status(404).json({ error: 'Event not found' });
     }
 
-    // Create new order
-    const order = new Order({
-      eventId,
-      customerInfo,
-      tickets,
-      totalAmount,
-      paymentMethod: paymentMethod || 'card',
-      paymentStatus: paymentStatus || 'completed', // For testing, default to completed
-      attendees: attendees || []
-    });
-
-    // Save order to database
-    const savedOrder = await order.save();
+    const discounts = await promoCodeService.discountsFor(event, promoCode, { email });
+    res.json(pricingService.quote(event, tickets, { discounts }));
+  } catch (error) {
+    if (error.statusCode) return sendCheckoutError(res, error);
+    console.error('Error pricing order:', error);
+    res.status(500).json({ error: 'Failed to price order' });
+  }
+});
 
-    // Update event with new attendees (if provided)
-    if (attendees && attendees.length > 0) {
-      // Add attendees to the event
-      event.attendees = event.attendees || [];
-      event.attendees.push(...attendees);
-      
-      // Update total tickets sold
-      const totalTicketsPurchased = tickets.reduce((sum, ticket) => sum + ticket.quantity, 0);
-      event.totalTicketsSold = (event.totalTicketsSold || 0) + totalTicketsPurchased;
-      
-      await event.save();
+// POST /api/orders - Create a new order. Older clients name a paymentMethod
+// rather than a provider. Returns the whole order, with the provider's
+// payment details merged in.
+router.post('/', validateAndSanitize.order, async (req, res) => {
+  try {
+    const { paymentProvider, paymentMethod } = req.body;
+    if (!paymentProvider && !paymentMethod) {
+      return res.status(400).json({
+        error: `Missing required field: paymentProvider (${paymentService.providerNames().join(', ')}) or paymentMethod`
+      });
     }
 
-    // Send ticket confirmation email if payment is completed
-    if (paymentStatus === 'completed') {
-      try {
-        await sendTicketEmail(savedOrder, event);
-        console.log(`Ticket email sent successfully to ${customerInfo.email} for order ${savedOrder._id}`);
-      } catch (emailError) {
-        console.error('Failed to send ticket email:', emailError);
-        // Don't fail the order creation if email fails
-      }
-    }
+    const provider = paymentProvider
+      ? paymentService.provider(paymentProvider)
+      : paymentService.providerFor({ paymentMethod });
 
-    res.status(201).json(savedOrder);
+    const { order, payment } = await paymentService.checkout(provider.name, req.body);
+    const { status, ...details } = payment;
+    res.status(201).json({ ...order.toJSON(), ...details });
   } catch (error) {
+    if (error.statusCode) return sendCheckoutError(res, error);
     console.error('Error creating order:', error);
     res.status(500).json({ error: 'Failed to create order' });
   }
@@ -432,120 +224,17 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Process automatic verification
-router.processAutomaticVerification = async function(order, event) {
-  try {
-    console.log(`Starting automatic verification for order ${order._id}`);
-    
-    // Get MCB Juice number from event or environment
-    const expectedRecipient = event.mcbJuiceNumber || process.env.MCB_JUICE_NUMBER;
-    
-    // Perform OCR verification
-    const verification = await receiptVerificationService.verifyReceipt(
-      order.transferScreenshot,
-      order.totalAmount,
-      order.paymentReference,
-      expectedRecipient
-    );
-    
-    console.log(`Verification result for order ${order._id}:`, {
-      isValid: verification.isValid,
-      confidence: verification.confidence,
-      issues: verification.issues
-    });
-    
-    // Update order with verification results
-    order.verificationNotes = `Automatic verification: ${verification.confidence}% confidence. Issues: ${verification.issues.join(', ')}`;
-    
-    if (verification.isValid && verification.confidence >= 40) {
-      // Automatic approval for any valid verification
-      order.paymentStatus = 'completed';
-      order.verifiedAt = new Date();
-      order.verifiedBy = null; // Automatic verification
-      
-      await order.save();
-      
-      // Generate and send tickets
-      await router.generateAndSendTickets(order, event);
-      
-      console.log(`Order ${order._id} automatically verified and tickets sent`);
-    } else if (verification.confidence >= 20) {
-      // Medium confidence - auto-approve with 5-minute delay for user correction
-      order.paymentStatus = 'pending_auto_approval';
-      order.verificationNotes += ` [Auto-approval in 5 minutes unless corrected - confidence: ${verification.confidence}%]`;
-      order.autoApprovalAt = new Date(Date.now() + 5 * 60 * 1000); // 5 minutes from now
-      
-      await order.save();
-      
-      // Schedule auto-approval
-      setTimeout(async () => {
-        try {
-          const currentOrder = await Order.findById(order._id).populate('eventId');
-          if (currentOrder && currentOrder.paymentStatus === 'pending_auto_approval') {
-            currentOrder.paymentStatus = 'completed';
-            currentOrder.verifiedAt = new Date();
-            currentOrder.verifiedBy = null;
-            currentOrder.verificationNotes += ' [Auto-approved after 5-minute grace period]';
-            await currentOrder.save();
-            await router.generateAndSendTickets(currentOrder, currentOrder.eventId);
-            console.log(`Order ${currentOrder._id} auto-approved after grace period`);
-          }
-        } catch (error) {
-          console.error(`Auto-approval failed for order ${order._id}:`, error);
-        }
-      }, 5 * 60 * 1000);
-      
-      console.log(`Order ${order._id} scheduled for auto-approval in 5 minutes (confidence: ${verification.confidence}%)`);
-    } else if (verification.confidence >= 40) {
-      // Low-medium confidence - quick admin review (1-hour SLA)
-      order.paymentStatus = 'pending_quick_review';
-      order.verificationNotes += ` [Quick review needed - confidence: ${verification.confidence}%]`;
-      order.reviewPriority = 'high';
-      
-      await order.save();
-      
-      console.log(`Order ${order._id} flagged for quick admin review (confidence: ${verification.confidence}%)`);
-    } else {
-      // Very low confidence - auto-approve anyway to reduce friction
-      order.paymentStatus = 'completed';
-      order.verifiedAt = new Date();
-      order.verifiedBy = null; // Automatic verification
-      order.verificationNotes += ` [Auto-approved with low confidence - confidence: ${verification.confidence}%]`;
-      
-      await order.save();
-      
-      // Generate and send tickets
-      await router.generateAndSendTickets(order, event);
-      
-      console.log(`Order ${order._id} auto-approved with low confidence (${verification.confidence}%) and tickets sent`);
-    }
-  } catch (error) {
-    console.error(`Automatic verification failed for order ${order._id}:`, error);
-    // OCR failed - auto-approve anyway to reduce friction
-    order.paymentStatus = 'completed';
-    order.verifiedAt = new Date();
-    order.verifiedBy = null; // Automatic verification
-    order.verificationNotes = `Automatic verification failed: ${error.message} [Auto-approved despite OCR failure]`;
-    await order.save();
-    
-    // Generate and send tickets even if OCR failed
-    try {
-      await router.generateAndSendTickets(order, order.eventId || event);
-      console.log(`Order ${order._id} auto-approved despite OCR failure and tickets sent`);
-    } catch (ticketError) {
-      console.error(`Failed to generate tickets for order ${order._id}:`, ticketError);
-    }
-  }
-};
-
 // Generate and send tickets
 router.generateAndSendTickets = async function(order, event) {
   try {
+    // Held tickets become sold once payment is confirmed
+    await inventoryService.commit(order);
+
     // Generate ticket PDFs
     const tickets = await ticketGeneratorService.generateTicketsForOrder(order, event);
     
     // Send email with tickets
-    await sendTicketEmailWithAttachments(order, event, tickets);
+    await ticketDeliveryService.sendTicketEmail(order, event, tickets);
     
     console.log(`Tickets generated and sent for order ${order._id}`);
   } catch (error) {
@@ -584,167 +273,192 @@ router.sendWhatsAppConfirmation = async function(order, event) {
   }
 };
 
-// Enhanced email function with ticket attachments
-const sendTicketEmailWithAttachments = async (order, event, tickets) => {
-  const nodemailer = require('nodemailer');
-  
-  const transporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
-    }
+
+// Orders the signed-in organizer manages: ones for their own events
+async function findOrganizerOrder(req, res) {
+  const order = await Order.findById(req.params.id).populate('eventId');
+  if (!order || !order.eventId || order.eventId.organizer.toString() !== req.user.userId) {
+    res.status(404).json({ error: 'Order not found' });
+    return null;
+  }
+  return order;
+}
+
+// Change an order's payment status for its organizer. Approving and rejecting
+// go to the order's payment provider, which queues the tickets (and WhatsApp
+// confirmation for WhatsApp payments) or gives the tickets back. Refunds go
+// through POST /:id/refund; other statuses through the state machine.
+async function changePaymentStatus(order, paymentStatus, { actor, notes }) {
+  if (paymentStatus === 'completed') {
+    return paymentService.verify(order, { actor, notes });
+  }
+  if (paymentStatus === 'failed') {
+    return paymentService.reject(order, { actor, notes });
+  }
+  if (paymentStatus === 'refunded') {
+    const error = new Error('Use POST /api/orders/:id/refund to refund an order');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return orderStateMachine.transition(order, paymentStatus, {
+    actor,
+    reason: notes,
+    set: { verifiedBy: actor, verifiedAt: new Date(), ...(notes && { verificationNotes: notes }) }
   });
+}
+
+// Cancel an order: paid orders are refunded in full, unpaid ones rejected
+// (which gives their held tickets back)
+async function cancelOrder(order, { actor, reason, method, reference }) {
+  if (order.paymentStatus === 'completed') {
+    const { order: refundedOrder } = await refundService.refund(order, order.eventId, {
+      method,
+      reference,
+      reason: reason || 'Order cancelled',
+      refundedBy: actor
+    });
+    return refundedOrder;
+  }
 
-  const attachments = tickets.map(ticket => ({
-    filename: ticket.filename,
-    path: ticket.filepath
-  }));
-
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: order.customerInfo.email,
-    subject: `Your Tickets for ${event.name} - Order #${order.orderNumber}`,
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #FF6B35;">🎟️ Your Tickets Are Ready!</h2>
-        
-        <p>Hi ${order.customerInfo.firstName},</p>
-        
-        <p>Great news! Your payment has been verified and your tickets for <strong>${event.name}</strong> are now ready.</p>
-        
-        <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
-          <h3 style="margin-top: 0; color: #333;">Event Details</h3>
-          <p><strong>Event:</strong> ${event.name}</p>
-          <p><strong>Date:</strong> ${new Date(event.startDate).toLocaleDateString('en-US', {
-            weekday: 'long',
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
-          })}</p>
-          <p><strong>Time:</strong> ${new Date(event.startDate).toLocaleTimeString('en-US', {
-            hour: 'numeric',
-            minute: '2-digit',
-            hour12: true
-          })}</p>
-          <p><strong>Venue:</strong> ${event.venueName || event.location}</p>
-        </div>
-        
-        <div style="background: #e8f5e8; padding: 20px; border-radius: 8px; margin: 20px 0;">
-          <h3 style="margin-top: 0; color: #2d5a2d;">Order Summary</h3>
-          <p><strong>Order Number:</strong> ${order.orderNumber}</p>
-          <p><strong>Payment Reference:</strong> ${order.paymentReference}</p>
-          <p><strong>Total Amount:</strong> Rs${order.totalAmount.toFixed(2)}</p>
-        </div>
-        
-        <h3>📎 Your Tickets</h3>
-        <p>Your e-tickets are attached to this email as PDF files. Each ticket contains a unique QR code for entry verification.</p>
-        
-        <div style="background: #fff3cd; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #ffc107;">
-          <h4 style="margin-top: 0; color: #856404;">Important Instructions:</h4>
-          <ul style="color: #856404;">
-            <li>Present your ticket (digital or printed) at the venue entrance</li>
-            <li>Arrive 15-30 minutes before the event starts</li>
-            <li>Keep your QR code safe and do not share it</li>
-            <li>Bring a valid ID for verification</li>
-          </ul>
-        </div>
-        
-        <p>If you have any questions or need assistance, please contact our support team at <a href="mailto:support@ticketeer.com">support@ticketeer.com</a>.</p>
-        
-        <p>We hope you enjoy the event!</p>
-        
-        <p style="color: #666; font-size: 14px; margin-top: 30px;">
-          Best regards,<br>
-          The Ticketeer Team
-        </p>
-      </div>
-    `,
-    attachments
-  };
-
-  await transporter.sendMail(mailOptions);
-};
+  return paymentService.reject(order, {
+    actor,
+    reason: reason || 'Order cancelled',
+    set: { status: 'cancelled' }
+  });
+}
 
-// PUT /api/orders/:id/verify - Verify MCB Juice payment (Admin only)
-router.put('/:id/verify', async (req, res) => {
+// PUT /api/orders/:id/verify - Approve, reject or move a payment along (organizer)
+router.put('/:id/verify', authenticateToken, async (req, res) => {
   try {
-    const { paymentStatus, verificationNotes, verifiedBy } = req.body;
-    
-    const order = await Order.findById(req.params.id).populate('eventId');
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
+    const { paymentStatus, verificationNotes } = req.body;
 
-    // Update payment status and verification info
-    order.paymentStatus = paymentStatus;
-    if (verificationNotes) order.verificationNotes = verificationNotes;
-    if (verifiedBy) order.verifiedBy = verifiedBy;
-    order.verifiedAt = new Date();
-
-    const updatedOrder = await order.save();
-
-    // Send confirmation email and WhatsApp if payment is verified as completed
-    if (paymentStatus === 'completed') {
-      try {
-        // Always send email with tickets
-        await router.generateAndSendTickets(updatedOrder, order.eventId);
-        
-        // Always send WhatsApp confirmation to customer (for all payment methods)
-        await router.sendWhatsAppConfirmation(updatedOrder, order.eventId);
-        
-        console.log(`Manual verification completed, tickets sent via email and WhatsApp confirmation sent for order ${updatedOrder._id}`);
-      } catch (error) {
-        console.error('Failed to send confirmations:', error);
-        // Don't throw error to prevent verification from failing if notifications fail
-      }
-    }
+    const order = await findOrganizerOrder(req, res);
+    if (!order) return;
+
+    const updatedOrder = await changePaymentStatus(order, paymentStatus, {
+      actor: req.user.userId,
+      notes: verificationNotes
+    });
 
     res.json(updatedOrder);
   } catch (error) {
+    if (error.statusCode) return sendCheckoutError(res, error);
     console.error('Error verifying order:', error);
     res.status(500).json({ error: 'Failed to verify order' });
   }
 });
 
-// PUT /api/orders/:id - Update order status
-router.put('/:id', async (req, res) => {
+// POST /api/orders/:id/refund - Refund some or all of an order's tickets (organizer)
+router.post('/:id/refund', authenticateToken, async (req, res) => {
   try {
-    const { status, paymentStatus } = req.body;
-    
-    const order = await Order.findById(req.params.id);
+    const order = await Order.findById(req.params.id).populate('eventId');
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
 
-    if (status) order.status = status;
-    if (paymentStatus) order.paymentStatus = paymentStatus;
+    const event = order.eventId;
+    if (!event || event.organizer.toString() !== req.user.userId) {
+      return res.status(403).json({ error: 'Not authorized to refund this order' });
+    }
+
+    const { ticketIds, amount, method, reference, reason } = req.body;
+    const { order: updatedOrder, refund } = await refundService.refund(order, event, {
+      ticketIds,
+      amount,
+      method,
+      reference,
+      reason,
+      refundedBy: req.user.userId
+    });
+
+    res.json({
+      success: true,
+      message: refund.full ? 'Order refunded' : `${refund.tickets.length} ticket(s) refunded`,
+      refund,
+      order: updatedOrder
+    });
+  } catch (error) {
+    if (error.statusCode) return sendCheckoutError(res, error);
+    console.error('Error refunding order:', error);
+    res.status(500).json({ error: 'Failed to refund order' });
+  }
+});
+
+// PUT /api/orders/:id - Update an order's status (organizer). `status`
+// cancelled or refunded cancels or fully refunds the order (`method` and
+// `reference` as for POST /:id/refund); `paymentStatus` changes the payment
+// as PUT /:id/verify does.
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { status, paymentStatus, notes, method, reference } = req.body;
+
+    if (status && paymentStatus) {
+      return res.status(400).json({ error: 'Send either status or paymentStatus, not both' });
+    }
+    if (status && !['cancelled', 'refunded'].includes(status)) {
+      return res.status(400).json({ error: 'status can only be changed to cancelled or refunded' });
+    }
+
+    const order = await findOrganizerOrder(req, res);
+    if (!order) return;
+
+    const actor = req.user.userId;
+    let updatedOrder = order;
+    if (status === 'refunded') {
+      ({ order: updatedOrder } = await refundService.refund(order, order.eventId, {
+        method,
+        reference,
+        reason: notes,
+        refundedBy: actor
+      }));
+    } else if (status === 'cancelled') {
+      updatedOrder = await cancelOrder(order, { actor, reason: notes, method, reference });
+    } else if (paymentStatus && paymentStatus !== order.paymentStatus) {
+      updatedOrder = await changePaymentStatus(order, paymentStatus, { actor, notes });
+    }
 
-    const updatedOrder = await order.save();
     res.json(updatedOrder);
   } catch (error) {
+    if (error.statusCode) return sendCheckoutError(res, error);
     console.error('Error updating order:', error);
     res.status(500).json({ error: 'Failed to update order' });
   }
 });
 
-// DELETE /api/orders/:id - Cancel/delete order
-router.delete('/:id', async (req, res) => {
+// DELETE /api/orders/:id - Cancel an order (organizer). Orders are never
+// deleted; paid ones are refunded in full.
+router.delete('/:id', authenticateToken, async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id);
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
+    const order = await findOrganizerOrder(req, res);
+    if (!order) return;
 
-    // Update status to cancelled instead of deleting
-    order.status = 'cancelled';
-    await order.save();
+    const { reason, method, reference } = req.body || {};
+    await cancelOrder(order, { actor: req.user.userId, reason, method, reference });
 
     res.json({ message: 'Order cancelled successfully' });
   } catch (error) {
+    if (error.statusCode) return sendCheckoutError(res, error);
     console.error('Error cancelling order:', error);
     res.status(500).json({ error: 'Failed to cancel order' });
   }
 });
 
+// Background jobs (see services/jobQueue.js). Handlers reload the order so a
+// job that runs late, or twice, acts on its current state.
+jobQueue.define('orders.sendTickets', async ({ orderId }) => {
+  const order = await Order.findById(orderId).populate('eventId');
+  if (!order || order.paymentStatus !== 'completed') return;
+  if (!order.eventId) throw new Error(`Event for order ${orderId} not found`);
+
+  await router.generateAndSendTickets(order, order.eventId);
+}, { maxAttempts: 6 });
+
+jobQueue.define('orders.sendWhatsAppConfirmation', async ({ orderId }) => {
+  const order = await Order.findById(orderId).populate('eventId');
+  if (!order || order.paymentStatus !== 'completed' || !order.eventId) return;
+
+  await router.sendWhatsAppConfirmation(order, order.eventId);
+});
+
 module.exports = router;
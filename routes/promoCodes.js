@@ -0,0 +1,175 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Event = require('../models/Event');
+const PromoCode = require('../models/PromoCode');
+const authenticateToken = require('../middleware/authenticateToken');
+const promoCodeService = require('../services/promoCodes');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['label', 'type', 'value', 'ticketTypeIds', 'maxUses', 'maxUsesPerCustomer', 'startsAt', 'endsAt', 'active'];
+
+const promoCodeRules = [
+  body('type').optional().isIn(['percent', 'fixed']),
+  body('value').optional().isFloat({ min: 0 }),
+  body('ticketTypeIds').optional().isArray(),
+  body('maxUses').optional({ nullable: true }).isInt({ min: 1 }),
+  body('maxUsesPerCustomer').optional({ nullable: true }).isInt({ min: 1 }),
+  body('startsAt').optional({ nullable: true }).isISO8601(),
+  body('endsAt').optional({ nullable: true }).isISO8601(),
+  body('active').optional().isBoolean(),
+];
+
+function pick(source, fields) {
+  return fields.reduce((picked, field) => {
+    if (source[field] !== undefined) picked[field] = source[field];
+    return picked;
+  }, {});
+}
+
+// Checks that only make sense on the whole code: percent range, window order
+// and ticket types that exist on the code's event
+function promoCodeProblem(promo, event) {
+  if (promo.type === 'percent' && promo.value > 100) {
+    return 'Percentage discounts cannot exceed 100';
+  }
+  if (promo.startsAt && promo.endsAt && new Date(promo.startsAt) >= new Date(promo.endsAt)) {
+    return 'endsAt must be after startsAt';
+  }
+  if (event && promo.ticketTypeIds && promo.ticketTypeIds.some(id => !event.ticketTypes.id(id))) {
+    return 'Some ticket types do not belong to this event';
+  }
+  return null;
+}
+
+async function findOwnedPromoCode(req, res) {
+  const promo = await PromoCode.findById(req.params.id);
+  if (!promo || promo.organizer.toString() !== req.user.userId) {
+    res.status(404).json({ error: 'Promo code not found' });
+    return null;
+  }
+  return promo;
+}
+
+// GET /api/promo-codes - List the organizer's promo codes (?eventId= to filter)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const filter = { organizer: req.user.userId };
+    if (req.query.eventId) {
+      filter.eventId = req.query.eventId;
+    }
+
+    const promoCodes = await PromoCode.find(filter).sort({ createdAt: -1 });
+    res.json(promoCodes);
+  } catch (error) {
+    console.error('Error fetching promo codes:', error);
+    res.status(500).json({ error: 'Failed to fetch promo codes' });
+  }
+});
+
+// POST /api/promo-codes - Create a promo code for one event or all of the organizer's events
+router.post('/', authenticateToken, [
+  body('code').trim().notEmpty(),
+  body('type').isIn(['percent', 'fixed']),
+  body('value').isFloat({ min: 0 }),
+  ...promoCodeRules,
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    let event = null;
+    if (req.body.eventId) {
+      event = await Event.findById(req.body.eventId);
+      if (!event || event.organizer.toString() !== req.user.userId) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+    }
+
+    const fields = {
+      ...pick(req.body, EDITABLE_FIELDS),
+      code: promoCodeService.normalize(req.body.code),
+      organizer: req.user.userId,
+      eventId: event ? event._id : null
+    };
+
+    const problem = promoCodeProblem(fields, event);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    const promo = await PromoCode.create(fields);
+    res.status(201).json(promo);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A promo code with this code already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error creating promo code:', error);
+    res.status(500).json({ error: 'Failed to create promo code' });
+  }
+});
+
+// PUT /api/promo-codes/:id - Update a promo code (the code itself and its event can't change)
+router.put('/:id', authenticateToken, promoCodeRules, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const promo = await findOwnedPromoCode(req, res);
+    if (!promo) return;
+
+    promo.set(pick(req.body, EDITABLE_FIELDS));
+
+    const event = promo.eventId ? await Event.findById(promo.eventId) : null;
+    const problem = promoCodeProblem(promo, event);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    await promo.save();
+    res.json(promo);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating promo code:', error);
+    res.status(500).json({ error: 'Failed to update promo code' });
+  }
+});
+
+// DELETE /api/promo-codes/:id - Deactivate a promo code (kept for reporting)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const promo = await findOwnedPromoCode(req, res);
+    if (!promo) return;
+
+    promo.active = false;
+    await promo.save();
+    res.json({ success: true, message: 'Promo code deactivated' });
+  } catch (error) {
+    console.error('Error deactivating promo code:', error);
+    res.status(500).json({ error: 'Failed to deactivate promo code' });
+  }
+});
+
+// GET /api/promo-codes/:id/usage - Orders, revenue and discount given through a code
+router.get('/:id/usage', authenticateToken, async (req, res) => {
+  try {
+    const promo = await findOwnedPromoCode(req, res);
+    if (!promo) return;
+
+    res.json({ promoCode: promo, ...(await promoCodeService.usage(promo)) });
+  } catch (error) {
+    console.error('Error fetching promo code usage:', error);
+    res.status(500).json({ error: 'Failed to fetch promo code usage' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const Event = require('../models/Event');
+const Reconciliation = require('../models/Reconciliation');
+const authenticateToken = require('../middleware/authenticateToken');
+const reconciliationService = require('../services/reconciliation');
+
+const router = express.Router();
+
+// Statements are small text exports, read straight from memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit
+  },
+  fileFilter: function (req, file, cb) {
+    if (['.csv', '.ofx', '.qfx', '.txt'].includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Statements must be CSV or OFX files'), false);
+    }
+  }
+});
+
+function sendReconciliationError(res, error, fallback) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
+
+async function findOwnedReconciliation(req, res) {
+  const reconciliation = await Reconciliation.findById(req.params.id);
+  if (!reconciliation || reconciliation.organizer.toString() !== req.user.userId) {
+    res.status(404).json({ error: 'Reconciliation not found' });
+    return null;
+  }
+  return reconciliation;
+}
+
+// POST /api/reconciliation/statements - Upload a bank or MCB Juice statement
+// (multipart `statement`, optional `eventId`) and match it to pending orders.
+// `apply=true` verifies the matched orders straight away.
+router.post('/statements', authenticateToken, upload.single('statement'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Statement file is required' });
+    }
+
+    const { eventId } = req.body;
+    if (eventId) {
+      const event = await Event.findById(eventId).select('organizer');
+      if (!event || event.organizer.toString() !== req.user.userId) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+    }
+
+    let reconciliation = await reconciliationService.reconcile(req.user.userId, req.file.buffer, {
+      filename: req.file.originalname,
+      eventId
+    });
+
+    let applied = 0;
+    if (req.body.apply === 'true' || req.body.apply === true) {
+      ({ reconciliation, applied } = await reconciliationService.apply(reconciliation, { actor: req.user.userId }));
+    }
+
+    res.status(201).json({ reconciliation, applied });
+  } catch (error) {
+    sendReconciliationError(res, error, 'Failed to reconcile statement');
+  }
+});
+
+// GET /api/reconciliation/statements - The organizer's uploaded statements, newest first
+router.get('/statements', authenticateToken, async (req, res) => {
+  try {
+    const reconciliations = await Reconciliation.find({ organizer: req.user.userId })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json(reconciliations.map(reconciliation => ({
+      _id: reconciliation._id,
+      filename: reconciliation.filename,
+      format: reconciliation.format,
+      eventId: reconciliation.eventId,
+      summary: reconciliation.summary,
+      createdAt: reconciliation.createdAt
+    })));
+  } catch (error) {
+    sendReconciliationError(res, error, 'Failed to fetch reconciliations');
+  }
+});
+
+// GET /api/reconciliation/statements/:id - Reconciliation report (?status= to filter lines)
+router.get('/statements/:id', authenticateToken, async (req, res) => {
+  try {
+    const reconciliation = await findOwnedReconciliation(req, res);
+    if (!reconciliation) return;
+
+    const report = reconciliation.toJSON();
+    if (req.query.status) {
+      const statuses = req.query.status.split(',').map(status => status.trim());
+      report.lines = report.lines.filter(line => statuses.includes(line.status));
+    }
+
+    res.json(report);
+  } catch (error) {
+    sendReconciliationError(res, error, 'Failed to fetch reconciliation');
+  }
+});
+
+// GET /api/reconciliation/statements/:id/export - Download the report as CSV
+router.get('/statements/:id/export', authenticateToken, async (req, res) => {
+  try {
+    const reconciliation = await findOwnedReconciliation(req, res);
+    if (!reconciliation) return;
+
+    res.set({
+      'Content-Type': 'text/csv',
+      'Content-Disposition': `attachment; filename="reconciliation-${reconciliation._id}.csv"`
+    });
+    res.send(reconciliationService.toCsv(reconciliation));
+  } catch (error) {
+    sendReconciliationError(res, error, 'Failed to export reconciliation');
+  }
+});
+
+// POST /api/reconciliation/statements/:id/apply - Verify the orders behind
+// matched lines, or behind the given `lineIds` (which may be probable lines)
+router.post('/statements/:id/apply', authenticateToken, async (req, res) => {
+  try {
+    const reconciliation = await findOwnedReconciliation(req, res);
+    if (!reconciliation) return;
+
+    const { lineIds } = req.body;
+    if (lineIds !== undefined && !Array.isArray(lineIds)) {
+      return res.status(400).json({ error: 'lineIds must be an array' });
+    }
+
+    const result = await reconciliationService.apply(reconciliation, { lineIds, actor: req.user.userId });
+
+    res.json({
+      success: true,
+      message: `${result.applied} order(s) verified`,
+      applied: result.applied,
+      reconciliation: result.reconciliation
+    });
+  } catch (error) {
+    sendReconciliationError(res, error, 'Failed to apply reconciliation');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const stripeService = require('../services/stripe');
+const stripeWebhookService = require('../services/stripeWebhooks');
+
+// Mounted in index.js ahead of the JSON body parser: the signature covers
+// the raw request body, so it has to reach us untouched.
+const router = express.Router();
+
+// POST /api/payments/stripe/webhook - Payment and refund events from Stripe
+router.post('/', express.raw({ type: 'application/json' }), async (req, res) => {
+  let stripeEvent;
+  try {
+    stripeEvent = stripeService.constructEvent(req.body, req.headers['stripe-signature']);
+  } catch (error) {
+    console.error('Rejected Stripe webhook:', error.message);
+    return res.status(error.statusCode || 400).json({ error: error.message });
+  }
+
+  try {
+    const result = await stripeWebhookService.handle(stripeEvent);
+    res.json({ received: true, ...result });
+  } catch (error) {
+    // A non-2xx response makes Stripe retry the delivery later
+    console.error(`Error handling Stripe event ${stripeEvent.id} (${stripeEvent.type}):`, error);
+    res.status(500).json({ error: 'Failed to handle Stripe event' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,323 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const Ticket = require('../models/Ticket');
+const Order = require('../models/Order');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const authenticateToken = require('../middleware/authenticateToken');
+const ticketGeneratorService = require('../services/ticketGenerator');
+const ticketDeliveryService = require('../services/ticketDelivery');
+const { templates: ticketTemplates } = require('../services/ticketTemplates');
+const storageService = require('../services/storage');
+
+const router = express.Router();
+
+// Load a ticket and make sure the caller organizes its event
+async function findTicketForOrganizer(req, res) {
+  const ticket = await Ticket.findOne({ ticketId: req.params.ticketId });
+  if (!ticket) {
+    res.status(404).json({ error: 'Ticket not found' });
+    return null;
+  }
+
+  const event = await Event.findById(ticket.eventId);
+  if (!event || event.organizer.toString() !== req.user.userId) {
+    res.status(403).json({ error: 'Not authorized to manage this ticket' });
+    return null;
+  }
+
+  return { ticket, event };
+}
+
+// Ticket downloads are open to the event organizer, the buyer's account, or
+// anyone holding the signed link from the ticket email.
+async function canDownloadOrder(req, order) {
+  if (req.query.token) {
+    return ticketGeneratorService.isValidDownloadToken(order._id.toString(), req.query.expires, req.query.token);
+  }
+
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  if (!token) return false;
+
+  let user;
+  try {
+    user = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return false;
+  }
+
+  if (order.eventId.organizer.toString() === user.userId) return true;
+  if (order.attendees.some(attendee => attendee.user && attendee.user.toString() === user.userId)) return true;
+
+  const account = await User.findById(user.userId);
+  return !!(account && account.emailConfirmed && account.email === order.customerInfo.email.toLowerCase().trim());
+}
+
+async function findOrderForDownload(req, res) {
+  const order = await Order.findById(req.params.orderId).populate('eventId');
+  if (!order || !order.eventId) {
+    res.status(404).json({ error: 'Order not found' });
+    return null;
+  }
+
+  if (!(await canDownloadOrder(req, order))) {
+    res.status(403).json({ error: 'Not authorized to download these tickets' });
+    return null;
+  }
+
+  if (order.paymentStatus !== 'completed' || order.status !== 'confirmed') {
+    res.status(409).json({ error: 'Tickets are only available for confirmed, paid orders' });
+    return null;
+  }
+
+  return order;
+}
+
+// GET /api/tickets/order/:orderId - List tickets issued for an order
+router.get('/order/:orderId', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId).populate('eventId');
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (!order.eventId || order.eventId.organizer.toString() !== req.user.userId) {
+      return res.status(403).json({ error: 'Not authorized to view these tickets' });
+    }
+
+    const tickets = await Ticket.find({ orderId: order._id }).sort({ sequence: 1, createdAt: 1 });
+    res.json(tickets);
+  } catch (error) {
+    console.error('Error fetching order tickets:', error);
+    res.status(500).json({ error: 'Failed to fetch tickets' });
+  }
+});
+
+// GET /api/tickets/order/:orderId/download - List downloadable tickets for an order (buyer or signed link)
+router.get('/order/:orderId/download', async (req, res) => {
+  try {
+    const order = await findOrderForDownload(req, res);
+    if (!order) return;
+
+    // Guests keep using their signed link for the individual files
+    const query = req.query.token ? `?expires=${encodeURIComponent(req.query.expires)}&token=${encodeURIComponent(req.query.token)}` : '';
+    const tickets = await ticketGeneratorService.buyerTickets(order);
+
+    res.json({
+      orderNumber: order.orderNumber,
+      event: {
+        id: order.eventId._id,
+        name: order.eventId.name,
+        startDate: order.eventId.startDate
+      },
+      tickets: tickets.map(ticket => ({
+        ticketId: ticket.ticketId,
+        ticketTypeName: ticket.ticketTypeName,
+        sequence: ticket.sequence,
+        holder: { firstName: ticket.holder.firstName, lastName: ticket.holder.lastName },
+        checkedIn: !!ticket.checkedInAt,
+        downloadUrl: `/api/tickets/order/${order._id}/download/${ticket.ticketId}${query}`
+      }))
+    });
+  } catch (error) {
+    console.error('Error listing ticket downloads:', error);
+    res.status(500).json({ error: 'Failed to fetch tickets' });
+  }
+});
+
+// GET /api/tickets/order/:orderId/download/:ticketId - Download one ticket PDF (buyer or signed link)
+router.get('/order/:orderId/download/:ticketId', async (req, res) => {
+  try {
+    const order = await findOrderForDownload(req, res);
+    if (!order) return;
+
+    const ticket = await Ticket.findOne({ orderId: order._id, ticketId: req.params.ticketId });
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    // Replaced tickets are never served again; their QR codes no longer scan
+    if (ticket.status !== 'active') {
+      return res.status(410).json({ error: 'This ticket has been replaced or voided' });
+    }
+
+    // Tickets transferred to someone else are theirs to download
+    const [held] = await ticketGeneratorService.buyerTickets(order, { _id: ticket._id });
+    if (!held) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    const key = await ticketGeneratorService.ensureTicketFile(ticket, order, order.eventId);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="ticket-${ticket.ticketId}.pdf"`
+    });
+    storageService.createReadStream(key)
+      .on('error', (streamError) => {
+        console.error('Error streaming ticket file:', streamError);
+        res.destroy(streamError);
+      })
+      .pipe(res);
+  } catch (error) {
+    console.error('Error downloading ticket:', error);
+    res.status(500).json({ error: 'Failed to download ticket' });
+  }
+});
+
+// POST /api/tickets/order/:orderId/regenerate - Reissue the buyer's tickets after a name change or event update (organizer).
+// Tickets transferred to someone else are left alone.
+router.post('/order/:orderId/regenerate', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId).populate('eventId');
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const event = order.eventId;
+    if (!event || event.organizer.toString() !== req.user.userId) {
+      return res.status(403).json({ error: 'Not authorized to regenerate these tickets' });
+    }
+
+    if (order.paymentStatus !== 'completed' || order.status !== 'confirmed') {
+      return res.status(409).json({ error: 'Tickets can only be regenerated for confirmed, paid orders' });
+    }
+
+    const { ticketIds, holder, reason, resend = true } = req.body;
+    const tickets = await ticketGeneratorService.regenerateOrderTickets(order, event, {
+      ticketIds,
+      holder,
+      reason,
+      reissuedBy: req.user.userId
+    });
+
+    if (tickets.length === 0) {
+      return res.status(400).json({ error: 'No active tickets to regenerate' });
+    }
+
+    let emailed = false;
+    if (resend) {
+      try {
+        await ticketDeliveryService.sendTicketEmail(order, event, tickets);
+        emailed = true;
+      } catch (emailError) {
+        console.error(`Failed to email regenerated tickets for order ${order._id}:`, emailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `${tickets.length} ticket(s) regenerated`,
+      emailed,
+      tickets: tickets.map(reissued => reissued.ticket)
+    });
+  } catch (error) {
+    console.error('Error regenerating tickets:', error);
+    res.status(500).json({ error: 'Failed to regenerate tickets' });
+  }
+});
+
+// GET /api/tickets/events/:eventId/preview - Sample ticket PDF for a template (organizer)
+router.get('/events/:eventId/preview', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user.userId) {
+      return res.status(403).json({ error: 'Not authorized to preview tickets for this event' });
+    }
+
+    const { template } = req.query;
+    if (template && !ticketTemplates[template]) {
+      return res.status(400).json({
+        error: 'Unknown ticket template',
+        templates: Object.entries(ticketTemplates).map(([name, t]) => ({ name, label: t.label }))
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="ticket-preview-${template || 'event'}.pdf"`
+    });
+    await ticketGeneratorService.renderPreview(res, event, template);
+  } catch (error) {
+    console.error('Error rendering ticket preview:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ error: 'Failed to render ticket preview' });
+  }
+});
+
+// GET /api/tickets/:ticketId - Look up a single ticket
+router.get('/:ticketId', authenticateToken, async (req, res) => {
+  try {
+    const found = await findTicketForOrganizer(req, res);
+    if (!found) return;
+
+    res.json(found.ticket);
+  } catch (error) {
+    console.error('Error fetching ticket:', error);
+    res.status(500).json({ error: 'Failed to fetch ticket' });
+  }
+});
+
+// POST /api/tickets/:ticketId/void - Void a ticket so it no longer admits entry
+router.post('/:ticketId/void', authenticateToken, async (req, res) => {
+  try {
+    const found = await findTicketForOrganizer(req, res);
+    if (!found) return;
+
+    if (found.ticket.status === 'void') {
+      return res.status(400).json({ error: 'Ticket is already void' });
+    }
+
+    const ticket = await ticketGeneratorService.voidTicket(found.ticket, {
+      reason: req.body.reason,
+      voidedBy: req.user.userId
+    });
+
+    res.json({ success: true, message: 'Ticket voided', ticket });
+  } catch (error) {
+    console.error('Error voiding ticket:', error);
+    res.status(500).json({ error: 'Failed to void ticket' });
+  }
+});
+
+// POST /api/tickets/:ticketId/reissue - Replace a ticket with a new ID and QR code
+router.post('/:ticketId/reissue', authenticateToken, async (req, res) => {
+  try {
+    const found = await findTicketForOrganizer(req, res);
+    if (!found) return;
+
+    if (found.ticket.status === 'void') {
+      return res.status(400).json({ error: 'Cannot reissue a void ticket' });
+    }
+
+    const order = await Order.findById(found.ticket.orderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const { reason, holder } = req.body;
+    const reissued = await ticketGeneratorService.reissueTicket(found.ticket, order, found.event, {
+      reason,
+      reissuedBy: req.user.userId,
+      holder
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Ticket reissued',
+      previousTicketId: found.ticket.ticketId,
+      ticket: reissued.ticket
+    });
+  } catch (error) {
+    console.error('Error reissuing ticket:', error);
+    res.status(500).json({ error: 'Failed to reissue ticket' });
+  }
+});
+
+module.exports = router;
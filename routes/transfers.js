@@ -0,0 +1,150 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Event = require('../models/Event');
+const TicketTransfer = require('../models/TicketTransfer');
+const authenticateToken = require('../middleware/authenticateToken');
+const ticketTransferService = require('../services/ticketTransfer');
+
+const router = express.Router();
+
+function sendTransferError(res, error, fallback) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
+
+// POST /api/transfers - Start transferring a ticket to another person
+router.post('/', [
+  body('ticketId').notEmpty().trim(),
+  body('holderEmail').isEmail(),
+  body('recipient.email').isEmail(),
+  body('recipient.firstName').optional().trim().isLength({ max: 50 }),
+  body('recipient.lastName').optional().trim().isLength({ max: 50 }),
+  body('message').optional().trim().isLength({ max: 500 }),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { ticketId, holderEmail, recipient, message } = req.body;
+
+    const transfer = await ticketTransferService.startTransfer({
+      ticketId,
+      holderEmail,
+      recipient: {
+        firstName: recipient.firstName,
+        lastName: recipient.lastName,
+        email: recipient.email.toLowerCase().trim()
+      },
+      message
+    });
+
+    res.status(201).json({
+      success: true,
+      transferId: transfer._id,
+      status: transfer.status,
+      message: 'Check the ticket holder\'s inbox to confirm the transfer.'
+    });
+  } catch (error) {
+    sendTransferError(res, error, 'Failed to start transfer');
+  }
+});
+
+// POST /api/transfers/confirm/:token - Holder confirms the transfer
+router.post('/confirm/:token', async (req, res) => {
+  try {
+    const transfer = await ticketTransferService.confirmTransfer(req.params.token);
+    res.json({ success: true, status: transfer.status, message: 'Transfer confirmed. The recipient has been emailed.' });
+  } catch (error) {
+    sendTransferError(res, error, 'Failed to confirm transfer');
+  }
+});
+
+// POST /api/transfers/cancel/:token - Holder cancels a transfer that hasn't been accepted
+router.post('/cancel/:token', async (req, res) => {
+  try {
+    const transfer = await ticketTransferService.cancelTransfer(req.params.token);
+    res.json({ success: true, status: transfer.status, message: 'Transfer cancelled' });
+  } catch (error) {
+    sendTransferError(res, error, 'Failed to cancel transfer');
+  }
+});
+
+// GET /api/transfers/accept/:token - Details of a ticket offered to the recipient
+router.get('/accept/:token', async (req, res) => {
+  try {
+    const offer = await ticketTransferService.describeOffer(req.params.token);
+    res.json(offer);
+  } catch (error) {
+    sendTransferError(res, error, 'Failed to fetch transfer');
+  }
+});
+
+// POST /api/transfers/accept/:token - Recipient accepts and receives a new ticket
+router.post('/accept/:token', [
+  body('firstName').notEmpty().trim().isLength({ max: 50 }),
+  body('lastName').notEmpty().trim().isLength({ max: 50 }),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { firstName, lastName } = req.body;
+    const { ticket } = await ticketTransferService.acceptTransfer(req.params.token, { firstName, lastName });
+
+    res.json({
+      success: true,
+      message: 'Transfer accepted. Your ticket has been emailed to you.',
+      ticketId: ticket.ticketId
+    });
+  } catch (error) {
+    sendTransferError(res, error, 'Failed to accept transfer');
+  }
+});
+
+// POST /api/transfers/decline/:token - Recipient declines the ticket
+router.post('/decline/:token', async (req, res) => {
+  try {
+    const transfer = await ticketTransferService.declineTransfer(req.params.token);
+    res.json({ success: true, status: transfer.status, message: 'Transfer declined' });
+  } catch (error) {
+    sendTransferError(res, error, 'Failed to decline transfer');
+  }
+});
+
+// GET /api/transfers/event/:eventId - Transfer history for an event (organizer)
+router.get('/event/:eventId', authenticateToken, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user.userId) {
+      return res.status(403).json({ error: 'Not authorized to view transfers for this event' });
+    }
+
+    const transfers = await TicketTransfer.find({ eventId: event._id })
+      .select('-holderTokenHash -recipientTokenHash')
+      .populate('ticket', 'ticketId ticketTypeName status')
+      .populate('newTicket', 'ticketId status')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      transferSettings: event.transferSettings,
+      transferCutoff: ticketTransferService.transferCutoff(event),
+      transfers
+    });
+  } catch (error) {
+    console.error('Error fetching transfers:', error);
+    res.status(500).json({ error: 'Failed to fetch transfers' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Event = require('../models/Event');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const authenticateToken = require('../middleware/authenticateToken');
+const waitlistService = require('../services/waitlist');
+const ticketSalesService = require('../services/ticketSales');
+
+const router = express.Router();
+
+function sendWaitlistError(res, error, fallback) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
+
+async function findOrganizerEvent(req, res) {
+  const event = await Event.findById(req.params.eventId);
+  if (!event) {
+    res.status(404).json({ error: 'Event not found' });
+    return null;
+  }
+
+  if (event.organizer.toString() !== req.user.userId) {
+    res.status(403).json({ error: 'Not authorized to manage this waitlist' });
+    return null;
+  }
+
+  return event;
+}
+
+// POST /api/waitlist/events/:eventId - Join the waitlist for a sold-out ticket type
+router.post('/events/:eventId', [
+  body('ticketTypeId').notEmpty(),
+  body('email').isEmail(),
+  body('firstName').optional().trim().isLength({ max: 50 }),
+  body('lastName').optional().trim().isLength({ max: 50 }),
+  body('quantity').optional().isInt({ min: 1, max: 10 }),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const { ticketTypeId, email, firstName, lastName, quantity } = req.body;
+    const entry = await waitlistService.join(event, ticketTypeId, {
+      email: email.toLowerCase().trim(),
+      firstName,
+      lastName,
+      quantity: quantity ? parseInt(quantity, 10) : 1
+    });
+
+    res.status(201).json({
+      success: true,
+      entryId: entry._id,
+      position: await waitlistService.position(entry),
+      message: 'You are on the waitlist. We will email you if tickets become available.'
+    });
+  } catch (error) {
+    sendWaitlistError(res, error, 'Failed to join waitlist');
+  }
+});
+
+// GET /api/waitlist/offers/:token - What a waitlist offer link holds, for the checkout page
+router.get('/offers/:token', async (req, res) => {
+  try {
+    const entry = await waitlistService.findOffer(req.params.token);
+    const event = await Event.findById(entry.eventId).select('-eventPassword');
+    const ticketType = event && event.ticketTypes.id(entry.ticketTypeId);
+    if (!ticketType) {
+      return res.status(404).json({ error: 'Offer not found' });
+    }
+
+    res.json({
+      event: { _id: event._id, name: event.name, startDate: event.startDate, venueName: event.venueName, location: event.location },
+      ticketType: ticketSalesService.publicTicketType(ticketType),
+      quantity: entry.quantity,
+      email: entry.email,
+      firstName: entry.firstName,
+      lastName: entry.lastName,
+      offerExpiresAt: entry.offerExpiresAt
+    });
+  } catch (error) {
+    sendWaitlistError(res, error, 'Failed to load waitlist offer');
+  }
+});
+
+// GET /api/waitlist/events/:eventId/entries - View an event's waitlist in line order (organizer)
+router.get('/events/:eventId/entries', authenticateToken, async (req, res) => {
+  try {
+    const event = await findOrganizerEvent(req, res);
+    if (!event) return;
+
+    const filter = { eventId: event._id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.ticketTypeId) filter.ticketTypeId = req.query.ticketTypeId;
+
+    const entries = await WaitlistEntry.find(filter).sort({ ticketTypeId: 1, createdAt: 1 });
+    const summary = event.ticketTypes.map(type => ({
+      ticketTypeId: type._id,
+      name: type.name,
+      waiting: entries.filter(entry => entry.ticketTypeId === type._id.toString() && entry.status === 'waiting').length,
+      offered: entries.filter(entry => entry.ticketTypeId === type._id.toString() && entry.status === 'offered').length
+    }));
+
+    res.json({ summary, entries });
+  } catch (error) {
+    sendWaitlistError(res, error, 'Failed to fetch waitlist');
+  }
+});
+
+// GET /api/waitlist/events/:eventId/export - Download the waitlist as CSV (organizer)
+router.get('/events/:eventId/export', authenticateToken, async (req, res) => {
+  try {
+    const event = await findOrganizerEvent(req, res);
+    if (!event) return;
+
+    const entries = await WaitlistEntry.find({ eventId: event._id }).sort({ ticketTypeId: 1, createdAt: 1 });
+
+    res.set({
+      'Content-Type': 'text/csv',
+      'Content-Disposition': `attachment; filename="waitlist-${event._id}.csv"`
+    });
+    res.send(waitlistService.toCsv(entries, event));
+  } catch (error) {
+    sendWaitlistError(res, error, 'Failed to export waitlist');
+  }
+});
+
+// POST /api/waitlist/events/:eventId/release - Add tickets and offer them to the waitlist (organizer)
+router.post('/events/:eventId/release', authenticateToken, [
+  body('ticketTypeId').notEmpty(),
+  body('quantity').isInt({ min: 1 }),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const event = await findOrganizerEvent(req, res);
+    if (!event) return;
+
+    const offered = await waitlistService.releaseStock(event, req.body.ticketTypeId, parseInt(req.body.quantity, 10));
+
+    res.json({
+      success: true,
+      offered,
+      message: `${offered} waitlist offer(s) sent`
+    });
+  } catch (error) {
+    sendWaitlistError(res, error, 'Failed to release tickets to the waitlist');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,215 @@
+const express = require('express');
+const Ticket = require('../models/Ticket');
+const Event = require('../models/Event');
+const WalletRegistration = require('../models/WalletRegistration');
+const walletPassService = require('../services/walletPass');
+
+const router = express.Router();
+
+// Tickets reached through an emailed wallet link
+async function findTicketForLink(req, res) {
+  if (!walletPassService.isValidAccessToken(req.params.ticketId, req.query.token)) {
+    res.status(403).json({ error: 'Invalid or missing wallet link token' });
+    return null;
+  }
+
+  const ticket = await Ticket.findOne({ ticketId: req.params.ticketId });
+  if (!ticket) {
+    res.status(404).json({ error: 'Ticket not found' });
+    return null;
+  }
+
+  const event = await Event.findById(ticket.eventId);
+  if (!event) {
+    res.status(404).json({ error: 'Event not found' });
+    return null;
+  }
+
+  return { ticket, event };
+}
+
+// Last time anything shown on the pass changed
+function passLastUpdated(ticket, event) {
+  return new Date(Math.max(new Date(ticket.updatedAt).getTime(), new Date(event.updatedAt).getTime()));
+}
+
+// GET /api/wallet/tickets/:ticketId/apple - Download an Apple Wallet pass
+router.get('/tickets/:ticketId/apple', async (req, res) => {
+  try {
+    if (!walletPassService.isAppleConfigured()) {
+      return res.status(503).json({ error: 'Apple Wallet passes are not available' });
+    }
+
+    const found = await findTicketForLink(req, res);
+    if (!found) return;
+
+    const pass = await walletPassService.generateApplePass(found.ticket, found.event);
+
+    res.set({
+      'Content-Type': 'application/vnd.apple.pkpass',
+      'Content-Disposition': `attachment; filename="ticket-${found.ticket.ticketId}.pkpass"`,
+      'Last-Modified': passLastUpdated(found.ticket, found.event).toUTCString()
+    });
+    res.send(pass);
+  } catch (error) {
+    console.error('Error generating Apple Wallet pass:', error);
+    res.status(500).json({ error: 'Failed to generate Apple Wallet pass' });
+  }
+});
+
+// GET /api/wallet/tickets/:ticketId/google - Redirect to "Save to Google Wallet"
+router.get('/tickets/:ticketId/google', async (req, res) => {
+  try {
+    if (!walletPassService.isGoogleConfigured()) {
+      return res.status(503).json({ error: 'Google Wallet passes are not available' });
+    }
+
+    const found = await findTicketForLink(req, res);
+    if (!found) return;
+
+    res.redirect(walletPassService.generateGoogleSaveUrl(found.ticket, found.event));
+  } catch (error) {
+    console.error('Error generating Google Wallet pass:', error);
+    res.status(500).json({ error: 'Failed to generate Google Wallet pass' });
+  }
+});
+
+// Apple Wallet web service (PassKit). Devices call these to register for
+// update pushes and to fetch the latest version of a pass.
+
+function checkApplePassAuth(req, res) {
+  const header = req.headers['authorization'] || '';
+  const token = header.startsWith('ApplePass ') ? header.substring('ApplePass '.length) : null;
+
+  if (req.params.passTypeId !== process.env.APPLE_PASS_TYPE_ID ||
+      !walletPassService.isValidAccessToken(req.params.serialNumber, token)) {
+    res.sendStatus(401);
+    return false;
+  }
+  return true;
+}
+
+// POST /api/wallet/apple/v1/devices/:deviceId/registrations/:passTypeId/:serialNumber
+router.post('/apple/v1/devices/:deviceId/registrations/:passTypeId/:serialNumber', async (req, res) => {
+  try {
+    if (!checkApplePassAuth(req, res)) return;
+
+    const { pushToken } = req.body;
+    if (!pushToken) {
+      return res.sendStatus(400);
+    }
+
+    const existing = await WalletRegistration.findOneAndUpdate(
+      {
+        deviceLibraryIdentifier: req.params.deviceId,
+        passTypeIdentifier: req.params.passTypeId,
+        serialNumber: req.params.serialNumber
+      },
+      { $set: { pushToken } },
+      { upsert: true }
+    );
+
+    res.sendStatus(existing ? 200 : 201);
+  } catch (error) {
+    console.error('Error registering wallet device:', error);
+    res.sendStatus(500);
+  }
+});
+
+// DELETE /api/wallet/apple/v1/devices/:deviceId/registrations/:passTypeId/:serialNumber
+router.delete('/apple/v1/devices/:deviceId/registrations/:passTypeId/:serialNumber', async (req, res) => {
+  try {
+    if (!checkApplePassAuth(req, res)) return;
+
+    await WalletRegistration.deleteOne({
+      deviceLibraryIdentifier: req.params.deviceId,
+      passTypeIdentifier: req.params.passTypeId,
+      serialNumber: req.params.serialNumber
+    });
+
+    res.sendStatus(200);
+  } catch (error) {
+    console.error('Error unregistering wallet device:', error);
+    res.sendStatus(500);
+  }
+});
+
+// GET /api/wallet/apple/v1/devices/:deviceId/registrations/:passTypeId - Passes changed since the device last checked
+router.get('/apple/v1/devices/:deviceId/registrations/:passTypeId', async (req, res) => {
+  try {
+    const registrations = await WalletRegistration.find({
+      deviceLibraryIdentifier: req.params.deviceId,
+      passTypeIdentifier: req.params.passTypeId
+    }).select('serialNumber');
+
+    if (registrations.length === 0) {
+      return res.sendStatus(404);
+    }
+
+    const since = req.query.passesUpdatedSince ? parseInt(req.query.passesUpdatedSince, 10) : 0;
+    const tickets = await Ticket.find({ ticketId: { $in: registrations.map(r => r.serialNumber) } });
+    const events = await Event.find({ _id: { $in: tickets.map(t => t.eventId) } }).select('updatedAt');
+    const eventsById = new Map(events.map(event => [event._id.toString(), event]));
+
+    let lastUpdated = since;
+    const serialNumbers = [];
+
+    for (const ticket of tickets) {
+      const event = eventsById.get(ticket.eventId.toString());
+      if (!event) continue;
+
+      const updated = Math.floor(passLastUpdated(ticket, event).getTime() / 1000);
+      if (updated > since) {
+        serialNumbers.push(ticket.ticketId);
+        lastUpdated = Math.max(lastUpdated, updated);
+      }
+    }
+
+    if (serialNumbers.length === 0) {
+      return res.sendStatus(204);
+    }
+
+    res.json({ serialNumbers, lastUpdated: String(lastUpdated) });
+  } catch (error) {
+    console.error('Error listing updated wallet passes:', error);
+    res.sendStatus(500);
+  }
+});
+
+// GET /api/wallet/apple/v1/passes/:passTypeId/:serialNumber - Latest version of a pass
+router.get('/apple/v1/passes/:passTypeId/:serialNumber', async (req, res) => {
+  try {
+    if (!checkApplePassAuth(req, res)) return;
+
+    const ticket = await Ticket.findOne({ ticketId: req.params.serialNumber });
+    const event = ticket && await Event.findById(ticket.eventId);
+    if (!ticket || !event) {
+      return res.sendStatus(404);
+    }
+
+    const lastModified = passLastUpdated(ticket, event);
+    const ifModifiedSince = req.headers['if-modified-since'];
+    if (ifModifiedSince && Math.floor(lastModified.getTime() / 1000) <= Math.floor(new Date(ifModifiedSince).getTime() / 1000)) {
+      return res.sendStatus(304);
+    }
+
+    const pass = await walletPassService.generateApplePass(ticket, event);
+
+    res.set({
+      'Content-Type': 'application/vnd.apple.pkpass',
+      'Last-Modified': lastModified.toUTCString()
+    });
+    res.send(pass);
+  } catch (error) {
+    console.error('Error serving updated wallet pass:', error);
+    res.sendStatus(500);
+  }
+});
+
+// POST /api/wallet/apple/v1/log - Errors reported by Apple Wallet
+router.post('/apple/v1/log', (req, res) => {
+  console.warn('Apple Wallet log:', req.body && req.body.logs);
+  res.sendStatus(200);
+});
+
+module.exports = router;
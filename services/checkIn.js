@@ -0,0 +1,400 @@
+const mongoose = require('mongoose');
+const Ticket = require('../models/Ticket');
+const Order = require('../models/Order');
+const ScanLog = require('../models/ScanLog');
+const ticketSigningService = require('./ticketSigning');
+
+const RESULT_MESSAGES = {
+  admitted: 'Ticket valid - admit one',
+  valid: 'Ticket valid',
+  already_checked_in: 'Ticket has already been used',
+  wrong_event: 'Ticket is for a different event',
+  void: 'Ticket has been voided',
+  order_cancelled: 'Order was cancelled',
+  order_refunded: 'Order was refunded',
+  payment_incomplete: 'Payment for this ticket has not been completed',
+  not_found: 'Ticket not found',
+  invalid_code: 'Code is not a valid Ticketeer ticket',
+  duplicate_entry: 'Ticket was admitted more than once'
+};
+
+class CheckInService {
+  // Scanned codes must be signed QR payloads. Anything else, including a bare
+  // ticket ID or a payload with a bad signature, is rejected.
+  parseScannedCode(code) {
+    if (typeof code !== 'string' || code.trim().length === 0) {
+      return null;
+    }
+
+    const trimmed = code.trim();
+    if (!ticketSigningService.isSignedPayload(trimmed)) {
+      return null;
+    }
+
+    const payload = ticketSigningService.verifyPayload(trimmed);
+    return payload ? { ticketId: payload.ticketId, eventId: payload.eventId } : null;
+  }
+
+  // A ticket ID typed in by the organizer when a QR code won't scan. Only
+  // the manual check-in endpoint takes these.
+  parseTicketId(ticketId) {
+    if (typeof ticketId !== 'string' || !/^TIX-[A-F0-9]+$/i.test(ticketId.trim())) {
+      return null;
+    }
+    return { ticketId: ticketId.trim().toUpperCase() };
+  }
+
+  // Decide whether a ticket would be admitted, without consuming it
+  async inspect(scanned, eventId) {
+    if (!scanned) {
+      return { result: 'invalid_code' };
+    }
+
+    // Signed payloads name their event, so this is caught before any lookup
+    if (scanned.eventId && scanned.eventId !== eventId.toString()) {
+      return { result: 'wrong_event' };
+    }
+
+    const ticketId = scanned.ticketId;
+
+    const ticket = await Ticket.findOne({ ticketId });
+    if (!ticket) {
+      return { result: 'not_found' };
+    }
+
+    if (ticket.eventId.toString() !== eventId.toString()) {
+      return { result: 'wrong_event' };
+    }
+
+    if (ticket.status === 'void') {
+      return { result: 'void', ticket };
+    }
+
+    const order = await Order.findById(ticket.orderId);
+    if (!order) {
+      return { result: 'not_found', ticket };
+    }
+
+    const orderProblem = this.orderRejection(order);
+    if (orderProblem) {
+      return { result: orderProblem, ticket, order };
+    }
+
+    if (ticket.checkedInAt) {
+      return { result: 'already_checked_in', ticket, order };
+    }
+
+    return { result: 'valid', ticket, order };
+  }
+
+  // Reason an order's tickets cannot be admitted, or null if they can
+  orderRejection(order) {
+    if (order.status === 'refunded' || order.paymentStatus === 'refunded') {
+      return 'order_refunded';
+    }
+
+    if (order.status === 'cancelled') {
+      return 'order_cancelled';
+    }
+
+    if (order.paymentStatus !== 'completed') {
+      return 'payment_incomplete';
+    }
+
+    return null;
+  }
+
+  async verify(code, { eventId }) {
+    const scanned = this.parseScannedCode(code);
+    const inspection = await this.inspect(scanned, eventId);
+    return this.formatResult(inspection);
+  }
+
+  async checkIn(code, { eventId, scannedBy, deviceId }) {
+    return this.admit(this.parseScannedCode(code), { eventId, scannedBy, deviceId, source: 'online' });
+  }
+
+  async checkInByTicketId(ticketId, { eventId, scannedBy, deviceId }) {
+    return this.admit(this.parseTicketId(ticketId), { eventId, scannedBy, deviceId, source: 'manual' });
+  }
+
+  // Validate and consume a ticket. The check-in is a conditional update on
+  // checkedInAt, so two simultaneous scans of the same code admit only once.
+  async admit(scanned, { eventId, scannedBy, deviceId, source }) {
+    const inspection = await this.inspect(scanned, eventId);
+
+    if (inspection.result === 'valid') {
+      const scannedAt = new Date();
+      const admitted = await Ticket.findOneAndUpdate(
+        { _id: inspection.ticket._id, status: 'active', checkedInAt: null },
+        { $set: { checkedInAt: scannedAt, checkedInBy: scannedBy, checkInSource: source, checkInDevice: deviceId } },
+        { new: true }
+      );
+
+      if (admitted) {
+        inspection.result = 'admitted';
+        inspection.ticket = admitted;
+      } else {
+        // Lost the race to another scan, or voided in the meantime
+        const current = await Ticket.findById(inspection.ticket._id);
+        inspection.result = current && current.status === 'void' ? 'void' : 'already_checked_in';
+        inspection.ticket = current || inspection.ticket;
+      }
+    }
+
+    await this.logScan(inspection, { eventId, ticketId: scanned ? scanned.ticketId : null, scannedBy, deviceId, source });
+
+    return this.formatResult(inspection);
+  }
+
+  async logScan(inspection, { eventId, ticketId, scannedBy, deviceId, scannedAt, source = 'online' }) {
+    try {
+      await ScanLog.create({
+        eventId,
+        ticket: inspection.ticket ? inspection.ticket._id : undefined,
+        ticketId: ticketId || undefined,
+        result: inspection.result,
+        scannedBy,
+        scannedAt: scannedAt || new Date(),
+        source,
+        deviceId
+      });
+    } catch (error) {
+      // A missing log entry should never block the door
+      console.error('Failed to record scan log:', error);
+    }
+  }
+
+  // Everything a scanner device needs to admit guests without a network:
+  // the public keys to check QR signatures, the tickets that may enter and
+  // the tickets that must be turned away.
+  async buildManifest(event) {
+    const tickets = await Ticket.find({ eventId: event._id })
+      .select('ticketId orderId ticketTypeName holder status checkedInAt');
+    const orders = await Order.find({ _id: { $in: [...new Set(tickets.map(t => t.orderId.toString()))] } })
+      .select('status paymentStatus');
+    const ordersById = new Map(orders.map(order => [order._id.toString(), order]));
+
+    const validTickets = [];
+    const revokedTicketIds = [];
+
+    for (const ticket of tickets) {
+      const order = ordersById.get(ticket.orderId.toString());
+      const orderProblem = order ? this.orderRejection(order) : 'not_found';
+
+      if (ticket.status === 'void' || (orderProblem && orderProblem !== 'payment_incomplete')) {
+        revokedTicketIds.push(ticket.ticketId);
+      } else if (!orderProblem) {
+        validTickets.push({
+          ticketId: ticket.ticketId,
+          ticketTypeName: ticket.ticketTypeName,
+          holderName: `${ticket.holder.firstName} ${ticket.holder.lastName}`,
+          checkedInAt: ticket.checkedInAt || null
+        });
+      }
+    }
+
+    return {
+      event: {
+        id: event._id,
+        name: event.name,
+        startDate: event.startDate,
+        endDate: event.endDate,
+        venue: event.venueName || event.location
+      },
+      generatedAt: new Date(),
+      verificationKeys: ticketSigningService.getPublicKeys(),
+      tickets: validTickets,
+      revokedTicketIds
+    };
+  }
+
+  // Merge scan logs recorded offline by a scanner device. Admissions are
+  // applied earliest-first; a ticket admitted by more than one scan (on this
+  // device, another device or online) is reported as a duplicate entry.
+  // Re-sending the same batch is harmless.
+  async syncOfflineScans(eventId, { deviceId, scans, syncedBy }) {
+    const report = {
+      received: scans.length,
+      merged: 0,
+      alreadySynced: 0,
+      rejectedScans: 0,
+      duplicates: [],
+      invalidAdmissions: []
+    };
+
+    const ordered = scans
+      .map(scan => ({ ...scan, scannedAt: new Date(scan.scannedAt) }))
+      .filter(scan => !isNaN(scan.scannedAt.getTime()))
+      .sort((a, b) => a.scannedAt - b.scannedAt);
+
+    report.invalidTimestamps = scans.length - ordered.length;
+
+    for (const scan of ordered) {
+      // Devices only admit signed codes, so bare ticket IDs are refused here too
+      const scanned = this.parseScannedCode(scan.code);
+      const ticketId = scanned ? scanned.ticketId : null;
+
+      const existingLog = ticketId && await ScanLog.findOne({
+        eventId,
+        deviceId,
+        ticketId,
+        scannedAt: scan.scannedAt,
+        source: 'offline'
+      });
+      if (existingLog) {
+        report.alreadySynced++;
+        continue;
+      }
+
+      if (scan.result !== 'admitted') {
+        // The device already turned this guest away; keep it for the record
+        const inspection = await this.inspect(scanned, eventId);
+        const knownResult = ScanLog.schema.path('result').enumValues.includes(scan.result);
+        await this.logScan({ ...inspection, result: knownResult ? scan.result : inspection.result }, {
+          eventId, ticketId, scannedBy: syncedBy, deviceId, scannedAt: scan.scannedAt, source: 'offline'
+        });
+        report.rejectedScans++;
+        continue;
+      }
+
+      const inspection = await this.inspect(scanned, eventId);
+
+      if (inspection.result === 'valid') {
+        const admitted = await Ticket.findOneAndUpdate(
+          { _id: inspection.ticket._id, status: 'active', checkedInAt: null },
+          { $set: { checkedInAt: scan.scannedAt, checkedInBy: syncedBy, checkInSource: 'offline', checkInDevice: deviceId } },
+          { new: true }
+        );
+
+        if (admitted) {
+          await this.logScan({ result: 'admitted', ticket: admitted }, {
+            eventId, ticketId, scannedBy: syncedBy, deviceId, scannedAt: scan.scannedAt, source: 'offline'
+          });
+          report.merged++;
+          continue;
+        }
+
+        inspection.ticket = await Ticket.findById(inspection.ticket._id);
+        inspection.result = inspection.ticket.status === 'void' ? 'void' : 'already_checked_in';
+      }
+
+      if (inspection.result === 'already_checked_in') {
+        const ticket = inspection.ticket;
+        const firstEntry = { scannedAt: ticket.checkedInAt, deviceId: ticket.checkInDevice || null, source: ticket.checkInSource || 'online' };
+        const duplicateEntry = { scannedAt: scan.scannedAt, deviceId, source: 'offline' };
+
+        // The earliest admission is the real entry
+        if (scan.scannedAt < ticket.checkedInAt) {
+          await Ticket.updateOne(
+            { _id: ticket._id, checkedInAt: ticket.checkedInAt },
+            { $set: { checkedInAt: scan.scannedAt, checkedInBy: syncedBy, checkInSource: 'offline', checkInDevice: deviceId } }
+          );
+          report.duplicates.push({ ticketId, firstEntry: duplicateEntry, duplicateEntry: firstEntry });
+        } else {
+          report.duplicates.push({ ticketId, firstEntry, duplicateEntry });
+        }
+
+        await this.logScan({ result: 'duplicate_entry', ticket }, {
+          eventId, ticketId, scannedBy: syncedBy, deviceId, scannedAt: scan.scannedAt, source: 'offline'
+        });
+        continue;
+      }
+
+      // The device admitted a ticket that should have been refused
+      report.invalidAdmissions.push({ ticketId, scannedAt: scan.scannedAt, result: inspection.result });
+      await this.logScan(inspection, {
+        eventId, ticketId, scannedBy: syncedBy, deviceId, scannedAt: scan.scannedAt, source: 'offline'
+      });
+    }
+
+    return report;
+  }
+
+  // Snapshot for the organizer door dashboard
+  async getDashboardStats(event, { windowMinutes = 30, rejectedLimit = 10 } = {}) {
+    const eventId = new mongoose.Types.ObjectId(event._id.toString());
+    const windowStart = new Date(Date.now() - windowMinutes * 60 * 1000);
+
+    const [byType, entriesByMinute, latestRejected] = await Promise.all([
+      Ticket.aggregate([
+        { $match: { eventId, status: 'active' } },
+        {
+          $group: {
+            _id: '$ticketTypeName',
+            sold: { $sum: 1 },
+            checkedIn: { $sum: { $cond: [{ $ifNull: ['$checkedInAt', false] }, 1, 0] } }
+          }
+        }
+      ]),
+      ScanLog.aggregate([
+        { $match: { eventId, result: 'admitted', scannedAt: { $gte: windowStart } } },
+        {
+          $group: {
+            _id: { $dateTrunc: { date: '$scannedAt', unit: 'minute' } },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+      ScanLog.find({ eventId, result: { $ne: 'admitted' } })
+        .sort({ scannedAt: -1 })
+        .limit(rejectedLimit)
+        .select('ticketId result scannedAt source deviceId')
+    ]);
+
+    const ticketTypes = event.ticketTypes.map(type => {
+      const counts = byType.find(entry => entry._id === type.name) || { sold: 0, checkedIn: 0 };
+      return { name: type.name, capacity: type.quantity, sold: counts.sold, checkedIn: counts.checkedIn };
+    });
+
+    // Tickets whose type has since been renamed or removed from the event
+    byType
+      .filter(entry => !event.ticketTypes.some(type => type.name === entry._id))
+      .forEach(entry => ticketTypes.push({ name: entry._id, capacity: null, sold: entry.sold, checkedIn: entry.checkedIn }));
+
+    const checkedIn = ticketTypes.reduce((sum, type) => sum + type.checkedIn, 0);
+    const sold = ticketTypes.reduce((sum, type) => sum + type.sold, 0);
+    const capacity = event.ticketTypes.reduce((sum, type) => sum + type.quantity, 0);
+
+    return {
+      eventId: event._id,
+      generatedAt: new Date(),
+      ticketTypes,
+      totals: { sold, checkedIn, remaining: sold - checkedIn },
+      // Entry only - exits are not scanned, so everyone admitted counts as inside
+      occupancy: {
+        current: checkedIn,
+        capacity,
+        percent: capacity > 0 ? Math.round((checkedIn / capacity) * 1000) / 10 : 0
+      },
+      entriesPerMinute: entriesByMinute.map(entry => ({ minute: entry._id, count: entry.count })),
+      latestRejectedScans: latestRejected.map(scan => ({
+        ticketId: scan.ticketId || null,
+        result: scan.result,
+        message: RESULT_MESSAGES[scan.result] || scan.result,
+        scannedAt: scan.scannedAt,
+        source: scan.source,
+        deviceId: scan.deviceId || null
+      }))
+    };
+  }
+
+  formatResult({ result, ticket }) {
+    return {
+      result,
+      valid: result === 'admitted' || result === 'valid',
+      message: RESULT_MESSAGES[result],
+      ticket: ticket ? {
+        ticketId: ticket.ticketId,
+        ticketTypeName: ticket.ticketTypeName,
+        holderName: `${ticket.holder.firstName} ${ticket.holder.lastName}`,
+        status: ticket.status,
+        checkedInAt: ticket.checkedInAt,
+        checkedInBy: ticket.checkedInBy
+      } : null
+    };
+  }
+}
+
+module.exports = new CheckInService();
@@ -0,0 +1,421 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Order = require('../models/Order');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const jobQueue = require('./jobQueue');
+
+// Stock per ticket type: `quantity` is capacity, `sold` counts paid tickets
+// and `reserved` counts tickets held for orders awaiting payment. Every change
+// is a single conditional update on the event document, so concurrent
+// checkouts for the last tickets can't both succeed.
+
+// How long unpaid orders hold their tickets. Manual payments wait on a person
+// checking a screenshot or WhatsApp message, so they get longer.
+const HOLD_MINUTES = {
+  card: 30,
+  'mcb-juice': 24 * 60,
+  'mcb-juice-manual': 48 * 60,
+  'mcb-juice-whatsapp': 48 * 60,
+  bank_transfer: 48 * 60,
+  'bank-transfer-whatsapp': 48 * 60
+};
+const DEFAULT_HOLD_MINUTES = 30;
+const EXPIRY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+function inventoryError(message, statusCode, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+}
+
+class InventoryService {
+  constructor() {
+    this.expiryTimer = null;
+  }
+
+  holdMinutes(paymentMethod) {
+    const configured = parseInt(process.env.INVENTORY_HOLD_MINUTES, 10);
+    if (configured > 0) return configured;
+    return HOLD_MINUTES[paymentMethod] || DEFAULT_HOLD_MINUTES;
+  }
+
+  // Map order lines onto the event's ticket types (by id, falling back to
+  // name for older clients) and merge repeated types
+  resolveLines(event, lines) {
+    const byType = new Map();
+
+    for (const line of lines || []) {
+      const quantity = parseInt(line.quantity, 10);
+      if (!quantity || quantity < 1) {
+        throw inventoryError('Ticket quantity must be at least 1', 400);
+      }
+
+      const ticketType = event.ticketTypes.find(type =>
+        type._id.toString() === String(line.ticketTypeId) || (!line.ticketTypeId && type.name === line.name));
+      if (!ticketType) {
+        throw inventoryError(`Ticket type ${line.ticketTypeId || line.name} not found`, 400);
+      }
+
+      const key = ticketType._id.toString();
+      const entry = byType.get(key) || { ticketTypeId: ticketType._id, name: ticketType.name, quantity: 0 };
+      entry.quantity += quantity;
+      byType.set(key, entry);
+    }
+
+    if (byType.size === 0) {
+      throw inventoryError('Order has no tickets', 400);
+    }
+
+    return Array.from(byType.values());
+  }
+
+  // Add to `field` (reserved or sold) only if capacity allows. The $expr
+  // check and the $inc apply to the same document in one operation.
+  async incrementIfAvailable(eventId, line, field) {
+    const ticketTypeId = new mongoose.Types.ObjectId(line.ticketTypeId);
+
+    const result = await Event.updateOne(
+      {
+        _id: eventId,
+        $expr: {
+          $let: {
+            vars: {
+              type: { $first: { $filter: { input: '$ticketTypes', cond: { $eq: ['$$this._id', ticketTypeId] } } } }
+            },
+            in: {
+              $lte: [
+                { $add: [{ $ifNull: ['$$type.sold', 0] }, { $ifNull: ['$$type.reserved', 0] }, line.quantity] },
+                '$$type.quantity'
+              ]
+            }
+          }
+        }
+      },
+      { $inc: { [`ticketTypes.$[type].${field}`]: line.quantity } },
+      { arrayFilters: [{ 'type._id': ticketTypeId }] }
+    );
+
+    return result.modifiedCount === 1;
+  }
+
+  async adjust(eventId, lines, changes) {
+    for (const line of lines) {
+      const $inc = {};
+      for (const [field, sign] of Object.entries(changes)) {
+        $inc[`ticketTypes.$[type].${field}`] = sign * line.quantity;
+      }
+
+      await Event.updateOne(
+        { _id: eventId },
+        { $inc },
+        { arrayFilters: [{ 'type._id': new mongoose.Types.ObjectId(line.ticketTypeId) }] }
+      );
+    }
+  }
+
+  // Take stock for every line or none of them
+  async take(event, lines, field) {
+    const resolved = this.resolveLines(event, lines);
+    const taken = [];
+
+    for (const line of resolved) {
+      if (!(await this.incrementIfAvailable(event._id, line, field))) {
+        await this.adjust(event._id, taken, { [field]: -1 });
+
+        const current = await Event.findById(event._id).select('ticketTypes');
+        const type = current && current.ticketTypes.id(line.ticketTypeId);
+        const available = type ? Math.max(0, type.quantity - (type.sold || 0) - (type.reserved || 0)) : 0;
+        throw inventoryError(
+          `Not enough tickets available for ${line.name}. Available: ${available}, Requested: ${line.quantity}`,
+          409,
+          { ticketTypeId: line.ticketTypeId, name: line.name, available, requested: line.quantity }
+        );
+      }
+      taken.push(line);
+    }
+
+    return resolved;
+  }
+
+  // Hold stock for a new, unpaid order. Call before saving the order; the
+  // returned fields go on the order. Throws a 409 error when sold out.
+  async reserve(event, lines, paymentMethod) {
+    await this.take(event, lines, 'reserved');
+    return {
+      inventoryStatus: 'held',
+      holdExpiresAt: new Date(Date.now() + this.holdMinutes(paymentMethod) * 60 * 1000)
+    };
+  }
+
+  // Stock for an order that is paid at creation
+  async sell(event, lines) {
+    await this.take(event, lines, 'sold');
+    return { inventoryStatus: 'sold' };
+  }
+
+  // Undo reserve()/sell() when the order itself could not be saved
+  async rollback(event, lines, inventoryStatus) {
+    const field = inventoryStatus === 'sold' ? 'sold' : 'reserved';
+    await this.adjust(event._id, this.resolveLines(event, lines), { [field]: -1 });
+  }
+
+  // Claim an order's inventory transition so each one happens exactly once
+  async transition(order, from, to, extra = {}) {
+    return Order.findOneAndUpdate(
+      { _id: order._id, inventoryStatus: { $in: from } },
+      { $set: { inventoryStatus: to, ...extra } },
+      { new: false }
+    );
+  }
+
+  // Payment confirmed: held tickets become sold. If the hold already expired
+  // the stock is taken again; a paid customer is never turned away, so an
+  // event that sold out in the meantime is oversold and flagged.
+  async commit(order) {
+    const eventId = order.eventId && order.eventId._id ? order.eventId._id : order.eventId;
+    const event = await Event.findById(eventId);
+    if (!event) return { committed: false };
+
+    const previous = await this.transition(order, ['held', 'released'], 'sold', { holdExpiresAt: null });
+    if (!previous) {
+      return { committed: false };
+    }
+
+    const lines = this.resolveLines(event, order.tickets);
+
+    if (previous.inventoryStatus === 'held') {
+      await this.adjust(event._id, lines, { reserved: -1, sold: 1 });
+      return { committed: true, oversold: false };
+    }
+
+    try {
+      await this.take(event, order.tickets, 'sold');
+      return { committed: true, oversold: false };
+    } catch (error) {
+      if (error.statusCode !== 409) throw error;
+
+      await this.adjust(event._id, lines, { sold: 1 });
+      console.warn(`Order ${order._id} was paid after its hold expired and oversold ${event.name}`);
+      return { committed: true, oversold: true };
+    }
+  }
+
+  // Rejected, cancelled, refunded or expired: give the tickets back. Tickets
+  // already returned by partial refunds are not returned twice.
+  async release(order) {
+    const previous = await this.transition(order, ['held', 'sold'], 'released', { holdExpiresAt: null });
+    if (!previous) {
+      return { released: false };
+    }
+
+    const eventId = order.eventId && order.eventId._id ? order.eventId._id : order.eventId;
+    const event = await Event.findById(eventId);
+    if (event) {
+      const field = previous.inventoryStatus === 'sold' ? 'sold' : 'reserved';
+      const lines = this.outstandingLines(event, previous);
+      await this.adjust(event._id, lines, { [field]: -1 });
+      await this.offerToWaitlist(event._id, lines);
+    }
+
+    return { released: true, from: previous.inventoryStatus };
+  }
+
+  // An order's lines less the tickets its partial refunds already returned.
+  // A full refund is recorded before the order moves to `refunded`, so its
+  // tickets are the ones this release has to put back.
+  outstandingLines(event, order) {
+    const returned = new Map();
+    for (const refund of (order.refunds || []).filter(refund => !refund.full)) {
+      for (const ticket of refund.tickets || []) {
+        returned.set(ticket.ticketTypeId, (returned.get(ticket.ticketTypeId) || 0) + 1);
+      }
+    }
+
+    return this.resolveLines(event, order.tickets)
+      .map(line => ({ ...line, quantity: line.quantity - (returned.get(line.ticketTypeId.toString()) || 0) }))
+      .filter(line => line.quantity > 0);
+  }
+
+  // Partial refund of a paid order: put the refunded tickets back on sale.
+  // `tickets` are Ticket documents. Orders whose stock was never tracked or
+  // was already released are left alone.
+  async returnTickets(order, tickets) {
+    if (order.inventoryStatus !== 'sold' || tickets.length === 0) {
+      return { returned: false };
+    }
+
+    const eventId = order.eventId && order.eventId._id ? order.eventId._id : order.eventId;
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return { returned: false };
+    }
+
+    const lines = this.resolveLines(event, tickets.map(ticket => ({ ticketTypeId: ticket.ticketTypeId, quantity: 1 })));
+    await this.adjust(event._id, lines, { sold: -1 });
+    await this.offerToWaitlist(event._id, lines);
+    return { returned: true };
+  }
+
+  // Freed stock goes to anyone waiting for it first (see services/waitlist.js).
+  // Errors are logged: the stock itself has already been returned.
+  async offerToWaitlist(eventId, lines) {
+    for (const line of lines) {
+      const ticketTypeId = line.ticketTypeId.toString();
+      try {
+        if (await WaitlistEntry.exists({ eventId, ticketTypeId, status: 'waiting' })) {
+          await jobQueue.enqueue('waitlist.offer', { eventId: eventId.toString(), ticketTypeId }, { eventId });
+        }
+      } catch (error) {
+        console.error(`Failed to queue waitlist offers for ticket type ${ticketTypeId}:`, error);
+      }
+    }
+  }
+
+  // Release holds on orders whose payment never arrived. The order stays
+  // pending so a late payment can still be approved (see commit()).
+  async releaseExpiredHolds() {
+    const expired = await Order.find({
+      inventoryStatus: 'held',
+      holdExpiresAt: { $lte: new Date() }
+    }).limit(500);
+
+    let released = 0;
+    for (const order of expired) {
+      try {
+        const result = await this.release(order);
+        if (result.released) {
+          released++;
+          await Order.updateOne(
+            { _id: order._id },
+            { $set: { verificationNotes: `${order.verificationNotes ? `${order.verificationNotes} ` : ''}[Ticket hold expired]` } }
+          );
+        }
+      } catch (error) {
+        console.error(`Failed to release expired hold for order ${order._id}:`, error);
+      }
+    }
+
+    if (released > 0) {
+      console.log(`Released ticket holds for ${released} unpaid order(s)`);
+    }
+    return released;
+  }
+
+  startExpiryTimer() {
+    if (this.expiryTimer) return;
+
+    this.expiryTimer = setInterval(() => {
+      if (Order.db.readyState !== 1) return;
+      this.releaseExpiredHolds().catch(error => console.error('Ticket hold sweep failed:', error));
+    }, EXPIRY_SWEEP_INTERVAL_MS);
+    this.expiryTimer.unref();
+  }
+
+  // Apply an organizer's edit of the event's ticket types without touching
+  // `sold` or `reserved`. Types are matched by _id: listed ones are updated,
+  // ones without an _id are added and ones left out are removed, unless they
+  // have sold or held tickets. A quantity can't go below what is sold or
+  // held; that is checked again in the write, so a sale in between can't slip
+  // under it.
+  async updateTicketTypes(event, ticketTypes) {
+    const editable = ({ _id, sold, reserved, ...fields }) => fields;
+    const taken = type => (type.sold || 0) + (type.reserved || 0);
+
+    const kept = ticketTypes.filter(type => type._id);
+    const added = ticketTypes.filter(type => !type._id);
+    const missing = kept.find(type => !event.ticketTypes.id(type._id));
+    if (missing) {
+      throw inventoryError(`Ticket type ${missing._id} not found`, 400);
+    }
+
+    const keptIds = new Set(kept.map(type => String(type._id)));
+    const removed = event.ticketTypes.filter(type => !keptIds.has(type._id.toString()));
+    const inUse = removed.find(type => taken(type) > 0);
+    if (inUse) {
+      throw inventoryError(`${inUse.name} has sold or held tickets and cannot be removed`, 400);
+    }
+
+    // The model's salesEnd check only sees the document on create, not in
+    // these updates
+    for (const type of ticketTypes) {
+      const current = type._id ? event.ticketTypes.id(type._id) : {};
+      const salesStart = type.salesStart !== undefined ? type.salesStart : current.salesStart;
+      const salesEnd = type.salesEnd !== undefined ? type.salesEnd : current.salesEnd;
+      if (salesStart && salesEnd && new Date(salesEnd) <= new Date(salesStart)) {
+        throw inventoryError(`${type.name || current.name} sales end must be after sales start`, 400);
+      }
+    }
+
+    for (const type of kept) {
+      const current = event.ticketTypes.id(type._id);
+      if (type.quantity !== undefined && Number(type.quantity) < taken(current)) {
+        throw inventoryError(`${current.name} quantity cannot be less than the ${taken(current)} tickets already sold or held`, 400, {
+          ticketTypeId: current._id,
+          sold: current.sold || 0,
+          reserved: current.reserved || 0
+        });
+      }
+    }
+
+    const $set = {};
+    const arrayFilters = [];
+    const guards = [];
+    kept.forEach((type, index) => {
+      const fields = Object.entries(editable(type));
+      if (fields.length === 0) return;
+
+      const ticketTypeId = new mongoose.Types.ObjectId(type._id);
+      for (const [field, value] of fields) {
+        $set[`ticketTypes.$[type${index}].${field}`] = value;
+      }
+      arrayFilters.push({ [`type${index}._id`]: ticketTypeId });
+
+      if (type.quantity !== undefined) {
+        guards.push({
+          $let: {
+            vars: {
+              type: { $first: { $filter: { input: '$ticketTypes', cond: { $eq: ['$$this._id', ticketTypeId] } } } }
+            },
+            in: {
+              $lte: [{ $add: [{ $ifNull: ['$$type.sold', 0] }, { $ifNull: ['$$type.reserved', 0] }] }, Number(type.quantity)]
+            }
+          }
+        });
+      }
+    });
+
+    if (arrayFilters.length > 0) {
+      const result = await Event.updateOne(
+        { _id: event._id, ...(guards.length > 0 && { $expr: { $and: guards } }) },
+        { $set },
+        { arrayFilters, runValidators: true }
+      );
+      if (result.matchedCount === 0) {
+        throw inventoryError('Tickets were sold while you were editing and a quantity is now too low, please reload and try again', 409);
+      }
+    }
+
+    if (removed.length > 0) {
+      await Event.updateOne(
+        { _id: event._id },
+        { $pull: { ticketTypes: { _id: { $in: removed.map(type => type._id) }, sold: { $in: [0, null] }, reserved: { $in: [0, null] } } } }
+      );
+    }
+
+    if (added.length > 0) {
+      await Event.updateOne(
+        { _id: event._id },
+        { $push: { ticketTypes: { $each: added.map(type => ({ ...editable(type), sold: 0, reserved: 0 })) } } },
+        { runValidators: true }
+      );
+    }
+  }
+
+  // What a buyer can still get right now
+  available(ticketType) {
+    return Math.max(0, ticketType.quantity - (ticketType.sold || 0) - (ticketType.reserved || 0));
+  }
+}
+
+module.exports = new InventoryService();
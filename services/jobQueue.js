@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const os = require('os');
+const Job = require('../models/Job');
+
+// MongoDB-backed job queue. Jobs are claimed with an atomic update that sets
+// a lock, so several instances can poll the same collection without running
+// a job twice. A job whose worker died is retried once its lock expires.
+
+const POLL_INTERVAL_MS = 5 * 1000;
+const LOCK_MS = 5 * 60 * 1000;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const JOBS_PER_TICK = 10;
+
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.timer = null;
+    this.running = false;
+  }
+
+  // handler(payload, job) runs the job; throwing schedules a retry
+  define(name, handler, { maxAttempts = 5 } = {}) {
+    this.handlers.set(name, { handler, maxAttempts });
+  }
+
+  async enqueue(name, payload = {}, { delayMs = 0, runAt, maxAttempts, uniqueKey, eventId } = {}) {
+    const definition = this.handlers.get(name);
+    const job = {
+      name,
+      payload,
+      runAt: runAt || new Date(Date.now() + delayMs),
+      maxAttempts: maxAttempts || (definition && definition.maxAttempts) || 5,
+      uniqueKey,
+      eventId
+    };
+
+    try {
+      return await Job.create(job);
+    } catch (error) {
+      if (error.code !== 11000 || !uniqueKey) throw error;
+
+      // Already queued under this key
+      const queued = await Job.findOne({ uniqueKey, status: { $in: ['pending', 'running'] } });
+      if (queued) return queued;
+
+      // The other job finished between our insert and the lookup, which
+      // frees its key
+      return Job.create(job);
+    }
+  }
+
+  backoff(attempts) {
+    return Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  }
+
+  // Take the next due job: pending ones, or running ones whose lock expired
+  // and that have attempts left
+  async claim() {
+    const now = new Date();
+    const names = Array.from(this.handlers.keys());
+
+    return Job.findOneAndUpdate(
+      {
+        name: { $in: names },
+        $or: [
+          { status: 'pending', runAt: { $lte: now } },
+          { status: 'running', lockedUntil: { $lte: now }, $expr: { $lt: ['$attempts', '$maxAttempts'] } }
+        ]
+      },
+      {
+        $set: { status: 'running', lockedBy: this.workerId, lockedUntil: new Date(now.getTime() + LOCK_MS) },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  // Jobs whose worker crashed or hung on their last attempt. Without this
+  // they would sit in `running` for good.
+  async failAbandoned() {
+    const now = new Date();
+    const message = 'Worker stopped responding';
+
+    await Job.updateMany(
+      { status: 'running', lockedUntil: { $lte: now }, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+      {
+        $set: { status: 'failed', failedAt: now, lastError: message, lockedUntil: null },
+        $unset: { lockedBy: 1, uniqueKey: 1 },
+        $push: { attemptErrors: { $each: [{ message, at: now }], $slice: -10 } }
+      }
+    );
+  }
+
+  async runJob(job) {
+    const { handler } = this.handlers.get(job.name);
+    // Only the worker holding the lock may record the outcome
+    const owned = { _id: job._id, lockedBy: this.workerId };
+
+    try {
+      await handler(job.payload, job);
+      // Dropping the key lets the same work be queued again later (a second
+      // ticket email after a reissue, say). Failed jobs drop theirs too.
+      await Job.updateOne(owned, {
+        $set: { status: 'completed', completedAt: new Date(), lockedUntil: null },
+        $unset: { lockedBy: 1, uniqueKey: 1 }
+      });
+    } catch (error) {
+      const failed = job.attempts >= job.maxAttempts;
+      console.error(`Job ${job.name} (${job._id}) attempt ${job.attempts}/${job.maxAttempts} failed:`, error);
+
+      await Job.updateOne(owned, {
+        $set: failed
+          ? { status: 'failed', failedAt: new Date(), lastError: error.message, lockedUntil: null }
+          : { status: 'pending', runAt: new Date(Date.now() + this.backoff(job.attempts)), lastError: error.message, lockedUntil: null },
+        $unset: failed ? { lockedBy: 1, uniqueKey: 1 } : { lockedBy: 1 },
+        $push: { attemptErrors: { $each: [{ message: error.message, at: new Date() }], $slice: -10 } }
+      });
+    }
+  }
+
+  async tick() {
+    if (this.running || Job.db.readyState !== 1) return;
+    this.running = true;
+
+    try {
+      await this.failAbandoned();
+      for (let i = 0; i < JOBS_PER_TICK; i++) {
+        const job = await this.claim();
+        if (!job) break;
+        await this.runJob(job);
+      }
+    } catch (error) {
+      console.error('Job queue poll failed:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), POLL_INTERVAL_MS);
+    this.timer.unref();
+    console.log(`Job queue worker ${this.workerId} started (${this.handlers.size} job types)`);
+
+    // Jobs finished before keys were dropped on completion still hold theirs
+    Job.updateMany({ status: { $in: ['completed', 'failed'] }, uniqueKey: { $type: 'string' } }, { $unset: { uniqueKey: 1 } })
+      .catch(error => console.error('Failed to clear keys of finished jobs:', error));
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Put a failed job back in the queue with a fresh set of attempts
+  async retry(jobId, filter = {}) {
+    return Job.findOneAndUpdate(
+      { ...filter, _id: jobId, status: 'failed' },
+      {
+        $set: { status: 'pending', runAt: new Date(), attempts: 0 },
+        $unset: { failedAt: 1, lockedBy: 1, lockedUntil: 1 }
+      },
+      { new: true }
+    );
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,121 @@
+const Order = require('../models/Order');
+const Ticket = require('../models/Ticket');
+const inventoryService = require('./inventory');
+const promoCodeService = require('./promoCodes');
+const jobQueue = require('./jobQueue');
+const ticketGeneratorService = require('./ticketGenerator');
+
+// Every paymentStatus change goes through transition(), which checks it
+// against TRANSITIONS, records it in the order's statusHistory and then runs
+// the side effects for the new status.
+
+const TRANSITIONS = {
+  pending: ['pending_verification', 'pending_whatsapp_verification', 'completed', 'failed'],
+  pending_verification: ['pending_auto_approval', 'pending_quick_review', 'completed', 'failed'],
+  pending_auto_approval: ['pending_quick_review', 'completed', 'failed'],
+  pending_quick_review: ['completed', 'failed'],
+  pending_whatsapp_verification: ['completed', 'failed'],
+  completed: ['refunded'],
+  // A wrongly rejected payment can still be approved; commit() re-takes the stock
+  failed: ['completed'],
+  refunded: []
+};
+
+function stateError(message, statusCode, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+}
+
+class OrderStateMachine {
+  allowedTransitions(from) {
+    return TRANSITIONS[from] || [];
+  }
+
+  canTransition(from, to) {
+    return this.allowedTransitions(from).includes(to);
+  }
+
+  // Move an order to a new paymentStatus. `actor` is the user making the
+  // change (null for automatic ones) and `set` holds other order fields to
+  // update alongside it. Throws 400 for unknown statuses and 409 for
+  // transitions that aren't allowed or that lost a race with another change.
+  // Returns the updated order.
+  async transition(order, to, { actor = null, reason, set = {}, notifyWhatsApp = false } = {}) {
+    const from = order.paymentStatus;
+
+    if (!TRANSITIONS[to]) {
+      throw stateError(`Unknown payment status: ${to}`, 400);
+    }
+    if (!this.canTransition(from, to)) {
+      throw stateError(`Cannot change payment status from ${from} to ${to}`, 409, {
+        from,
+        to,
+        allowed: this.allowedTransitions(from)
+      });
+    }
+
+    // Conditional on the status we checked, so two concurrent changes can't
+    // both apply
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, paymentStatus: from },
+      {
+        $set: { ...set, paymentStatus: to },
+        $push: { statusHistory: { from, to, actor, reason, at: new Date() } }
+      },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      throw stateError('Order status changed while updating, please reload and try again', 409);
+    }
+
+    // Keep the caller's copy in step for code that carries on using it
+    order.set({ ...set, paymentStatus: to });
+
+    await this.runEffects(updated, from, to, { actor, notifyWhatsApp });
+    return updated;
+  }
+
+  // Side effects run after the change is stored. Failures are logged rather
+  // than thrown: the status change itself has already happened.
+  async runEffects(order, from, to, { actor, notifyWhatsApp }) {
+    try {
+      if (to === 'completed') {
+        // A late payment on a failed order counts its promo code uses again
+        if (from === 'failed') {
+          await promoCodeService.reclaim(order);
+        }
+        await this.queueTicketDelivery(order, { notifyWhatsApp });
+      } else if (to === 'failed' || to === 'refunded') {
+        // Rejected or refunded payments give their tickets and promo code uses back
+        await inventoryService.release(order);
+        await promoCodeService.release(order);
+      }
+
+      if (to === 'refunded') {
+        // Refunded tickets stop working at the door
+        const tickets = await Ticket.find({ orderId: order._id, status: 'active' });
+        for (const ticket of tickets) {
+          await ticketGeneratorService.voidTicket(ticket, { reason: 'Refunded', voidedBy: actor });
+        }
+      }
+    } catch (error) {
+      console.error(`Side effects for order ${order._id} (${from} -> ${to}) failed:`, error);
+    }
+  }
+
+  // Queue the ticket email (and optionally the WhatsApp confirmation) for a
+  // paid order. The jobs are defined in routes/orders.js.
+  async queueTicketDelivery(order, { notifyWhatsApp = false } = {}) {
+    const orderId = order._id.toString();
+    const eventId = order.eventId && order.eventId._id ? order.eventId._id : order.eventId;
+
+    await jobQueue.enqueue('orders.sendTickets', { orderId }, { uniqueKey: `sendTickets:${orderId}`, eventId });
+    if (notifyWhatsApp) {
+      await jobQueue.enqueue('orders.sendWhatsAppConfirmation', { orderId }, { uniqueKey: `sendWhatsApp:${orderId}`, eventId });
+    }
+  }
+}
+
+module.exports = new OrderStateMachine();
@@ -0,0 +1,18 @@
+const WhatsAppProvider = require('./whatsapp').constructor;
+
+// Bank transfers, checked by the organizer like WhatsApp payments: the buyer
+// sends the transfer details on WhatsApp and the order waits for approval.
+// Refunds go back by bank transfer.
+class BankTransferProvider extends WhatsAppProvider {
+  constructor() {
+    super({
+      name: 'bank-transfer',
+      label: 'Bank transfer',
+      paymentMethods: ['bank-transfer-whatsapp', 'bank_transfer'],
+      refundMethod: 'bank_transfer',
+      details: 'Bank transfer details'
+    });
+  }
+}
+
+module.exports = new BankTransferProvider();
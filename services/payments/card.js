@@ -0,0 +1,65 @@
+const Order = require('../../models/Order');
+const stripeService = require('../stripe');
+const PaymentProvider = require('./provider');
+
+const { paymentError } = PaymentProvider;
+
+// Card payments through Stripe. The order is created `pending` with a
+// PaymentIntent the buyer confirms in the browser; the Stripe webhook then
+// verifies or rejects it (services/stripeWebhooks.js).
+class CardProvider extends PaymentProvider {
+  constructor() {
+    super({ name: 'card', label: 'Card', paymentMethods: ['card'], refundMethod: 'card' });
+  }
+
+  isAvailable() {
+    return stripeService.isConfigured();
+  }
+
+  orderFields() {
+    return { paymentMethod: 'card', paymentStatus: 'pending' };
+  }
+
+  async start(order, event) {
+    let paymentIntent;
+    try {
+      paymentIntent = await stripeService.createPaymentIntent(order, event);
+    } catch (error) {
+      console.error(`Failed to create PaymentIntent for order ${order._id}:`, error);
+      await this.reject(order, { reason: 'Could not start card payment' });
+      throw paymentError('Failed to start card payment, please try again', 502);
+    }
+
+    await Order.updateOne({ _id: order._id }, { $set: { paymentIntentId: paymentIntent.id } });
+    order.paymentIntentId = paymentIntent.id;
+
+    return {
+      status: 'pending',
+      message: 'Order created. Complete the card payment to receive your tickets.',
+      clientSecret: paymentIntent.client_secret,
+      publishableKey: process.env.STRIPE_PUBLISHABLE_KEY
+    };
+  }
+
+  // Only Stripe can say a card payment went through; approving one by hand
+  // would issue tickets for money that may never arrive
+  async verify(order) {
+    throw paymentError('Card payments are confirmed by Stripe and cannot be approved manually', 409);
+  }
+
+  // Stripe confirmed the payment (services/stripeWebhooks.js)
+  async confirm(order, options) {
+    return super.verify(order, options);
+  }
+
+  canRefund(order, method) {
+    return method === 'card' && Boolean(order.paymentIntentId);
+  }
+
+  async refund(order, refund) {
+    const payout = await stripeService.createRefund(order, refund.amount, { refundId: refund._id, reason: refund.reason });
+    return payout.id;
+  }
+}
+
+module.exports = new CardProvider();
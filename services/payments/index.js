@@ -0,0 +1,207 @@
+const Order = require('../../models/Order');
+const Event = require('../../models/Event');
+const inventoryService = require('../inventory');
+const pricingService = require('../pricing');
+const promoCodeService = require('../promoCodes');
+const waitlistService = require('../waitlist');
+const PaymentProvider = require('./provider');
+const cardProvider = require('./card');
+const freeProvider = require('./free');
+const mcbJuiceProvider = require('./mcbJuice');
+const whatsAppProvider = require('./whatsapp');
+const bankTransferProvider = require('./bankTransfer');
+
+// One checkout for every way of paying. Checkout prices the basket, holds the
+// tickets, counts the promo code and saves the order; the provider decides
+// the order's starting status and what happens next. Verifying, rejecting
+// and refunding go to the provider that took the payment.
+
+const { paymentError } = PaymentProvider;
+
+const PROVIDERS = [cardProvider, freeProvider, mcbJuiceProvider, whatsAppProvider, bankTransferProvider];
+
+class PaymentService {
+  providerNames() {
+    return PROVIDERS.map(provider => provider.name);
+  }
+
+  provider(name) {
+    const provider = PROVIDERS.find(candidate => candidate.name === name);
+    if (!provider) {
+      throw paymentError(`Unknown payment provider: ${name}. Use one of: ${this.providerNames().join(', ')}`, 400);
+    }
+    return provider;
+  }
+
+  // The provider that took an order's payment
+  providerFor(order) {
+    const provider = PROVIDERS.find(candidate => candidate.paymentMethods.includes(order.paymentMethod));
+    if (!provider) {
+      throw paymentError(`No payment provider handles ${order.paymentMethod} orders`, 400);
+    }
+    return provider;
+  }
+
+  // Multipart checkouts (with a screenshot) send objects as JSON strings
+  parseInput(body, file) {
+    const input = { ...body, file };
+
+    for (const field of ['customerInfo', 'tickets', 'attendees']) {
+      if (typeof input[field] === 'string') {
+        try {
+          input[field] = JSON.parse(input[field]);
+        } catch (error) {
+          throw paymentError(`${field} must be valid JSON`, 400);
+        }
+      }
+    }
+
+    return input;
+  }
+
+  // Price a checkout from the event's ticket types and the buyer's promo code.
+  // Throws 400 for codes that can't be used and 409 for stale client totals.
+  // Without a client total (older clients) the server price is used as is.
+  async priceCheckout(event, tickets, totalAmount, { promoCode, email } = {}) {
+    const discounts = await promoCodeService.discountsFor(event, promoCode, { email });
+    return totalAmount === undefined
+      ? pricingService.quote(event, tickets, { discounts })
+      : pricingService.priceOrder(event, tickets, totalAmount, { discounts });
+  }
+
+  // Save a new order with its tickets held until payment is verified (or sold
+  // outright if it's already paid) and a use counted for its promo code. Throws
+  // a 409 error when stock or the code has run out; both are given back if the
+  // order itself can't be saved. Orders placed from a waitlist offer use the
+  // stock already held for the offer.
+  async saveOrder(order, event, { waitlistToken } = {}) {
+    const offer = waitlistToken ? await waitlistService.claimOffer(waitlistToken, event, order) : null;
+
+    let inventory;
+    if (offer) {
+      inventory = waitlistService.offerInventory(order);
+    } else {
+      inventory = order.paymentStatus === 'completed'
+        ? await inventoryService.sell(event, order.tickets)
+        : await inventoryService.reserve(event, order.tickets, order.paymentMethod);
+    }
+    order.set(inventory);
+
+    let redeemed = [];
+    let savedOrder;
+    try {
+      redeemed = await promoCodeService.redeem(order);
+      savedOrder = await order.save();
+    } catch (error) {
+      await promoCodeService.unredeem(redeemed);
+      if (offer) {
+        await waitlistService.unclaimOffer(offer);
+      } else {
+        await inventoryService.rollback(event, order.tickets, inventory.inventoryStatus);
+      }
+      throw error;
+    }
+
+    if (offer) {
+      await waitlistService.settleOffer(offer, savedOrder);
+    }
+    return savedOrder;
+  }
+
+  // Attendee records for the order: the ones the client sent, or one guest
+  // record per ticket line
+  attendeesFor(input, quote) {
+    if (Array.isArray(input.attendees) && input.attendees.length > 0) {
+      return input.attendees;
+    }
+
+    return quote.tickets.map(ticket => ({
+      ticketType: ticket.name,
+      quantity: ticket.quantity,
+      customerInfo: {
+        firstName: input.customerInfo.firstName,
+        lastName: input.customerInfo.lastName,
+        email: input.customerInfo.email
+      },
+      ...(input.userId ? { user: input.userId } : { isGuest: true })
+    }));
+  }
+
+  // Create an order paid with `providerName`. `body` is the checkout request
+  // (eventId, customerInfo, tickets, totalAmount, promoCode, waitlistToken,
+  // plus the provider's own fields), `file` an uploaded screenshot and
+  // `userId` the signed-in buyer. Returns { order, provider, payment }, where
+  // payment is what the buyer needs to know or do next.
+  async checkout(providerName, body, { file, userId, requireTotal = true } = {}) {
+    let provider = this.provider(providerName);
+    const input = this.parseInput(body, file);
+    input.userId = userId;
+
+    const required = ['eventId', 'customerInfo', 'tickets', ...(requireTotal ? ['totalAmount'] : []), ...provider.requiredFields];
+    if (required.some(field => input[field] === undefined || input[field] === null || input[field] === '')) {
+      throw paymentError(`Missing required fields: ${required.join(', ')}`, 400);
+    }
+    if (!provider.isAvailable()) {
+      throw paymentError(`${provider.label} payments are not available`, 503);
+    }
+
+    const event = await Event.findById(input.eventId);
+    if (!event) {
+      throw paymentError('Event not found', 404);
+    }
+
+    // Rebuild the order from the event's prices and promo code; reject stale client totals
+    const quote = await this.priceCheckout(event, input.tickets, input.totalAmount, {
+      promoCode: input.promoCode,
+      email: input.customerInfo.email
+    });
+
+    if (!provider.acceptsTotal(quote.totalAmount)) {
+      if (!freeProvider.acceptsTotal(quote.totalAmount)) {
+        throw paymentError(`${provider.label} checkout is only for orders with nothing to pay`, 400);
+      }
+      // Nothing to charge (e.g. a 100% promo code)
+      provider = freeProvider;
+    }
+
+    const attendees = this.attendeesFor(input, quote);
+    const order = new Order({
+      eventId: event._id,
+      ...(input.userId && { user: input.userId }),
+      customerInfo: input.customerInfo,
+      ...pricingService.orderFields(quote),
+      attendees,
+      ...provider.orderFields(input)
+    });
+
+    let savedOrder;
+    try {
+      await provider.prepare(order, input);
+      savedOrder = await this.saveOrder(order, event, { waitlistToken: input.waitlistToken });
+    } catch (error) {
+      await provider.discard(order);
+      throw error;
+    }
+
+    await Event.updateOne(
+      { _id: event._id },
+      {
+        $push: { attendees: { $each: attendees } },
+        $inc: { totalTicketsSold: quote.tickets.reduce((sum, ticket) => sum + ticket.quantity, 0) }
+      }
+    );
+
+    const payment = await provider.start(savedOrder, event, input);
+    return { order: savedOrder, provider, payment };
+  }
+
+  async verify(order, options) {
+    return this.providerFor(order).verify(order, options);
+  }
+
+  async reject(order, options) {
+    return this.providerFor(order).reject(order, options);
+  }
+}
+
+module.exports = new PaymentService();
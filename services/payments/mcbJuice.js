@@ -0,0 +1,367 @@
+const path = require('path');
+const Order = require('../../models/Order');
+const Event = require('../../models/Event');
+const jobQueue = require('../jobQueue');
+const orderStateMachine = require('../orderStateMachine');
+const receiptVerificationService = require('../receiptVerification');
+const verificationPolicyService = require('../verificationPolicy');
+const storageService = require('../storage');
+const PaymentProvider = require('./provider');
+
+const { paymentError } = PaymentProvider;
+
+// How far back to look for an earlier order with the same screenshot
+const REUSE_WINDOW_DAYS = 180;
+
+// Receipt fields a reviewer can correct (Order.receiptCheck.fields)
+const RECEIPT_FIELDS = ['amount', 'reference', 'transactionId', 'date', 'time', 'recipient'];
+
+// MCB Juice transfers. With a screenshot of the transfer the receipt is read
+// by OCR in the background and approved, scheduled for approval or sent for
+// review by the event's verification policy. A screenshot or transaction ID
+// already used for another order always goes to review. Without one (the
+// older manual flow) the order waits for an organizer to check the reference.
+class McbJuiceProvider extends PaymentProvider {
+  constructor() {
+    super({
+      name: 'mcb-juice',
+      label: 'MCB Juice',
+      paymentMethods: ['mcb-juice', 'mcb-juice-manual'],
+      refundMethod: 'mcb-juice',
+      requiredFields: ['paymentReference']
+    });
+  }
+
+  orderFields(input) {
+    return {
+      paymentMethod: input.file ? 'mcb-juice' : 'mcb-juice-manual',
+      paymentStatus: 'pending_verification',
+      paymentReference: input.paymentReference,
+      ...(input.file && { screenshotOriginalName: input.file.originalname })
+    };
+  }
+
+  // Store the screenshot under a unique key, with its perceptual hash
+  async prepare(order, input) {
+    if (!input.file) return;
+
+    try {
+      order.screenshotHash = await receiptVerificationService.perceptualHash(input.file.buffer);
+    } catch (error) {
+      console.error('Failed to hash transfer screenshot:', error);
+    }
+
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    order.transferScreenshot = await storageService.put(
+      `transfer-screenshots/transfer-${uniqueSuffix}${path.extname(input.file.originalname).toLowerCase()}`,
+      input.file.buffer,
+      { contentType: input.file.mimetype }
+    );
+  }
+
+  async discard(order) {
+    if (!order.transferScreenshot) return;
+
+    storageService.remove(order.transferScreenshot).catch(cleanupError => {
+      console.error(`Failed to remove screenshot ${order.transferScreenshot}:`, cleanupError);
+    });
+  }
+
+  async start(order, event) {
+    if (!order.transferScreenshot) {
+      return { status: 'pending_verification', message: 'Order created successfully. Payment verification pending.' };
+    }
+
+    // Run automatic verification in the background. If queueing fails the
+    // order stays in pending_verification for manual review.
+    try {
+      await jobQueue.enqueue('orders.verifyReceipt', { orderId: order._id.toString() }, {
+        uniqueKey: `verifyReceipt:${order._id}`,
+        eventId: event._id
+      });
+    } catch (error) {
+      console.error(`Failed to queue automatic verification for order ${order._id}:`, error);
+    }
+
+    return { status: 'pending_verification', message: 'Order created successfully. Payment verification in progress.' };
+  }
+
+  // Earlier orders whose screenshot hashes exactly the same as this order's.
+  // Receipts from one app differ in a few characters, so near matches can't
+  // be trusted; resized copies are left to the transaction ID check. Two
+  // receipts that show different transaction IDs are different payments,
+  // however alike they look.
+  async ordersWithSameScreenshot(order, transactionId) {
+    if (!order.screenshotHash) return [];
+
+    const since = new Date(Date.now() - REUSE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const candidates = await Order.find({
+      _id: { $ne: order._id },
+      screenshotHash: order.screenshotHash,
+      createdAt: { $gte: since }
+    }).select('receiptTransactionId').lean();
+
+    const receiptTransactionId = transactionId && transactionId.toUpperCase();
+    return candidates
+      .filter(candidate => !receiptTransactionId || !candidate.receiptTransactionId || candidate.receiptTransactionId === receiptTransactionId)
+      .map(candidate => ({ orderId: candidate._id, match: 'screenshot' }));
+  }
+
+  // Other orders whose receipt showed the same transaction ID. The ID is
+  // stored first so two orders checked at the same time still see each other.
+  async ordersWithSameTransaction(order, transactionId) {
+    if (!transactionId) return [];
+
+    const receiptTransactionId = transactionId.toUpperCase();
+    await Order.updateOne({ _id: order._id }, { $set: { receiptTransactionId } });
+    order.receiptTransactionId = receiptTransactionId;
+
+    const matches = await Order.find({ _id: { $ne: order._id }, receiptTransactionId }).select('_id').lean();
+    return matches.map(match => ({ orderId: match._id, match: 'transaction_id' }));
+  }
+
+  // Send an order with a reused receipt to review and note the reuse on the
+  // other orders too
+  async flagReuse(order, reuse, notes, verificationDecision) {
+    const matched = reuse.map(entry => `${entry.orderId} (${entry.match === 'screenshot' ? 'same screenshot' : 'same transaction ID'})`);
+    notes = `${notes} [Receipt already used for order ${matched.join(', ')} - manual review required]`;
+
+    await orderStateMachine.transition(order, 'pending_quick_review', {
+      reason: verificationDecision.reason,
+      set: { verificationNotes: notes, reviewPriority: 'high', receiptReuse: reuse, verificationDecision }
+    });
+    await this.linkReuse(order, reuse);
+
+    console.log(`Order ${order._id} flagged for review: receipt reused from ${matched.join(', ')}`);
+  }
+
+  // Note on each of the other orders that this order used its receipt
+  async linkReuse(order, reuse) {
+    for (const entry of reuse) {
+      await Order.updateOne(
+        { _id: entry.orderId, receiptReuse: { $not: { $elemMatch: { orderId: order._id, match: entry.match } } } },
+        { $push: { receiptReuse: { orderId: order._id, match: entry.match } } }
+      );
+    }
+  }
+
+  // Get MCB Juice number from event or environment
+  expectedRecipient(event) {
+    return event.mcbJuiceNumber || process.env.MCB_JUICE_NUMBER;
+  }
+
+  // Read the transfer screenshot and approve the order, schedule its approval
+  // or send it to review, as the event's verification policy says. The
+  // decision and the policy version are recorded on the order.
+  async verifyReceipt(order, event) {
+    console.log(`Starting automatic verification for order ${order._id}`);
+    const policy = verificationPolicyService.policyFor(event);
+
+    // Storage errors are thrown so the job retries; OCR failures come back
+    // as a result with an error and go to review
+    const screenshot = await storageService.get(order.transferScreenshot);
+    const verification = await receiptVerificationService.verifyReceipt(
+      screenshot,
+      order.totalAmount,
+      order.paymentReference,
+      this.expectedRecipient(event)
+    );
+
+    // Kept in full so reviewers can see what was read and correct it
+    const receiptCheck = receiptVerificationService.toRecord(verification);
+    await Order.updateOne({ _id: order._id }, { $set: { receiptCheck } });
+    order.set({ receiptCheck });
+
+    console.log(`Verification result for order ${order._id}:`, {
+      isValid: verification.isValid,
+      confidence: verification.confidence,
+      issues: verification.issues
+    });
+
+    const layout = verification.extractedData ? ` (${verification.extractedData.template} layout)` : '';
+    let notes = `Automatic verification${layout}: ${verification.confidence}% confidence. Issues: ${verification.issues.join(', ')}`;
+
+    const transactionId = verification.extractedData && verification.extractedData.transactionId;
+    const reuse = [
+      ...await this.ordersWithSameScreenshot(order, transactionId),
+      ...await this.ordersWithSameTransaction(order, transactionId)
+    ];
+
+    // However confident the OCR is, a reused receipt needs a person
+    const decision = reuse.length > 0
+      ? { action: 'review', reason: 'Receipt already used for another order', priority: 'high' }
+      : verificationPolicyService.decide(policy, order, verification);
+    const verificationDecision = verificationPolicyService.record(policy, decision, verification.confidence);
+
+    if (reuse.length > 0) {
+      await this.flagReuse(order, reuse, notes, verificationDecision);
+      return;
+    }
+
+    if (decision.action === 'approve') {
+      // Tickets are queued by the transition
+      await this.verify(order, { reason: decision.reason, notes, set: { verificationDecision } });
+    } else if (decision.action === 'delayed_approve') {
+      const delayMinutes = policy.autoApprovalDelayMinutes;
+      notes += ` [Auto-approval in ${delayMinutes} minutes unless corrected]`;
+      const autoApprovalAt = new Date(Date.now() + delayMinutes * 60 * 1000);
+
+      await orderStateMachine.transition(order, 'pending_auto_approval', {
+        reason: decision.reason,
+        set: { verificationNotes: notes, autoApprovalAt, verificationDecision }
+      });
+
+      // Schedule auto-approval; the job survives restarts
+      await jobQueue.enqueue('orders.autoApprove', { orderId: order._id.toString() }, {
+        runAt: autoApprovalAt,
+        uniqueKey: `autoApprove:${order._id}`,
+        eventId: event._id
+      });
+    } else {
+      notes += ` [Review needed: ${decision.reason}]`;
+
+      await orderStateMachine.transition(order, 'pending_quick_review', {
+        reason: decision.reason,
+        set: { verificationNotes: notes, reviewPriority: decision.priority, verificationDecision }
+      });
+    }
+
+    console.log(`Order ${order._id}: ${decision.action} under verification policy v${policy.version} (${decision.reason})`);
+  }
+
+  // Replace receipt fields a reviewer read differently and re-run the checks.
+  // Corrected fields are trusted fully and every change is logged. The order's
+  // status is left to the reviewer; `decision` is what the event's policy
+  // would make of the corrected receipt. A corrected transaction ID is checked
+  // for reuse again.
+  async correctReceipt(order, event, corrections, { actor = null } = {}) {
+    const check = order.toObject().receiptCheck;
+    if (!check || !check.checkedAt) {
+      throw paymentError('This order has no receipt check to correct', 404);
+    }
+
+    const fields = Object.keys(corrections || {});
+    if (fields.length === 0 || fields.some(field => !RECEIPT_FIELDS.includes(field))) {
+      throw paymentError(`Correct one or more of: ${RECEIPT_FIELDS.join(', ')}`, 400);
+    }
+
+    const values = { ...check.fields };
+    const fieldConfidence = { ...check.fieldConfidence };
+    const log = [];
+    for (const field of fields) {
+      let value = corrections[field] === '' || corrections[field] === undefined ? null : corrections[field];
+      if (field === 'amount' && value !== null) {
+        value = Number(value);
+        if (!Number.isFinite(value) || value < 0) {
+          throw paymentError('amount must be a number of 0 or more', 400);
+        }
+      } else if (value !== null) {
+        value = String(value).trim();
+      }
+
+      log.push({ field, from: values[field] === undefined ? null : values[field], to: value, correctedBy: actor, correctedAt: new Date() });
+      values[field] = value;
+      fieldConfidence[field] = 100;
+    }
+
+    const verification = receiptVerificationService.checkReceipt(
+      { ...values, fieldConfidence },
+      order.totalAmount,
+      order.paymentReference,
+      this.expectedRecipient(event)
+    );
+
+    let reuse = [];
+    if (fields.includes('transactionId')) {
+      if (values.transactionId) {
+        reuse = await this.ordersWithSameTransaction(order, values.transactionId);
+      } else {
+        await Order.updateOne({ _id: order._id }, { $unset: { receiptTransactionId: 1 } });
+      }
+    }
+
+    // Both orders list each other
+    for (const entry of reuse) {
+      await Order.updateOne(
+        { _id: order._id, receiptReuse: { $not: { $elemMatch: { orderId: entry.orderId, match: entry.match } } } },
+        { $push: { receiptReuse: entry } }
+      );
+    }
+    await this.linkReuse(order, reuse);
+
+    const updated = await Order.findByIdAndUpdate(
+      order._id,
+      {
+        $set: {
+          'receiptCheck.fields': values,
+          'receiptCheck.fieldConfidence': fieldConfidence,
+          'receiptCheck.checks': verification.checks,
+          'receiptCheck.issues': verification.issues,
+          'receiptCheck.confidence': verification.confidence,
+          'receiptCheck.checkedAt': new Date()
+        },
+        $push: { 'receiptCheck.corrections': { $each: log } }
+      },
+      { new: true, runValidators: true }
+    );
+
+    const decision = reuse.length > 0
+      ? { action: 'review', reason: 'Receipt already used for another order', priority: 'high' }
+      : verificationPolicyService.decide(verificationPolicyService.policyFor(event), updated, verification);
+
+    return { order: updated, verification, decision, reuse };
+  }
+
+  // Approve an order whose delay has run out, unless the event's policy has
+  // since stopped allowing it
+  async approveAfterDelay(order, event) {
+    const policy = verificationPolicyService.policyFor(event);
+    const allowed = policy.autoApprove &&
+      (policy.maxAutoApproveAmount === null || order.totalAmount <= policy.maxAutoApproveAmount);
+
+    if (!allowed) {
+      const decision = { action: 'review', reason: 'Auto-approval no longer allowed by the event\'s verification policy' };
+      await orderStateMachine.transition(order, 'pending_quick_review', {
+        reason: decision.reason,
+        set: {
+          verificationNotes: `${order.verificationNotes || ''} [Review needed: ${decision.reason}]`,
+          verificationDecision: verificationPolicyService.record(policy, decision, order.verificationDecision && order.verificationDecision.confidence)
+        }
+      });
+      console.log(`Order ${order._id} sent to review: ${decision.reason}`);
+      return;
+    }
+
+    await this.verify(order, {
+      reason: 'Auto-approved after grace period',
+      notes: `${order.verificationNotes || ''} [Auto-approved after grace period]`
+    });
+    console.log(`Order ${order._id} auto-approved after grace period`);
+  }
+}
+
+const mcbJuiceProvider = new McbJuiceProvider();
+
+// Background jobs (see services/jobQueue.js). Handlers reload the order so a
+// job that runs late, or twice, acts on its current state.
+jobQueue.define('orders.verifyReceipt', async ({ orderId }) => {
+  const order = await Order.findById(orderId);
+  if (!order || order.paymentStatus !== 'pending_verification') return;
+
+  const event = await Event.findById(order.eventId);
+  if (!event) throw new Error(`Event ${order.eventId} not found`);
+
+  await mcbJuiceProvider.verifyReceipt(order, event);
+}, { maxAttempts: 3 });
+
+jobQueue.define('orders.autoApprove', async ({ orderId }) => {
+  const order = await Order.findById(orderId);
+  if (!order || order.paymentStatus !== 'pending_auto_approval') return;
+
+  const event = await Event.findById(order.eventId);
+  if (!event) throw new Error(`Event ${order.eventId} not found`);
+
+  await mcbJuiceProvider.approveAfterDelay(order, event);
+});
+
+module.exports = mcbJuiceProvider;
@@ -0,0 +1,87 @@
+const orderStateMachine = require('../orderStateMachine');
+
+function paymentError(message, statusCode, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+}
+
+// Base class for payment providers. A provider is one way of paying: what
+// checkout needs from the buyer, the status a new order starts in, what runs
+// once it is saved, and how its payments are verified, rejected and
+// refunded. Checkout itself (pricing, stock, promo codes) is shared; see
+// services/payments/index.js.
+class PaymentProvider {
+  // `paymentMethods` are the Order.paymentMethod values the provider owns,
+  // `refundMethod` the default way its refunds are paid out
+  constructor({ name, label, paymentMethods, refundMethod, requiredFields = [], notifyWhatsApp = false }) {
+    this.name = name;
+    this.label = label;
+    this.paymentMethods = paymentMethods;
+    this.refundMethod = refundMethod;
+    this.requiredFields = requiredFields;
+    this.notifyWhatsApp = notifyWhatsApp;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  // Paid providers need something to charge; see FreeProvider
+  acceptsTotal(totalAmount) {
+    return totalAmount > 0;
+  }
+
+  // paymentMethod, paymentStatus and whatever else the provider stores on a
+  // new order
+  orderFields(input) {
+    throw new Error(`${this.name} provider does not implement orderFields()`);
+  }
+
+  // Before the order is saved, e.g. to store an upload
+  async prepare(order, input) {}
+
+  // The order couldn't be saved: undo prepare()
+  async discard(order) {}
+
+  // After the order is saved: start the payment. Returns what the buyer is
+  // told, { status, message }, plus anything they need to pay.
+  async start(order, event, input) {
+    return { status: order.paymentStatus, message: 'Order created successfully.' };
+  }
+
+  // Payment confirmed, by a person (`actor`) or automatically
+  async verify(order, { actor = null, reason, notes, set = {} } = {}) {
+    return orderStateMachine.transition(order, 'completed', {
+      actor,
+      reason: reason || notes || 'Payment verified',
+      set: { verifiedBy: actor, verifiedAt: new Date(), ...(notes && { verificationNotes: notes }), ...set },
+      notifyWhatsApp: this.notifyWhatsApp
+    });
+  }
+
+  // Payment not received; the transition gives the held tickets back
+  async reject(order, { actor = null, reason, notes, set = {} } = {}) {
+    return orderStateMachine.transition(order, 'failed', {
+      actor,
+      reason: reason || notes || 'Payment rejected',
+      set: { verifiedBy: actor, verifiedAt: new Date(), ...(notes && { verificationNotes: notes }), ...set }
+    });
+  }
+
+  // Whether refund() can pay `method` refunds back itself. Manual payments
+  // are refunded by hand and recorded with their payout reference.
+  canRefund(order, method) {
+    return false;
+  }
+
+  // Pay a recorded refund back to the buyer; returns the payout reference
+  async refund(order, refund) {
+    throw paymentError(`${this.label} refunds are paid out by hand`, 400);
+  }
+}
+
+PaymentProvider.paymentError = paymentError;
+
+module.exports = PaymentProvider;
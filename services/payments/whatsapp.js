@@ -0,0 +1,40 @@
+const PaymentProvider = require('./provider');
+
+// The buyer pays by MCB Juice and sends the details to the organizer on
+// WhatsApp; the organizer approves or rejects the order by hand. Both the
+// buyer and the organizer get a WhatsApp confirmation once it's approved.
+class WhatsAppProvider extends PaymentProvider {
+  constructor(options = {}) {
+    super({
+      name: 'whatsapp',
+      label: 'WhatsApp',
+      paymentMethods: ['mcb-juice-whatsapp'],
+      refundMethod: 'mcb-juice',
+      requiredFields: ['paymentReference'],
+      notifyWhatsApp: true,
+      ...options
+    });
+    this.details = options.details || 'Payment details';
+  }
+
+  orderFields(input) {
+    return {
+      paymentMethod: this.paymentMethods[0],
+      paymentStatus: 'pending_whatsapp_verification',
+      paymentReference: input.paymentReference,
+      organizerWhatsApp: input.organizerWhatsApp,
+      verificationNotes: `${this.details} sent via WhatsApp. Awaiting organizer verification.`
+    };
+  }
+
+  async start(order) {
+    console.log(`${this.label} order created: ${order._id}, awaiting organizer verification`);
+
+    return {
+      status: 'pending_whatsapp_verification',
+      message: `Order created successfully. ${this.details} sent via WhatsApp. Awaiting organizer verification.`
+    };
+  }
+}
+
+module.exports = new WhatsAppProvider();
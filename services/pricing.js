@@ -0,0 +1,136 @@
+const inventoryService = require('./inventory');
+const ticketSalesService = require('./ticketSales');
+
+// Orders are priced here from the event's ticket types, never from what the
+// client sends. The client's total is only compared against ours.
+
+// Totals may differ by floating point noise, not by real money
+const TOTAL_TOLERANCE = 0.01;
+
+function pricingError(message, statusCode, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+}
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+class PricingService {
+  // Requested lines -> priced lines using the event's current prices. A
+  // request running past what the open price tier has left is split into a
+  // line per price. Throws 400 for types that aren't on sale.
+  buildLines(event, requested) {
+    const now = new Date();
+    return inventoryService.resolveLines(event, requested).flatMap(line => {
+      const ticketType = event.ticketTypes.id(line.ticketTypeId);
+      ticketSalesService.assertPurchasable(ticketType, now);
+      return ticketSalesService.priceBreakdown(ticketType, line.quantity, now).map(part => ({
+        ticketTypeId: ticketType._id.toString(),
+        name: ticketType.name,
+        price: part.price,
+        quantity: part.quantity
+      }));
+    });
+  }
+
+  // A discount is { code, label, type: 'percent' | 'fixed', value, ticketTypeIds?,
+  // promoCodeId?, required? }. Discounts only apply to their ticket types (all
+  // if unset) and never take a line below zero.
+  discountAmount(discount, lines) {
+    const eligible = lines.filter(line =>
+      !discount.ticketTypeIds || discount.ticketTypeIds.length === 0 || discount.ticketTypeIds.includes(line.ticketTypeId));
+    const eligibleTotal = eligible.reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+    const amount = discount.type === 'percent'
+      ? eligibleTotal * Math.min(discount.value, 100) / 100
+      : discount.value;
+
+    return round(Math.max(0, Math.min(amount, eligibleTotal)));
+  }
+
+  // Service fee set per event: a percentage of the discounted subtotal plus
+  // a fixed amount per paid ticket. Free orders carry no fee.
+  feeAmount(event, lines, discountedSubtotal) {
+    const settings = event.feeSettings || {};
+    if (discountedSubtotal <= 0) return 0;
+
+    const paidTickets = lines.filter(line => line.price > 0).reduce((sum, line) => sum + line.quantity, 0);
+    return round(discountedSubtotal * (settings.percent || 0) / 100 + paidTickets * (settings.fixedPerTicket || 0));
+  }
+
+  quote(event, requested, { discounts = [] } = {}) {
+    const tickets = this.buildLines(event, requested);
+    const subtotal = round(tickets.reduce((sum, line) => sum + line.price * line.quantity, 0));
+
+    // Discounts stack but can't exceed the subtotal
+    let remaining = subtotal;
+    const appliedDiscounts = [];
+    for (const discount of discounts) {
+      const fullAmount = this.discountAmount(discount, tickets);
+      if (fullAmount <= 0 && discount.required) {
+        throw pricingError(`Promo code ${discount.code} does not apply to the selected tickets`, 400);
+      }
+
+      const amount = Math.min(fullAmount, remaining);
+      if (amount <= 0) continue;
+      remaining = round(remaining - amount);
+      appliedDiscounts.push({
+        code: discount.code,
+        label: discount.label || discount.code,
+        amount,
+        promoCodeId: discount.promoCodeId
+      });
+    }
+    const discountTotal = round(subtotal - remaining);
+
+    const feeTotal = this.feeAmount(event, tickets, remaining);
+    const feesPassedToBuyer = !event.feeSettings || event.feeSettings.passToBuyer !== false;
+
+    return {
+      tickets,
+      subtotal,
+      discounts: appliedDiscounts,
+      discountTotal,
+      feeTotal,
+      feesPassedToBuyer,
+      totalAmount: round(remaining + (feesPassedToBuyer ? feeTotal : 0))
+    };
+  }
+
+  // Price an order and make sure the buyer saw the same total. Throws a 409
+  // error carrying the correct quote when prices changed under them.
+  priceOrder(event, requested, clientTotal, options = {}) {
+    const quote = this.quote(event, requested, options);
+
+    const expected = parseFloat(clientTotal);
+    if (Number.isNaN(expected) || Math.abs(expected - quote.totalAmount) > TOTAL_TOLERANCE) {
+      throw pricingError('Order total does not match current ticket prices', 409, {
+        submittedTotal: Number.isNaN(expected) ? null : expected,
+        expectedTotal: quote.totalAmount,
+        quote
+      });
+    }
+
+    return quote;
+  }
+
+  // Fields stored on the order
+  orderFields(quote) {
+    return {
+      tickets: quote.tickets,
+      totalAmount: quote.totalAmount,
+      pricing: {
+        subtotal: quote.subtotal,
+        discounts: quote.discounts,
+        discountTotal: quote.discountTotal,
+        feeTotal: quote.feeTotal,
+        feesPassedToBuyer: quote.feesPassedToBuyer
+      }
+    };
+  }
+}
+
+module.exports = new PricingService();
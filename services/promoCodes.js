@@ -0,0 +1,160 @@
+const PromoCode = require('../models/PromoCode');
+const Order = require('../models/Order');
+
+// Promo codes become discounts for services/pricing.js. A code is checked
+// when the buyer enters it, and a use is only counted (redeem) when an order
+// carrying it is saved. Failed orders give their use back (release) and
+// take it again if they are paid after all (reclaim).
+
+// Orders that no longer count towards a customer's uses
+const INACTIVE_PAYMENT_STATUSES = ['failed', 'refunded'];
+
+function promoError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class PromoCodeService {
+  normalize(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  // A code set up for this event wins over an organizer-wide one
+  async find(event, code) {
+    const candidates = await PromoCode.find({
+      code: this.normalize(code),
+      organizer: event.organizer,
+      $or: [{ eventId: event._id }, { eventId: null }]
+    });
+
+    return candidates.find(promo => promo.eventId) || candidates[0] || null;
+  }
+
+  async customerUses(promo, email) {
+    return Order.countDocuments({
+      'pricing.discounts.promoCodeId': promo._id,
+      'customerInfo.email': new RegExp(`^${escapeRegex(email.trim())}$`, 'i'),
+      paymentStatus: { $nin: INACTIVE_PAYMENT_STATUSES }
+    });
+  }
+
+  // Throws a 400 error explaining why the code can't be used right now
+  async validate(promo, event, { email, now = new Date() } = {}) {
+    if (!promo || !promo.active) {
+      throw promoError('Promo code is not valid', 400);
+    }
+    if (promo.startsAt && now < promo.startsAt) {
+      throw promoError('Promo code is not active yet', 400);
+    }
+    if (promo.endsAt && now > promo.endsAt) {
+      throw promoError('Promo code has expired', 400);
+    }
+    if (promo.maxUses && promo.usedCount >= promo.maxUses) {
+      throw promoError('Promo code has reached its usage limit', 400);
+    }
+    if (promo.ticketTypeIds.length > 0 &&
+        !event.ticketTypes.some(type => promo.ticketTypeIds.includes(type._id.toString()))) {
+      throw promoError('Promo code is not valid for this event', 400);
+    }
+    if (promo.maxUsesPerCustomer && email && await this.customerUses(promo, email) >= promo.maxUsesPerCustomer) {
+      throw promoError('You have already used this promo code', 400);
+    }
+  }
+
+  toDiscount(promo) {
+    return {
+      promoCodeId: promo._id,
+      code: promo.code,
+      label: promo.label || promo.code,
+      type: promo.type,
+      value: promo.value,
+      ticketTypeIds: promo.ticketTypeIds,
+      required: true // The buyer asked for it, so pricing errors if it matches nothing
+    };
+  }
+
+  // Promo code from a checkout request -> pricing discounts
+  async discountsFor(event, code, { email } = {}) {
+    if (!code) return [];
+
+    const promo = await this.find(event, code);
+    await this.validate(promo, event, { email });
+    return [this.toDiscount(promo)];
+  }
+
+  // Count a use for each code on a new order. The cap is checked in the same
+  // update, so the last use can't be taken twice. Throws 409 when used up.
+  async redeem(order) {
+    const redeemed = [];
+
+    for (const discount of (order.pricing && order.pricing.discounts) || []) {
+      if (!discount.promoCodeId) continue;
+
+      const promo = await PromoCode.findOneAndUpdate(
+        {
+          _id: discount.promoCodeId,
+          $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }]
+        },
+        { $inc: { usedCount: 1 } }
+      );
+      if (!promo) {
+        await this.unredeem(redeemed);
+        throw promoError(`Promo code ${discount.code} has reached its usage limit`, 409);
+      }
+      redeemed.push(discount.promoCodeId);
+    }
+
+    return redeemed;
+  }
+
+  async unredeem(promoCodeIds) {
+    if (promoCodeIds.length === 0) return;
+    await PromoCode.updateMany({ _id: { $in: promoCodeIds }, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  }
+
+  promoCodeIds(order) {
+    return ((order.pricing && order.pricing.discounts) || [])
+      .map(discount => discount.promoCodeId)
+      .filter(Boolean);
+  }
+
+  // A failed order frees its uses again
+  async release(order) {
+    await this.unredeem(this.promoCodeIds(order));
+  }
+
+  // A failed order that gets paid after all takes its uses back. The buyer
+  // has already paid the discounted price, so the cap isn't checked.
+  async reclaim(order) {
+    const ids = this.promoCodeIds(order);
+    if (ids.length === 0) return;
+    await PromoCode.updateMany({ _id: { $in: ids } }, { $inc: { usedCount: 1 } });
+  }
+
+  // How a code has been used, for the organizer's reports
+  async usage(promo) {
+    const orders = await Order.find({
+      'pricing.discounts.promoCodeId': promo._id,
+      paymentStatus: { $nin: INACTIVE_PAYMENT_STATUSES }
+    }).select('orderNumber eventId customerInfo.email paymentStatus totalAmount pricing createdAt').sort({ createdAt: -1 });
+
+    const discountTotal = orders.reduce((sum, order) => sum + order.pricing.discounts
+      .filter(discount => discount.promoCodeId && discount.promoCodeId.equals(promo._id))
+      .reduce((lineSum, discount) => lineSum + discount.amount, 0), 0);
+
+    return {
+      usedCount: promo.usedCount,
+      orders: orders.length,
+      revenue: Math.round(orders.reduce((sum, order) => sum + order.totalAmount, 0) * 100) / 100,
+      discountTotal: Math.round(discountTotal * 100) / 100,
+      recentOrders: orders.slice(0, 50)
+    };
+  }
+}
+
+module.exports = new PromoCodeService();
@@ -0,0 +1,121 @@
+// Receipt layouts of the banking apps buyers pay from. Each template has
+// anchor keywords that identify its screenshots and, for every field, a list
+// of extractors tried in order until one finds a value:
+//   labelled(label, value, confidence) - the value after the label on the same
+//     line, or on the next line (most apps put the label above the value)
+//   anywhere(value, confidence) - the first line the value appears on
+// The first capture group of `value` is the field's value. Confidence (0-100)
+// is how far a value found that way can be trusted; the generic template's
+// guesses score lowest.
+
+// Values, shared by every layout
+const AMOUNT = /(?:Rs\.?|MUR|₨)\s*(\d{1,3}(?:,\d{3})+(?:\.\d{1,2})?|\d+(?:\.\d{1,2})?)/i;
+const BARE_AMOUNT = /\b(\d{1,3}(?:,\d{3})+\.\d{2}|\d+\.\d{2})\b/;
+const PAYMENT_REFERENCE = /\b(TCK\w+)\b/i;
+// Must contain a digit, so words like "successful" aren't taken for one
+const TRANSACTION_ID = /\b((?!TCK)(?=[a-z]*\d)[a-z0-9]{8,})\b/i;
+const DATE = /(\d{1,2}[\/\-.]\d{1,2}[\/\-.]\d{2,4}|\d{1,2}\s+[a-z]{3,9},?\s+\d{4})/i;
+const TIME = /(\d{1,2}:\d{2}(?::\d{2})?(?:\s*[AP]M)?)/i;
+const PHONE = /(\+?\d{3}\s?\d{4}\s?\d{4}|\b5\d{3}\s?\d{4}\b)/;
+const ACCOUNT = /\b(\d{10,20})\b/;
+
+function labelled(label, value, confidence) {
+  return { label, value, confidence };
+}
+
+function anywhere(value, confidence) {
+  return { value, confidence };
+}
+
+const mcbJuice = {
+  label: 'MCB Juice',
+  anchors: [/\bjuice\b/i, /\bMCB\b/i, /transfer (?:successful|completed)/i, /\bbeneficiary\b/i],
+  fields: {
+    amount: [labelled(/\bamount\b/i, AMOUNT, 95), anywhere(AMOUNT, 75)],
+    reference: [labelled(/\b(?:remarks?|reference|ref|note|description)\b/i, PAYMENT_REFERENCE, 95), anywhere(PAYMENT_REFERENCE, 80)],
+    transactionId: [labelled(/\b(?:transaction|trans\.?)\s*(?:id|no\.?|number|ref(?:erence)?)\b/i, TRANSACTION_ID, 90)],
+    date: [labelled(/\bdate\b/i, DATE, 90), anywhere(DATE, 70)],
+    time: [anywhere(TIME, 70)],
+    recipient: [labelled(/\b(?:transfer(?:red)? to|to|beneficiary|recipient|mobile)\b/i, PHONE, 90), anywhere(PHONE, 60)]
+  }
+};
+
+const sbm = {
+  label: 'SBM Mobile Banking',
+  anchors: [/\bSBM\b/i, /\bnarrative\b/i, /\bMauCAS\b/i, /instant (?:payment|transfer)/i],
+  fields: {
+    amount: [labelled(/\b(?:transfer )?amount\b/i, AMOUNT, 95), labelled(/\bamount\b/i, BARE_AMOUNT, 80), anywhere(AMOUNT, 70)],
+    reference: [labelled(/\b(?:narrative|payment details|remarks?)\b/i, PAYMENT_REFERENCE, 95), anywhere(PAYMENT_REFERENCE, 80)],
+    transactionId: [labelled(/\b(?:transaction ref(?:erence)?(?: no\.?)?|txn ref)\b/i, TRANSACTION_ID, 90)],
+    date: [labelled(/\b(?:transaction |value )?date\b/i, DATE, 90), anywhere(DATE, 70)],
+    time: [anywhere(TIME, 70)],
+    recipient: [labelled(/\bbeneficiary (?:account|mobile)\b/i, ACCOUNT, 90), labelled(/\bbeneficiary\b/i, PHONE, 85), anywhere(PHONE, 60)]
+  }
+};
+
+const mauBank = {
+  label: 'MauBank WithMe',
+  anchors: [/\bMauBank\b/i, /\bwithme\b/i, /\bto account\b/i],
+  fields: {
+    amount: [labelled(/\bamount\b/i, AMOUNT, 95), labelled(/\bamount\b/i, BARE_AMOUNT, 80), anywhere(AMOUNT, 70)],
+    reference: [labelled(/\b(?:description|remarks?)\b/i, PAYMENT_REFERENCE, 95), anywhere(PAYMENT_REFERENCE, 80)],
+    transactionId: [labelled(/\b(?:reference|ref\.?) (?:no\.?|number)\b/i, TRANSACTION_ID, 90)],
+    date: [labelled(/\bdate\b/i, DATE, 90), anywhere(DATE, 70)],
+    time: [anywhere(TIME, 70)],
+    recipient: [labelled(/\bto account\b/i, ACCOUNT, 90), labelled(/\bto\b/i, PHONE, 80), anywhere(PHONE, 60)]
+  }
+};
+
+const absa = {
+  label: 'Absa Mauritius',
+  anchors: [/\babsa\b/i, /\b(?:their|recipient) reference\b/i, /\bpayment id\b/i],
+  fields: {
+    amount: [labelled(/\bamount\b/i, AMOUNT, 95), labelled(/\bamount\b/i, BARE_AMOUNT, 80), anywhere(AMOUNT, 70)],
+    reference: [labelled(/\b(?:their|recipient) reference\b/i, PAYMENT_REFERENCE, 95), anywhere(PAYMENT_REFERENCE, 80)],
+    transactionId: [labelled(/\b(?:payment id|reference number)\b/i, TRANSACTION_ID, 90)],
+    date: [labelled(/\b(?:payment )?date\b/i, DATE, 90), anywhere(DATE, 70)],
+    time: [anywhere(TIME, 70)],
+    recipient: [labelled(/\brecipient(?: account)?\b/i, ACCOUNT, 90), labelled(/\brecipient\b/i, PHONE, 85), anywhere(PHONE, 60)]
+  }
+};
+
+const mytMoney = {
+  label: 'my.t money',
+  anchors: [/\bmy\.?\s?t\s*money\b/i, /\bmy\.t\b/i, /\bsent to\b/i, /\breceiver\b/i],
+  fields: {
+    amount: [labelled(/\bamount(?: sent)?\b/i, AMOUNT, 95), anywhere(AMOUNT, 75)],
+    reference: [labelled(/\b(?:message|note|reason)\b/i, PAYMENT_REFERENCE, 95), anywhere(PAYMENT_REFERENCE, 80)],
+    transactionId: [labelled(/\b(?:transaction id|txn id|trans\.? id)\b/i, TRANSACTION_ID, 90)],
+    date: [labelled(/\bdate\b/i, DATE, 90), anywhere(DATE, 70)],
+    time: [anywhere(TIME, 70)],
+    recipient: [labelled(/\b(?:sent to|receiver|to)\b/i, PHONE, 90), anywhere(PHONE, 60)]
+  }
+};
+
+// The original MCB Juice-tuned patterns, for layouts no template recognises
+const generic = {
+  label: 'Unrecognised app',
+  anchors: [],
+  fields: {
+    amount: [anywhere(AMOUNT, 60)],
+    reference: [labelled(/\b(?:ref|reference|note|description)\b/i, PAYMENT_REFERENCE, 70), anywhere(PAYMENT_REFERENCE, 60)],
+    transactionId: [labelled(/\b(?:transaction|trans|id)\b/i, TRANSACTION_ID, 50)],
+    date: [anywhere(DATE, 50)],
+    time: [anywhere(TIME, 50)],
+    recipient: [labelled(/\b(?:to|recipient)\b/i, PHONE, 60)]
+  }
+};
+
+const templates = {
+  'mcb-juice': mcbJuice,
+  sbm,
+  maubank: mauBank,
+  absa,
+  'myt-money': mytMoney,
+  generic
+};
+
+module.exports = {
+  templates,
+  GENERIC_TEMPLATE: 'generic'
+};
@@ -1,5 +1,9 @@
 const Tesseract = require('tesseract.js');
 const sharp = require('sharp');
+const { templates, GENERIC_TEMPLATE } = require('./receiptTemplates');
+
+// Side of the perceptual hash grid, so hashes are HASH_SIZE² bits
+const HASH_SIZE = 16;
 
 class ReceiptVerificationService {
   constructor() {
@@ -15,31 +19,48 @@ class ReceiptVerificationService {
     return this.worker;
   }
 
-  async preprocessImage(imagePath) {
+  // image is a file path or a Buffer (screenshots read from storage)
+  async preprocessImage(image) {
     try {
       // Enhance image for better OCR results
-      const processedImagePath = imagePath.replace(/\.(jpg|jpeg|png)$/i, '_processed.png');
-      
-      await sharp(imagePath)
+      return await sharp(image)
         .greyscale()
         .normalize()
         .sharpen()
         .png()
-        .toFile(processedImagePath);
-      
-      return processedImagePath;
+        .toBuffer();
     } catch (error) {
       console.error('Image preprocessing failed:', error);
-      return imagePath; // Return original if preprocessing fails
+      return image; // Return original if preprocessing fails
+    }
+  }
+
+  // Perceptual difference hash (dHash) of an image as 64 hex digits: one bit
+  // per pair of neighbouring pixels in a 17x16 greyscale thumbnail. Copies of
+  // a screenshot re-saved at the same size hash the same.
+  async perceptualHash(image) {
+    const pixels = await sharp(image)
+      .greyscale()
+      .resize(HASH_SIZE + 1, HASH_SIZE, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let hash = 0n;
+    for (let row = 0; row < HASH_SIZE; row++) {
+      for (let col = 0; col < HASH_SIZE; col++) {
+        const pixel = row * (HASH_SIZE + 1) + col;
+        hash = (hash << 1n) | (pixels[pixel] > pixels[pixel + 1] ? 1n : 0n);
+      }
     }
+    return hash.toString(16).padStart(HASH_SIZE * HASH_SIZE / 4, '0');
   }
 
-  async extractTextFromReceipt(imagePath) {
+  async extractTextFromReceipt(image) {
     try {
       const worker = await this.initializeWorker();
-      const processedImagePath = await this.preprocessImage(imagePath);
+      const processedImage = await this.preprocessImage(image);
       
-      const { data: { text } } = await worker.recognize(processedImagePath);
+      const { data: { text } } = await worker.recognize(processedImage);
       
       return text;
     } catch (error) {
@@ -48,9 +69,52 @@ class ReceiptVerificationService {
     }
   }
 
+  // The template whose anchor keywords appear most in the receipt, with the
+  // share of its anchors found as its confidence. Falls back to the generic
+  // template when no app is recognised.
+  detectTemplate(text) {
+    let best = { name: GENERIC_TEMPLATE, template: templates[GENERIC_TEMPLATE], matched: 0, confidence: 0 };
+
+    for (const [name, template] of Object.entries(templates)) {
+      if (template.anchors.length === 0) continue;
+
+      const matched = template.anchors.filter(anchor => anchor.test(text)).length;
+      if (matched > best.matched) {
+        best = { name, template, matched, confidence: Math.round(100 * matched / template.anchors.length) };
+      }
+    }
+
+    return best;
+  }
+
+  // First value the field's extractors find, with the confidence of the
+  // extractor that found it
+  extractField(lines, extractors) {
+    for (const extractor of extractors) {
+      for (let i = 0; i < lines.length; i++) {
+        if (!extractor.label) {
+          const match = lines[i].match(extractor.value);
+          if (match) return { value: match[1], confidence: extractor.confidence };
+          continue;
+        }
+
+        const label = lines[i].match(extractor.label);
+        if (!label) continue;
+
+        const sameLine = lines[i].slice(label.index + label[0].length).match(extractor.value);
+        const nextLine = !sameLine && i + 1 < lines.length ? lines[i + 1].match(extractor.value) : null;
+        const match = sameLine || nextLine;
+        if (match) return { value: match[1], confidence: extractor.confidence };
+      }
+    }
+
+    return { value: null, confidence: 0 };
+  }
+
   parseReceiptData(text) {
     const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-    
+    const detected = this.detectTemplate(text);
+
     const receiptData = {
       amount: null,
       reference: null,
@@ -58,114 +122,97 @@ class ReceiptVerificationService {
       date: null,
       time: null,
       recipient: null,
+      template: detected.name,
+      templateConfidence: detected.confidence,
+      fieldConfidence: {},
       rawText: text
     };
 
-    for (const line of lines) {
-      // Extract amount (look for patterns like Rs 150.00, MUR 150, etc.)
-      const amountMatch = line.match(/(?:Rs|MUR|₨)\s*(\d+(?:\.\d{2})?)/i);
-      if (amountMatch && !receiptData.amount) {
-        receiptData.amount = parseFloat(amountMatch[1]);
-      }
-
-      // Extract reference code (look for patterns like TCK123456)
-      const referenceMatch = line.match(/(?:ref|reference|note|description).*?(TCK\w+)/i);
-      if (referenceMatch) {
-        receiptData.reference = referenceMatch[1];
-      }
-
-      // Extract transaction ID
-      const transactionMatch = line.match(/(?:transaction|trans|id).*?(\w{8,})/i);
-      if (transactionMatch && !receiptData.transactionId) {
-        receiptData.transactionId = transactionMatch[1];
-      }
-
-      // Extract date
-      const dateMatch = line.match(/(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})/);
-      if (dateMatch && !receiptData.date) {
-        receiptData.date = dateMatch[1];
-      }
-
-      // Extract time
-      const timeMatch = line.match(/(\d{1,2}:\d{2}(?::\d{2})?(?:\s*[AP]M)?)/i);
-      if (timeMatch && !receiptData.time) {
-        receiptData.time = timeMatch[1];
-      }
+    for (const [field, extractors] of Object.entries(detected.template.fields)) {
+      const { value, confidence } = this.extractField(lines, extractors);
+      receiptData[field] = value;
+      receiptData.fieldConfidence[field] = confidence;
+    }
 
-      // Extract recipient (MCB Juice number)
-      const recipientMatch = line.match(/(?:to|recipient).*?(\+?\d{3}\s?\d{4}\s?\d{4})/i);
-      if (recipientMatch && !receiptData.recipient) {
-        receiptData.recipient = recipientMatch[1];
-      }
+    if (receiptData.amount) {
+      receiptData.amount = parseFloat(receiptData.amount.replace(/,/g, ''));
     }
 
     return receiptData;
   }
 
-  async verifyReceipt(imagePath, expectedAmount, expectedReference, expectedRecipient = null) {
-    try {
-      const extractedText = await this.extractTextFromReceipt(imagePath);
-      const receiptData = this.parseReceiptData(extractedText);
-
-      const verification = {
-        isValid: false,
-        confidence: 0,
-        extractedData: receiptData,
-        checks: {
-          amountMatch: false,
-          referenceMatch: false,
-          recipientMatch: true, // Default to true if not checking recipient
-          hasTransactionId: false
-        },
-        issues: []
-      };
+  // Compare receipt fields with what the order expects: the checks made,
+  // the issues found and an overall confidence. Run on fresh OCR results and
+  // again when a reviewer corrects fields.
+  checkReceipt(receiptData, expectedAmount, expectedReference, expectedRecipient = null) {
+    const verification = {
+      isValid: false,
+      confidence: 0,
+      extractedData: receiptData,
+      checks: {
+        amountMatch: false,
+        referenceMatch: false,
+        recipientMatch: true, // Default to true if not checking recipient
+        hasTransactionId: false
+      },
+      issues: []
+    };
 
-      // Check amount
-      if (receiptData.amount) {
-        const amountDifference = Math.abs(receiptData.amount - expectedAmount);
-        verification.checks.amountMatch = amountDifference <= 0.01; // Allow 1 cent difference
-        if (!verification.checks.amountMatch) {
-          verification.issues.push(`Amount mismatch: expected ${expectedAmount}, found ${receiptData.amount}`);
-        }
-      } else {
-        verification.issues.push('Amount not found in receipt');
+    // Check amount
+    if (receiptData.amount) {
+      const amountDifference = Math.abs(receiptData.amount - expectedAmount);
+      verification.checks.amountMatch = amountDifference <= 0.01; // Allow 1 cent difference
+      if (!verification.checks.amountMatch) {
+        verification.issues.push(`Amount mismatch: expected ${expectedAmount}, found ${receiptData.amount}`);
       }
+    } else {
+      verification.issues.push('Amount not found in receipt');
+    }
 
-      // Check reference code
-      if (receiptData.reference) {
-        verification.checks.referenceMatch = receiptData.reference === expectedReference;
-        if (!verification.checks.referenceMatch) {
-          verification.issues.push(`Reference mismatch: expected ${expectedReference}, found ${receiptData.reference}`);
-        }
-      } else {
-        verification.issues.push('Reference code not found in receipt');
+    // Check reference code
+    if (receiptData.reference) {
+      verification.checks.referenceMatch = receiptData.reference === expectedReference;
+      if (!verification.checks.referenceMatch) {
+        verification.issues.push(`Reference mismatch: expected ${expectedReference}, found ${receiptData.reference}`);
       }
+    } else {
+      verification.issues.push('Reference code not found in receipt');
+    }
 
-      // Check recipient (if provided)
-      if (expectedRecipient && receiptData.recipient) {
-        const normalizedExpected = expectedRecipient.replace(/\s/g, '');
-        const normalizedFound = receiptData.recipient.replace(/\s/g, '');
-        verification.checks.recipientMatch = normalizedFound.includes(normalizedExpected) || 
-                                           normalizedExpected.includes(normalizedFound);
-        if (!verification.checks.recipientMatch) {
-          verification.issues.push(`Recipient mismatch: expected ${expectedRecipient}, found ${receiptData.recipient}`);
-        }
+    // Check recipient (if provided)
+    if (expectedRecipient && receiptData.recipient) {
+      const normalizedExpected = expectedRecipient.replace(/\s/g, '');
+      const normalizedFound = receiptData.recipient.replace(/\s/g, '');
+      verification.checks.recipientMatch = normalizedFound.includes(normalizedExpected) || 
+                                         normalizedExpected.includes(normalizedFound);
+      if (!verification.checks.recipientMatch) {
+        verification.issues.push(`Recipient mismatch: expected ${expectedRecipient}, found ${receiptData.recipient}`);
       }
+    }
 
-      // Check for transaction ID
-      verification.checks.hasTransactionId = !!receiptData.transactionId;
+    // Check for transaction ID
+    verification.checks.hasTransactionId = !!receiptData.transactionId;
 
-      // Calculate confidence score
-      let score = 0;
-      if (verification.checks.amountMatch) score += 40;
-      if (verification.checks.referenceMatch) score += 40;
-      if (verification.checks.recipientMatch) score += 10;
-      if (verification.checks.hasTransactionId) score += 10;
+    // Calculate confidence score. Each check counts in proportion to how
+    // far the value it was made on can be trusted.
+    const trust = field => receiptData.fieldConfidence[field] / 100;
+    let score = 0;
+    if (verification.checks.amountMatch) score += 40 * trust('amount');
+    if (verification.checks.referenceMatch) score += 40 * trust('reference');
+    if (verification.checks.recipientMatch) score += expectedRecipient && receiptData.recipient ? 10 * trust('recipient') : 10;
+    if (verification.checks.hasTransactionId) score += 10 * trust('transactionId');
 
-      verification.confidence = score;
-      verification.isValid = score >= 40; // Lowered threshold for automatic approval
+    verification.confidence = Math.round(score);
+    verification.isValid = score >= 40; // Lowered threshold for automatic approval
 
-      return verification;
+    return verification;
+  }
+
+  async verifyReceipt(image, expectedAmount, expectedReference, expectedRecipient = null) {
+    try {
+      const extractedText = await this.extractTextFromReceipt(image);
+      const receiptData = this.parseReceiptData(extractedText);
+      return this.checkReceipt(receiptData, expectedAmount, expectedReference, expectedRecipient);
     } catch (error) {
       console.error('Receipt verification failed:', error);
       return {
@@ -184,6 +231,30 @@ class ReceiptVerificationService {
     }
   }
 
+  // A verification result as stored on the order (Order.receiptCheck)
+  toRecord(verification) {
+    const data = verification.extractedData || {};
+    return {
+      template: data.template,
+      templateConfidence: data.templateConfidence,
+      rawText: data.rawText,
+      fields: {
+        amount: data.amount,
+        reference: data.reference,
+        transactionId: data.transactionId,
+        date: data.date,
+        time: data.time,
+        recipient: data.recipient
+      },
+      fieldConfidence: data.fieldConfidence || {},
+      checks: verification.checks,
+      issues: verification.issues,
+      confidence: verification.confidence,
+      error: verification.error,
+      checkedAt: new Date()
+    };
+  }
+
   async cleanup() {
     if (this.worker) {
       await this.worker.terminate();
@@ -0,0 +1,410 @@
+const Order = require('../models/Order');
+const Event = require('../models/Event');
+const Reconciliation = require('../models/Reconciliation');
+const paymentService = require('./payments');
+const { toCsv } = require('../utils/csv');
+
+// Match the credits on a bank or MCB Juice statement export (CSV or OFX) to
+// orders waiting for manual payment verification. A credit is `matched` when
+// exactly one pending order has its payment reference (or order number), the
+// same amount and a date close enough; `probable` when only the amount and
+// date single out one order. Everything else is `ambiguous` or `unmatched`
+// and left for the organizer. Applying verifies the matched orders through
+// their payment provider.
+
+// Providers whose payments arrive on a statement
+const RECONCILED_PROVIDERS = ['mcb-juice', 'whatsapp', 'bank-transfer'];
+const PENDING_STATUSES = ['pending_verification', 'pending_whatsapp_verification', 'pending_auto_approval', 'pending_quick_review'];
+
+// A payment can show up on the statement a day before the order (time zones,
+// paying before submitting) and up to a week after it
+const DAYS_BEFORE_ORDER = 1;
+const DAYS_AFTER_ORDER = 7;
+const AMOUNT_TOLERANCE = 0.01;
+const MIN_REFERENCE_LENGTH = 4;
+const MAX_LINES = 5000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function reconciliationError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Uppercase letters and digits only, so "TKT-123 / ref:ab12" compares
+// with "tkt123refab12"
+function normalize(text) {
+  return String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+}
+
+class ReconciliationService {
+  // Statement dates are day-first (dd/mm/yyyy), as exported by Mauritian banks
+  parseDate(value) {
+    const text = String(value || '').trim();
+    let match;
+
+    if ((match = text.match(/^(\d{4})-?(\d{2})-?(\d{2})/))) {
+      return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+    }
+    if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/))) {
+      const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+      return new Date(Date.UTC(year, +match[2] - 1, +match[1]));
+    }
+    if ((match = text.match(/^(\d{1,2})[\s-]([A-Za-z]{3})[A-Za-z]*[\s-](\d{2,4})/))) {
+      const month = MONTHS.indexOf(match[2].toLowerCase());
+      const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+      if (month !== -1) return new Date(Date.UTC(year, month, +match[1]));
+    }
+    return null;
+  }
+
+  // "Rs 1,250.00", "(500.00)" and "-500" are all amounts
+  parseAmount(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+
+    const negative = /^\(.*\)$/.test(text) || text.includes('-');
+    const amount = parseFloat(text.replace(/[^0-9.]/g, ''));
+    if (Number.isNaN(amount)) return null;
+    return negative ? -amount : amount;
+  }
+
+  // Rows of fields; handles quoted fields and whichever delimiter (comma,
+  // semicolon or tab) is most common in the first lines
+  parseCsvRows(text) {
+    const sample = text.split(/\r?\n/, 10).join('\n');
+    const count = candidate => sample.split(candidate).length;
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) => (count(candidate) > count(best) ? candidate : best), ',');
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let index = 0; index < text.length; index++) {
+      const char = text[index];
+
+      if (quoted) {
+        if (char === '"' && text[index + 1] === '"') {
+          field += '"';
+          index++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[index + 1] === '\n') index++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  // Which columns hold what, from a header row; null if it isn't one
+  csvColumns(header) {
+    const names = header.map(name => String(name).trim().toLowerCase());
+    // A "Credit/Debit" column holds the direction, not an amount
+    const type = names.findIndex(name => /^(type|cr\/dr|dr\/cr|dc|credit\/debit|debit\/credit)$/.test(name));
+    // Nor is a "Debit Amount" column ever a credit
+    const debit = names.findIndex((name, index) => index !== type && /debit|withdrawal|money out|paid out/.test(name));
+    const find = pattern => names.findIndex((name, index) => index !== type && index !== debit && pattern.test(name));
+
+    const columns = {
+      date: find(/date/),
+      amount: find(/^amount|amount$/),
+      credit: find(/credit|money in|deposit|paid in/),
+      debit,
+      type,
+      reference: find(/reference|^ref/),
+      text: names
+        .map((name, index) => (/description|narrative|details|particulars|remarks|memo|payer|name/.test(name) ? index : -1))
+        .filter(index => index !== -1)
+    };
+
+    if (columns.date === -1 || (columns.amount === -1 && columns.credit === -1)) return null;
+    return columns;
+  }
+
+  // Credits in a CSV export. Banks put account details above the header, so
+  // the first row that looks like a header starts the table.
+  parseCsv(text) {
+    const rows = this.parseCsvRows(text);
+    const headerIndex = rows.findIndex(row => this.csvColumns(row));
+    if (headerIndex === -1) {
+      throw reconciliationError('Could not find date and amount columns in the statement', 400);
+    }
+
+    const columns = this.csvColumns(rows[headerIndex]);
+    const lines = [];
+    let skipped = 0;
+
+    rows.slice(headerIndex + 1).forEach((row, offset) => {
+      if (row.every(field => !field.trim())) return;
+
+      // Money going out of the account
+      if (columns.debit !== -1 && this.parseAmount(row[columns.debit])) {
+        skipped++;
+        return;
+      }
+
+      const date = this.parseDate(row[columns.date]);
+      let amount = columns.credit !== -1 ? this.parseAmount(row[columns.credit]) : null;
+      if (amount === null && columns.amount !== -1) {
+        amount = this.parseAmount(row[columns.amount]);
+        if (columns.type !== -1 && /^d/i.test(String(row[columns.type]).trim())) amount = -Math.abs(amount);
+      }
+
+      if (!date || !amount || amount <= 0) {
+        skipped++;
+        return;
+      }
+
+      lines.push({
+        line: headerIndex + offset + 2,
+        date,
+        amount,
+        reference: columns.reference !== -1 ? String(row[columns.reference] || '').trim() : '',
+        description: columns.text.map(index => String(row[index] || '').trim()).filter(Boolean).join(' ')
+      });
+    });
+
+    return { lines, skipped };
+  }
+
+  // Credits in an OFX export. OFX 1.x is SGML, so tags often aren't closed:
+  // a value runs to the end of its line or the next tag.
+  parseOfx(text) {
+    const transactions = text.match(/<STMTTRN>[\s\S]*?(<\/STMTTRN>|(?=<STMTTRN>)|(?=<\/BANKTRANLIST>))/gi) || [];
+    const field = (block, tag) => {
+      const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+      return match ? match[1].trim() : '';
+    };
+
+    const lines = [];
+    let skipped = 0;
+
+    transactions.forEach((block, index) => {
+      const date = this.parseDate(field(block, 'DTPOSTED'));
+      const amount = this.parseAmount(field(block, 'TRNAMT'));
+
+      if (!date || !amount || amount <= 0) {
+        skipped++;
+        return;
+      }
+
+      lines.push({
+        line: index + 1,
+        date,
+        amount,
+        reference: field(block, 'REFNUM') || field(block, 'CHECKNUM') || field(block, 'FITID'),
+        description: [field(block, 'NAME'), field(block, 'MEMO')].filter(Boolean).join(' ')
+      });
+    });
+
+    return { lines, skipped };
+  }
+
+  // { format, lines, skipped } for an uploaded statement
+  parseStatement(buffer, filename = '') {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const format = /\.ofx$/i.test(filename) || /<OFX>|OFXHEADER/i.test(text.slice(0, 2000)) ? 'ofx' : 'csv';
+
+    const { lines, skipped } = format === 'ofx' ? this.parseOfx(text) : this.parseCsv(text);
+    if (lines.length > MAX_LINES) {
+      throw reconciliationError(`Statements can have at most ${MAX_LINES} credits`, 400);
+    }
+
+    return { format, lines, skipped };
+  }
+
+  // Orders waiting for a manual payment on the organizer's events
+  async pendingOrders(organizerId, eventId) {
+    const events = await Event.find(eventId ? { _id: eventId, organizer: organizerId } : { organizer: organizerId }).select('_id');
+    const paymentMethods = RECONCILED_PROVIDERS.flatMap(name => paymentService.provider(name).paymentMethods);
+
+    return Order.find({
+      eventId: { $in: events.map(event => event._id) },
+      paymentMethod: { $in: paymentMethods },
+      paymentStatus: { $in: PENDING_STATUSES }
+    }).select('orderNumber paymentReference totalAmount createdAt customerInfo');
+  }
+
+  withinWindow(line, order) {
+    const orderDay = startOfDay(order.createdAt).getTime();
+    const lineDay = startOfDay(line.date).getTime();
+    return lineDay >= orderDay - DAYS_BEFORE_ORDER * DAY_MS && lineDay <= orderDay + DAYS_AFTER_ORDER * DAY_MS;
+  }
+
+  sameAmount(line, order) {
+    return Math.abs(line.amount - order.totalAmount) <= AMOUNT_TOLERANCE;
+  }
+
+  // The order's payment reference or order number appears on the line
+  referenceMatches(line, order) {
+    const text = normalize(`${line.reference} ${line.description}`);
+    return [order.paymentReference, order.orderNumber]
+      .map(normalize)
+      .some(reference => reference.length >= MIN_REFERENCE_LENGTH && text.includes(reference));
+  }
+
+  matchLine(line, orders) {
+    const inWindow = orders.filter(order => this.withinWindow(line, order));
+    const byReference = inWindow.filter(order => this.referenceMatches(line, order));
+    const full = byReference.filter(order => this.sameAmount(line, order));
+
+    if (full.length === 1) {
+      return { status: 'matched', orderId: full[0]._id, reason: `Reference and amount match order ${full[0].orderNumber}` };
+    }
+    if (full.length > 1) {
+      return { status: 'ambiguous', candidateOrderIds: full.map(order => order._id), reason: 'Reference and amount match several orders' };
+    }
+    if (byReference.length > 0) {
+      return {
+        status: 'ambiguous',
+        candidateOrderIds: byReference.map(order => order._id),
+        reason: `Reference matches order ${byReference[0].orderNumber} but the amount differs (expected Rs ${byReference[0].totalAmount.toFixed(2)})`
+      };
+    }
+
+    const byAmount = inWindow.filter(order => this.sameAmount(line, order));
+    if (byAmount.length === 1) {
+      return { status: 'probable', orderId: byAmount[0]._id, reason: `Amount and date match order ${byAmount[0].orderNumber}; no reference found` };
+    }
+    if (byAmount.length > 1) {
+      return { status: 'ambiguous', candidateOrderIds: byAmount.map(order => order._id), reason: 'Amount and date match several orders; no reference found' };
+    }
+    return { status: 'unmatched', reason: 'No pending order with this reference or amount' };
+  }
+
+  // Match every line, then make sure no order is claimed twice: lines that
+  // point at the same order all become ambiguous
+  match(lines, orders) {
+    const results = lines.map(line => ({ ...line, ...this.matchLine(line, orders) }));
+
+    const claims = new Map();
+    for (const result of results) {
+      if (!result.orderId) continue;
+      const key = result.orderId.toString();
+      claims.set(key, [...(claims.get(key) || []), result]);
+    }
+    for (const claimants of claims.values()) {
+      if (claimants.length < 2) continue;
+      for (const result of claimants) {
+        result.candidateOrderIds = [result.orderId];
+        result.reason = `Order also matches statement line(s) ${claimants.filter(other => other !== result).map(other => other.line).join(', ')}`;
+        result.status = 'ambiguous';
+        delete result.orderId;
+      }
+    }
+
+    return results;
+  }
+
+  // Parse and match a statement and save the report
+  async reconcile(organizerId, buffer, { filename, eventId } = {}) {
+    const { format, lines, skipped } = this.parseStatement(buffer, filename);
+    if (lines.length === 0) {
+      throw reconciliationError('No credits found in the statement', 400);
+    }
+
+    const orders = await this.pendingOrders(organizerId, eventId);
+
+    return Reconciliation.create({
+      organizer: organizerId,
+      eventId: eventId || null,
+      filename,
+      format,
+      lines: this.match(lines, orders),
+      skippedLines: skipped
+    });
+  }
+
+  // Verify the orders behind matched lines, or the given lines (which may
+  // include probable ones). Lines whose order was verified some other way
+  // meanwhile are recorded with an error rather than failing the batch.
+  async apply(reconciliation, { lineIds, actor } = {}) {
+    const selected = lineIds && lineIds.length > 0
+      ? reconciliation.lines.filter(line => lineIds.includes(line._id.toString()))
+      : reconciliation.lines.filter(line => line.status === 'matched');
+
+    if (lineIds && selected.length !== new Set(lineIds).size) {
+      throw reconciliationError('Some lines were not found in this report', 400);
+    }
+    if (selected.some(line => !line.orderId)) {
+      throw reconciliationError('Only matched and probable lines can be applied', 400);
+    }
+
+    let applied = 0;
+    for (const line of selected) {
+      if (line.appliedAt) continue;
+
+      try {
+        const order = await Order.findById(line.orderId);
+        if (!order || !PENDING_STATUSES.includes(order.paymentStatus)) {
+          throw reconciliationError(`Order is no longer pending (${order ? order.paymentStatus : 'deleted'})`, 409);
+        }
+
+        const date = line.date.toISOString().slice(0, 10);
+        await paymentService.verify(order, {
+          actor,
+          reason: `Reconciled with statement line ${line.line}`,
+          notes: `Matched to statement credit of Rs ${line.amount.toFixed(2)} on ${date}${line.reference ? ` (ref ${line.reference})` : ''}`
+        });
+
+        line.appliedAt = new Date();
+        line.applyError = undefined;
+        applied++;
+      } catch (error) {
+        line.applyError = error.message;
+      }
+    }
+
+    await reconciliation.save();
+    return { reconciliation, applied };
+  }
+
+  toCsv(reconciliation) {
+    const header = ['line', 'date', 'amount', 'reference', 'description', 'status', 'reason', 'orderId', 'candidateOrderIds', 'appliedAt', 'applyError'];
+    const rows = reconciliation.lines.map(line => [
+      line.line,
+      line.date,
+      line.amount,
+      line.reference,
+      line.description,
+      line.status,
+      line.reason,
+      line.orderId,
+      line.candidateOrderIds.join(' '),
+      line.appliedAt,
+      line.applyError
+    ]);
+
+    return toCsv([header, ...rows]);
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,212 @@
+const Order = require('../models/Order');
+const Ticket = require('../models/Ticket');
+const TicketTransfer = require('../models/TicketTransfer');
+const inventoryService = require('./inventory');
+const orderStateMachine = require('./orderStateMachine');
+const ticketGeneratorService = require('./ticketGenerator');
+const jobQueue = require('./jobQueue');
+const paymentService = require('./payments');
+const { sendRefundEmail } = require('../utils/sendRefundEmail');
+
+// Refunds are recorded on the order (order.refunds). Money is paid out by
+// hand for MCB Juice and bank transfers, so the organizer records the method
+// and payout reference here; providers that can pay refunds back themselves
+// (cards, through Stripe) do so.
+// Refunded tickets are voided, their stock goes back on sale, and refunding
+// the last active ticket refunds the whole order.
+
+const REFUND_METHODS = ['card', 'mcb-juice', 'bank_transfer', 'cash', 'other'];
+// Payouts someone makes by hand need a reference to reconcile against
+const REFERENCE_REQUIRED = ['mcb-juice', 'bank_transfer'];
+
+function refundError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+class RefundService {
+  refundableAmount(order) {
+    return round(Math.max(0, order.totalAmount - (order.refundedAmount || 0)));
+  }
+
+  // What a set of tickets is worth after the order's discounts and any fees
+  // the buyer paid, shared out in proportion to ticket price
+  ticketsValue(order, tickets) {
+    const listTotal = tickets.reduce((sum, ticket) => sum + (ticket.price || 0), 0);
+    const subtotal = order.pricing && order.pricing.subtotal;
+    const ratio = subtotal > 0 ? order.totalAmount / subtotal : 1;
+    return round(listTotal * ratio);
+  }
+
+  // Refund some tickets (ticketIds) or, with none given, everything still
+  // refundable. `amount` defaults to the value of the refunded tickets (or
+  // the whole remaining balance for a full refund).
+  async refund(order, event, { ticketIds, amount, method, reference, reason, refundedBy } = {}) {
+    if (order.paymentStatus !== 'completed') {
+      throw refundError('Only paid orders can be refunded', 409);
+    }
+
+    // Refund to the same channel the buyer paid with unless told otherwise
+    const provider = paymentService.providerFor(order);
+    method = method || provider.refundMethod;
+    if (!REFUND_METHODS.includes(method)) {
+      throw refundError(`Refund method must be one of: ${REFUND_METHODS.join(', ')}`, 400);
+    }
+    if (REFERENCE_REQUIRED.includes(method) && !reference) {
+      throw refundError(`A payout reference is required for ${method} refunds`, 400);
+    }
+
+    const active = await Ticket.find({ orderId: order._id, status: 'active' }).sort({ sequence: 1 });
+    const partial = Array.isArray(ticketIds) && ticketIds.length > 0;
+    const tickets = partial ? active.filter(ticket => ticketIds.includes(ticket.ticketId)) : active;
+
+    if (partial && tickets.length !== new Set(ticketIds).size) {
+      throw refundError('Some tickets were not found on this order or are already void', 400);
+    }
+    if (tickets.some(ticket => ticket.checkedInAt)) {
+      throw refundError('Tickets that have already been used cannot be refunded', 400);
+    }
+
+    const full = tickets.length === active.length;
+    const refundable = this.refundableAmount(order);
+    const refundAmount = amount === undefined || amount === null || amount === ''
+      ? (full ? refundable : Math.min(this.ticketsValue(order, tickets), refundable))
+      : round(parseFloat(amount));
+
+    if (Number.isNaN(refundAmount) || refundAmount < 0) {
+      throw refundError('Refund amount must be a positive number', 400);
+    }
+    if (refundAmount > refundable) {
+      throw refundError(`Refund amount exceeds the refundable balance of Rs ${refundable.toFixed(2)}`, 400);
+    }
+
+    const entry = {
+      amount: refundAmount,
+      method,
+      reference,
+      reason,
+      tickets: tickets.map(ticket => ({ ticketId: ticket.ticketId, ticketTypeId: ticket.ticketTypeId })),
+      full,
+      refundedBy,
+      refundedAt: new Date()
+    };
+
+    const recorded = await this.record(order, entry);
+    let refund = recorded.refunds[recorded.refunds.length - 1];
+
+    // Paid back through the provider, unless the organizer already did it
+    // and gave us its reference
+    if (!reference && refund.amount > 0 && provider.canRefund(order, method)) {
+      refund = await this.payOut(provider, recorded, refund);
+    }
+
+    for (const ticket of tickets) {
+      await ticketGeneratorService.voidTicket(ticket, { reason: reason || 'Refunded', voidedBy: refundedBy });
+    }
+    await TicketTransfer.updateMany(
+      { ticket: { $in: tickets.map(ticket => ticket._id) }, status: { $in: ['pending_confirmation', 'pending'] } },
+      { $set: { status: 'cancelled', completedAt: new Date() } }
+    );
+
+    let updatedOrder = recorded;
+    if (full) {
+      // The transition returns the remaining stock (see inventory.release)
+      updatedOrder = await orderStateMachine.transition(recorded, 'refunded', {
+        actor: refundedBy,
+        reason: reason || 'Refunded',
+        set: { status: 'refunded' }
+      });
+    } else {
+      await inventoryService.returnTickets(recorded, tickets);
+    }
+
+    await jobQueue.enqueue('refunds.sendConfirmation', {
+      orderId: order._id.toString(),
+      refundId: refund._id.toString()
+    }, { eventId: event._id });
+
+    return { order: updatedOrder, refund };
+  }
+
+  // Record a refund without voiding anything, for money refunded outside
+  // the app (e.g. a partial refund made in the Stripe dashboard)
+  async recordPayout(order, event, { amount, method, reference, reason, refundedBy } = {}) {
+    const refundable = this.refundableAmount(order);
+    const refundAmount = round(amount);
+    if (refundAmount <= 0 || refundAmount > refundable) {
+      throw refundError(`Refund amount must be between 0 and the refundable balance of Rs ${refundable.toFixed(2)}`, 400);
+    }
+
+    const recorded = await this.record(order, {
+      amount: refundAmount,
+      method,
+      reference,
+      reason,
+      tickets: [],
+      full: false,
+      refundedBy,
+      refundedAt: new Date()
+    });
+    const refund = recorded.refunds[recorded.refunds.length - 1];
+
+    await jobQueue.enqueue('refunds.sendConfirmation', {
+      orderId: order._id.toString(),
+      refundId: refund._id.toString()
+    }, { eventId: event._id });
+
+    return { order: recorded, refund };
+  }
+
+  // Conditional on the balance we checked, so two refunds racing each other
+  // can't both pay out the same money. Orders from before refunds existed
+  // have no refundedAmount at all.
+  async record(order, entry) {
+    const refundedAmount = order.refundedAmount ? order.refundedAmount : { $in: [0, null] };
+    const recorded = await Order.findOneAndUpdate(
+      { _id: order._id, paymentStatus: 'completed', refundedAmount },
+      { $push: { refunds: entry }, $inc: { refundedAmount: entry.amount } },
+      { new: true }
+    );
+    if (!recorded) {
+      throw refundError('Order changed while refunding, please reload and try again', 409);
+    }
+    return recorded;
+  }
+
+  // Pay the refund back through the provider and keep its payout reference.
+  // If the provider refuses, the recorded refund is taken back off the order.
+  async payOut(provider, order, refund) {
+    let reference;
+    try {
+      reference = await provider.refund(order, refund);
+    } catch (error) {
+      await Order.updateOne(
+        { _id: order._id },
+        { $pull: { refunds: { _id: refund._id } }, $inc: { refundedAmount: -refund.amount } }
+      );
+      throw refundError(`${provider.label} refund failed: ${error.message}`, error.statusCode || 502);
+    }
+
+    await Order.updateOne(
+      { _id: order._id, 'refunds._id': refund._id },
+      { $set: { 'refunds.$.reference': reference } }
+    );
+    refund.reference = reference;
+    return refund;
+  }
+}
+
+jobQueue.define('refunds.sendConfirmation', async ({ orderId, refundId }) => {
+  const order = await Order.findById(orderId).populate('eventId');
+  const refund = order && order.refunds.id(refundId);
+  if (!refund || !order.eventId) return;
+
+  await sendRefundEmail(order, order.eventId, refund);
+});
+
+module.exports = new RefundService();
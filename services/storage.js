@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+// Files are addressed by key ("tickets/ticket-TIX-….pdf",
+// "transfer-screenshots/transfer-….png"). STORAGE_DRIVER picks where they
+// live: "local" (default) keeps them under uploads/, "s3" uses any
+// S3-compatible bucket so they survive redeploys on Render/Railway.
+
+const DEFAULT_URL_TTL_SECONDS = 10 * 60;
+
+class LocalStorageDriver {
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+  }
+
+  // Keys never escape the storage root
+  resolve(key) {
+    const filepath = path.resolve(this.rootDir, key);
+    if (!filepath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filepath;
+  }
+
+  async put(key, body) {
+    const filepath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filepath), { recursive: true });
+    await fs.promises.writeFile(filepath, body);
+  }
+
+  async get(key) {
+    return fs.promises.readFile(this.resolve(key));
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolve(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+
+  // Served by routes/files.js, which checks the signature
+  async signedUrl(key, { expiresIn, filename }) {
+    const baseUrl = process.env.BACKEND_URL || process.env.BASE_URL || 'http://localhost:3001';
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const params = new URLSearchParams({ expires: String(expires), signature: this.signature(key, expires, filename) });
+    if (filename) params.set('filename', filename);
+    return `${baseUrl}/api/files/${key.split('/').map(encodeURIComponent).join('/')}?${params}`;
+  }
+
+  signature(key, expires, filename = '') {
+    return crypto.createHmac('sha256', `file-url:${process.env.JWT_SECRET}`)
+      .update(`${key}\n${expires}\n${filename}`)
+      .digest('hex');
+  }
+
+  isValidSignature(key, expires, filename, signature) {
+    const expiresAt = parseInt(expires, 10);
+    if (typeof signature !== 'string' || !expiresAt || expiresAt * 1000 < Date.now()) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.signature(key, expiresAt, filename || ''));
+    const given = Buffer.from(signature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+}
+
+class S3StorageDriver {
+  constructor() {
+    // Loaded lazily so local installs don't pay for the AWS SDK
+    const { S3Client } = require('@aws-sdk/client-s3');
+
+    this.bucket = process.env.S3_BUCKET;
+    this.prefix = process.env.S3_PREFIX ? `${process.env.S3_PREFIX.replace(/\/+$/, '')}/` : '';
+    this.client = new S3Client({
+      region: process.env.S3_REGION || 'auto',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: process.env.S3_ACCESS_KEY_ID ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      } : undefined
+    });
+  }
+
+  objectKey(key) {
+    return this.prefix + key;
+  }
+
+  async put(key, body, { contentType } = {}) {
+    const { PutObjectCommand } = require('@aws-sdk/client-s3');
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Body: body,
+      ContentType: contentType
+    }));
+  }
+
+  async get(key) {
+    const { GetObjectCommand } = require('@aws-sdk/client-s3');
+    const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  createReadStream(key) {
+    const { GetObjectCommand } = require('@aws-sdk/client-s3');
+    const client = this.client;
+    const params = { Bucket: this.bucket, Key: this.objectKey(key) };
+
+    return Readable.from((async function* () {
+      const response = await client.send(new GetObjectCommand(params));
+      yield* response.Body;
+    })());
+  }
+
+  async exists(key) {
+    const { HeadObjectCommand } = require('@aws-sdk/client-s3');
+    try {
+      await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+  }
+
+  async signedUrl(key, { expiresIn, filename }) {
+    const { GetObjectCommand } = require('@aws-sdk/client-s3');
+    const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+    return getSignedUrl(this.client, new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      ResponseContentDisposition: filename ? `inline; filename="${filename}"` : undefined
+    }), { expiresIn });
+  }
+}
+
+class StorageService {
+  constructor() {
+    this.rootDir = path.join(__dirname, '../uploads');
+    this.driverName = process.env.STORAGE_DRIVER || 'local';
+    this.driver = null;
+  }
+
+  getDriver() {
+    if (!this.driver) {
+      if (this.driverName === 's3') {
+        if (!process.env.S3_BUCKET) {
+          throw new Error('S3_BUCKET must be set when STORAGE_DRIVER=s3');
+        }
+        this.driver = new S3StorageDriver();
+      } else {
+        this.driver = new LocalStorageDriver(this.rootDir);
+      }
+    }
+    return this.driver;
+  }
+
+  // Orders created before storage keys were introduced hold absolute paths
+  // under uploads/; map them onto keys so old screenshots stay readable.
+  normalizeKey(key) {
+    if (path.isAbsolute(key) && key.startsWith(this.rootDir + path.sep)) {
+      return path.relative(this.rootDir, key).split(path.sep).join('/');
+    }
+    return key;
+  }
+
+  async put(key, body, options = {}) {
+    await this.getDriver().put(key, body, options);
+    return key;
+  }
+
+  async get(key) {
+    return this.getDriver().get(this.normalizeKey(key));
+  }
+
+  createReadStream(key) {
+    return this.getDriver().createReadStream(this.normalizeKey(key));
+  }
+
+  async exists(key) {
+    return this.getDriver().exists(this.normalizeKey(key));
+  }
+
+  async remove(key) {
+    if (!key) return;
+    await this.getDriver().remove(this.normalizeKey(key));
+  }
+
+  // Short-lived URL a browser can load without our auth headers
+  async signedUrl(key, { expiresIn = DEFAULT_URL_TTL_SECONDS, filename } = {}) {
+    return this.getDriver().signedUrl(this.normalizeKey(key), { expiresIn, filename });
+  }
+
+  isLocal() {
+    return this.getDriver() instanceof LocalStorageDriver;
+  }
+}
+
+module.exports = new StorageService();
@@ -0,0 +1,105 @@
+const Stripe = require('stripe');
+
+// Card payments. Checkout creates a PaymentIntent for the order and the
+// browser confirms it with Stripe.js; the order only changes status when
+// Stripe's webhook says so (see services/stripeWebhooks.js).
+//
+// STRIPE_API_HOST, STRIPE_API_PORT and STRIPE_API_PROTOCOL point the client
+// somewhere other than api.stripe.com, e.g. stripe-mock on localhost:12111.
+
+function stripeError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class StripeService {
+  isConfigured() {
+    return Boolean(process.env.STRIPE_SECRET_KEY);
+  }
+
+  client() {
+    if (!this.isConfigured()) {
+      throw stripeError('Card payments are not available', 503);
+    }
+
+    if (!this.stripe) {
+      const options = {};
+      if (process.env.STRIPE_API_HOST) options.host = process.env.STRIPE_API_HOST;
+      if (process.env.STRIPE_API_PORT) options.port = parseInt(process.env.STRIPE_API_PORT, 10);
+      if (process.env.STRIPE_API_PROTOCOL) options.protocol = process.env.STRIPE_API_PROTOCOL;
+
+      this.stripe = new Stripe(process.env.STRIPE_SECRET_KEY, options);
+    }
+    return this.stripe;
+  }
+
+  currency() {
+    return (process.env.STRIPE_CURRENCY || 'mur').toLowerCase();
+  }
+
+  // Stripe amounts are in cents
+  toMinorUnits(amount) {
+    return Math.round(amount * 100);
+  }
+
+  fromMinorUnits(amount) {
+    return amount / 100;
+  }
+
+  // One PaymentIntent per order: retrying checkout for the same order gets
+  // the same intent back
+  async createPaymentIntent(order, event) {
+    return this.client().paymentIntents.create({
+      amount: this.toMinorUnits(order.totalAmount),
+      currency: this.currency(),
+      automatic_payment_methods: { enabled: true },
+      receipt_email: order.customerInfo.email,
+      description: `${event.name} - ${order.orderNumber}`,
+      metadata: {
+        orderId: order._id.toString(),
+        orderNumber: order.orderNumber,
+        eventId: event._id.toString()
+      }
+    }, { idempotencyKey: `order-${order._id}` });
+  }
+
+  async cancelPaymentIntent(paymentIntentId) {
+    return this.client().paymentIntents.cancel(paymentIntentId);
+  }
+
+  // Pay a refund back to the card. The metadata marks it as ours so the
+  // charge.refunded webhook doesn't record it a second time.
+  async createRefund(order, amount, { refundId, reason }) {
+    return this.client().refunds.create({
+      payment_intent: order.paymentIntentId,
+      amount: this.toMinorUnits(amount),
+      metadata: {
+        orderId: order._id.toString(),
+        refundId: refundId.toString(),
+        reason: reason || ''
+      }
+    }, { idempotencyKey: `refund-${refundId}` });
+  }
+
+  async listRefunds(paymentIntentId) {
+    const refunds = await this.client().refunds.list({ payment_intent: paymentIntentId, limit: 100 });
+    return refunds.data;
+  }
+
+  // Parse a webhook request, checking its signature against
+  // STRIPE_WEBHOOK_SECRET. Throws 400 for anything Stripe didn't sign.
+  constructEvent(rawBody, signature) {
+    if (!process.env.STRIPE_WEBHOOK_SECRET) {
+      throw stripeError('Stripe webhooks are not configured', 503);
+    }
+
+    try {
+      return this.client().webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+    } catch (error) {
+      throw stripeError(`Invalid Stripe signature: ${error.message}`, 400);
+    }
+  }
+}
+
+module.exports = new StripeService();
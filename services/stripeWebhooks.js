@@ -0,0 +1,125 @@
+const Order = require('../models/Order');
+const Event = require('../models/Event');
+const refundService = require('./refunds');
+const stripeService = require('./stripe');
+const cardProvider = require('./payments/card');
+
+// What each Stripe webhook event does to its order. Stripe retries failed
+// deliveries and doesn't guarantee their order, so every handler looks at
+// the order's current state and does nothing when the work is already done.
+// Handlers return { handled, orderId } for the webhook response.
+
+class StripeWebhookService {
+  async handle(stripeEvent) {
+    const object = stripeEvent.data.object;
+
+    switch (stripeEvent.type) {
+      case 'payment_intent.succeeded':
+        return this.paymentSucceeded(object);
+      case 'payment_intent.payment_failed':
+        return this.paymentDeclined(object);
+      case 'payment_intent.canceled':
+        return this.paymentCanceled(object);
+      case 'charge.refunded':
+        return this.chargeRefunded(object);
+      default:
+        return { handled: false };
+    }
+  }
+
+  async findOrder(paymentIntentId) {
+    if (!paymentIntentId) return null;
+    return Order.findOne({ paymentIntentId });
+  }
+
+  async paymentSucceeded(intent) {
+    const order = await this.findOrder(intent.id);
+    if (!order) return { handled: false };
+    if (order.paymentStatus === 'completed' || order.paymentStatus === 'refunded') {
+      return { handled: true, orderId: order._id };
+    }
+
+    // The intent was created for the order's total; anything else needs a
+    // person to look at it
+    if (intent.amount_received !== stripeService.toMinorUnits(order.totalAmount) || intent.currency !== stripeService.currency()) {
+      console.error(`Stripe payment ${intent.id} received ${intent.amount_received} ${intent.currency} for order ${order._id} (total ${order.totalAmount})`);
+      return { handled: false, orderId: order._id };
+    }
+
+    // A payment after an earlier failure is fine too: failed -> completed
+    // re-takes the released stock
+    await cardProvider.confirm(order, { reason: 'Card payment succeeded' });
+    return { handled: true, orderId: order._id };
+  }
+
+  // A declined attempt. The buyer can still pay with another card on the
+  // same intent, which lands in paymentSucceeded(), so the order keeps its
+  // hold; if they give up, the hold expires and its tickets go back on sale.
+  async paymentDeclined(intent) {
+    const order = await this.findOrder(intent.id);
+    if (!order) return { handled: false };
+
+    const message = intent.last_payment_error && intent.last_payment_error.message;
+    console.log(`Card payment for order ${order._id} declined${message ? `: ${message}` : ''}`);
+    return { handled: true, orderId: order._id };
+  }
+
+  // The intent can no longer be paid
+  async paymentCanceled(intent) {
+    const order = await this.findOrder(intent.id);
+    if (!order) return { handled: false };
+    if (order.paymentStatus !== 'pending') {
+      return { handled: true, orderId: order._id };
+    }
+
+    await cardProvider.reject(order, { reason: 'Card payment canceled' });
+    return { handled: true, orderId: order._id };
+  }
+
+  // Refunds issued from the app are already recorded (they carry our
+  // metadata). Ones made in the Stripe dashboard are recorded here: a refund
+  // of the whole remaining balance refunds the order, anything less is
+  // recorded against it without voiding tickets.
+  async chargeRefunded(charge) {
+    const order = await this.findOrder(charge.payment_intent);
+    if (!order) return { handled: false };
+
+    const event = await Event.findById(order.eventId);
+    const payouts = await stripeService.listRefunds(charge.payment_intent);
+
+    let current = order;
+    for (const payout of payouts) {
+      if (current.paymentStatus !== 'completed') break;
+      if (['failed', 'canceled'].includes(payout.status)) continue;
+      if (payout.metadata && payout.metadata.orderId) continue;
+      if (current.refunds.some(refund => refund.reference === payout.id)) continue;
+
+      const refundable = refundService.refundableAmount(current);
+      const details = {
+        amount: Math.min(stripeService.fromMinorUnits(payout.amount), refundable),
+        method: 'card',
+        reference: payout.id,
+        reason: 'Refunded in Stripe'
+      };
+
+      let result;
+      if (details.amount >= refundable) {
+        try {
+          result = await refundService.refund(current, event, details);
+        } catch (error) {
+          // e.g. some tickets were already used at the door; the money is
+          // gone either way
+          if (error.statusCode !== 400) throw error;
+          result = await refundService.recordPayout(current, event, details);
+        }
+      } else {
+        result = await refundService.recordPayout(current, event, details);
+      }
+      current = result.order;
+    }
+
+    return { handled: true, orderId: order._id };
+  }
+}
+
+module.exports = new StripeWebhookService();
@@ -0,0 +1,102 @@
+const nodemailer = require('nodemailer');
+const ticketGeneratorService = require('./ticketGenerator');
+const walletPassService = require('./walletPass');
+
+// The buyer's ticket email: the PDFs and Apple Wallet passes as attachments,
+// Google Wallet links and the signed download link.
+class TicketDeliveryService {
+  // `tickets` are results of the ticket generator ({ ticket, filename, content })
+  async sendTicketEmail(order, event, tickets) {
+    const transporter = nodemailer.createTransport({
+      service: 'gmail',
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+      }
+    });
+
+    const attachments = tickets.map(ticket => ({
+      filename: ticket.filename,
+      content: ticket.content
+    }));
+
+    // Apple Wallet passes ride along as attachments; Google Wallet is a link
+    const wallet = await walletPassService.emailExtras(tickets.map(ticket => ticket.ticket).filter(Boolean), event);
+    attachments.push(...wallet.attachments);
+
+    const walletSection = wallet.googleLinks.length > 0 ? `
+          <h3>📱 Add to Google Wallet</h3>
+          <ul>
+            ${wallet.googleLinks.map(link => `<li><a href="${link.url}">${link.ticketTypeName} - ${link.ticketId}</a></li>`).join('')}
+          </ul>
+          ` : '';
+
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: order.customerInfo.email,
+      subject: `Your Tickets for ${event.name} - Order #${order.orderNumber}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #FF6B35;">🎟️ Your Tickets Are Ready!</h2>
+        
+          <p>Hi ${order.customerInfo.firstName},</p>
+        
+          <p>Great news! Your payment has been verified and your tickets for <strong>${event.name}</strong> are now ready.</p>
+        
+          <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="margin-top: 0; color: #333;">Event Details</h3>
+            <p><strong>Event:</strong> ${event.name}</p>
+            <p><strong>Date:</strong> ${new Date(event.startDate).toLocaleDateString('en-US', {
+              weekday: 'long',
+              year: 'numeric',
+              month: 'long',
+              day: 'numeric'
+            })}</p>
+            <p><strong>Time:</strong> ${new Date(event.startDate).toLocaleTimeString('en-US', {
+              hour: 'numeric',
+              minute: '2-digit',
+              hour12: true
+            })}</p>
+            <p><strong>Venue:</strong> ${event.venueName || event.location}</p>
+          </div>
+        
+          <div style="background: #e8f5e8; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="margin-top: 0; color: #2d5a2d;">Order Summary</h3>
+            <p><strong>Order Number:</strong> ${order.orderNumber}</p>
+            <p><strong>Payment Reference:</strong> ${order.paymentReference}</p>
+            <p><strong>Total Amount:</strong> Rs${order.totalAmount.toFixed(2)}</p>
+          </div>
+        
+          <h3>📎 Your Tickets</h3>
+          <p>Your e-tickets are attached to this email as PDF files. Each ticket contains a unique QR code for entry verification.${wallet.attachments.length > 0 ? ' On iPhone, open the attached .pkpass files to add them to Apple Wallet.' : ''}</p>
+          <p>You can also <a href="${ticketGeneratorService.downloadUrl(order, event)}">download your tickets</a> at any time. If your tickets are updated, this link always gives you the latest version.</p>
+          ${walletSection}
+        
+          <div style="background: #fff3cd; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #ffc107;">
+            <h4 style="margin-top: 0; color: #856404;">Important Instructions:</h4>
+            <ul style="color: #856404;">
+              <li>Present your ticket (digital or printed) at the venue entrance</li>
+              <li>Arrive 15-30 minutes before the event starts</li>
+              <li>Keep your QR code safe and do not share it</li>
+              <li>Bring a valid ID for verification</li>
+            </ul>
+          </div>
+        
+          <p>If you have any questions or need assistance, please contact our support team at <a href="mailto:support@ticketeer.com">support@ticketeer.com</a>.</p>
+        
+          <p>We hope you enjoy the event!</p>
+        
+          <p style="color: #666; font-size: 14px; margin-top: 30px;">
+            Best regards,<br>
+            The Ticketeer Team
+          </p>
+        </div>
+      `,
+      attachments
+    };
+
+    await transporter.sendMail(mailOptions);
+  }
+}
+
+module.exports = new TicketDeliveryService();
@@ -1,18 +1,16 @@
+const crypto = require('crypto');
 const PDFDocument = require('pdfkit');
 const QRCode = require('qrcode');
-const fs = require('fs');
-const path = require('path');
+const { Writable } = require('stream');
+const sharp = require('sharp');
+const Ticket = require('../models/Ticket');
+const ticketSigningService = require('./ticketSigning');
+const storageService = require('./storage');
+const { templates, DEFAULT_TEMPLATE, drawPreviewWatermark } = require('./ticketTemplates');
 
 class TicketGeneratorService {
   constructor() {
-    this.ticketsDir = path.join(__dirname, '../uploads/tickets');
-    this.ensureTicketsDirectory();
-  }
-
-  ensureTicketsDirectory() {
-    if (!fs.existsSync(this.ticketsDir)) {
-      fs.mkdirSync(this.ticketsDir, { recursive: true });
-    }
+    this.imageCache = new Map();
   }
 
   async generateQRCode(data) {
@@ -33,138 +31,145 @@ class TicketGeneratorService {
     }
   }
 
-  async generateTicketPDF(order, event) {
+  // Organizers set the image URLs, so only images uploaded to our Cloudinary
+  // account (POST /api/upload/image) are fetched. Anything else could point
+  // the server at internal addresses.
+  isBrandImageUrl(url) {
+    let parsed;
     try {
-      const ticketId = `${order.orderNumber}-${Date.now()}`;
-      const filename = `ticket-${ticketId}.pdf`;
-      const filepath = path.join(this.ticketsDir, filename);
-
-      // Create QR code data
-      const qrData = JSON.stringify({
-        orderId: order._id,
-        orderNumber: order.orderNumber,
-        eventId: event._id,
-        customerEmail: order.customerInfo.email,
-        ticketId: ticketId,
-        verificationUrl: `${process.env.FRONTEND_URL}/verify-ticket/${ticketId}`
-      });
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
 
-      const qrCodeDataURL = await this.generateQRCode(qrData);
-      const qrCodeBuffer = Buffer.from(qrCodeDataURL.split(',')[1], 'base64');
+    const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+    return parsed.protocol === 'https:' &&
+      parsed.hostname === 'res.cloudinary.com' &&
+      Boolean(cloudName) &&
+      parsed.pathname.startsWith(`/${cloudName}/`);
+  }
 
-      // Create PDF document
-      const doc = new PDFDocument({
-        size: 'A4',
-        margins: { top: 50, bottom: 50, left: 50, right: 50 }
-      });
+  // Event branding for the templates. Images are fetched once and cached;
+  // a missing, broken or disallowed image only drops it from the ticket.
+  async loadBrandImage(url, { width, height, grayscale = false }) {
+    if (!url) return null;
+    if (!this.isBrandImageUrl(url)) {
+      console.warn(`Skipping ticket image not hosted on Cloudinary: ${url}`);
+      return null;
+    }
 
-      // Pipe to file
-      doc.pipe(fs.createWriteStream(filepath));
-
-      // Header
-      doc.fontSize(24)
-         .fillColor('#FF6B35')
-         .text('TICKETEER', 50, 50, { align: 'left' });
-
-      doc.fontSize(16)
-         .fillColor('#333333')
-         .text('E-TICKET', 50, 80, { align: 'left' });
-
-      // Event Information
-      doc.fontSize(20)
-         .fillColor('#000000')
-         .text(event.name, 50, 130, { width: 400 });
-
-      doc.fontSize(12)
-         .fillColor('#666666')
-         .text(`Date: ${new Date(event.startDate).toLocaleDateString('en-US', {
-           weekday: 'long',
-           year: 'numeric',
-           month: 'long',
-           day: 'numeric'
-         })}`, 50, 170);
-
-      doc.text(`Time: ${new Date(event.startDate).toLocaleTimeString('en-US', {
-        hour: 'numeric',
-        minute: '2-digit',
-        hour12: true
-      })}`, 50, 185);
-
-      doc.text(`Venue: ${event.venueName || event.location}`, 50, 200);
-
-      if (event.description) {
-        doc.text(`Description: ${event.description.substring(0, 200)}${event.description.length > 200 ? '...' : ''}`, 50, 215, { width: 400 });
+    const key = `${url}|${width}x${height}|${grayscale}`;
+    if (this.imageCache.has(key)) {
+      return this.imageCache.get(key);
+    }
+
+    let image = null;
+    try {
+      // Redirects could lead off Cloudinary
+      const response = await fetch(url, { redirect: 'error', signal: AbortSignal.timeout(5000) });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
       }
 
-      // Ticket Details
-      doc.fontSize(14)
-         .fillColor('#000000')
-         .text('TICKET DETAILS', 50, 270);
-
-      let yPosition = 290;
-      order.tickets.forEach((ticket, index) => {
-        doc.fontSize(12)
-           .fillColor('#333333')
-           .text(`${ticket.name} x ${ticket.quantity}`, 50, yPosition);
-        doc.text(`Rs${(ticket.price * ticket.quantity).toFixed(2)}`, 400, yPosition, { align: 'right' });
-        yPosition += 20;
-      });
+      // pdfkit only embeds PNG and JPEG, so normalise whatever was uploaded
+      let pipeline = sharp(Buffer.from(await response.arrayBuffer()))
+        .resize(width, height, { fit: 'inside', withoutEnlargement: true });
+      if (grayscale) pipeline = pipeline.grayscale();
+      image = await pipeline.png().toBuffer();
+    } catch (error) {
+      console.warn(`Could not load ticket image ${url}:`, error.message);
+    }
 
-      // Total
-      doc.fontSize(14)
-         .fillColor('#000000')
-         .text(`Total: Rs${order.totalAmount.toFixed(2)}`, 400, yPosition + 10, { align: 'right' });
-
-      // Customer Information
-      doc.fontSize(14)
-         .fillColor('#000000')
-         .text('CUSTOMER INFORMATION', 50, yPosition + 50);
-
-      doc.fontSize(12)
-         .fillColor('#333333')
-         .text(`Name: ${order.customerInfo.firstName} ${order.customerInfo.lastName}`, 50, yPosition + 70);
-      doc.text(`Email: ${order.customerInfo.email}`, 50, yPosition + 85);
-      if (order.customerInfo.phone) {
-        doc.text(`Phone: ${order.customerInfo.phone}`, 50, yPosition + 100);
-      }
+    if (this.imageCache.size >= 50) {
+      this.imageCache.delete(this.imageCache.keys().next().value);
+    }
+    this.imageCache.set(key, image);
+    return image;
+  }
 
-      // Order Information
-      doc.fontSize(14)
-         .fillColor('#000000')
-         .text('ORDER INFORMATION', 50, yPosition + 130);
-
-      doc.fontSize(12)
-         .fillColor('#333333')
-         .text(`Order Number: ${order.orderNumber}`, 50, yPosition + 150);
-      doc.text(`Ticket ID: ${ticketId}`, 50, yPosition + 165);
-      doc.text(`Purchase Date: ${new Date(order.createdAt).toLocaleDateString()}`, 50, yPosition + 180);
-
-      // QR Code
-      doc.fontSize(14)
-         .fillColor('#000000')
-         .text('SCAN FOR VERIFICATION', 350, yPosition + 130);
-
-      doc.image(qrCodeBuffer, 350, yPosition + 150, { width: 120, height: 120 });
-
-      // Footer
-      doc.fontSize(10)
-         .fillColor('#999999')
-         .text('Present this ticket at the venue entrance. Keep this ticket safe and do not share the QR code.', 50, 750, { 
-           width: 500, 
-           align: 'center' 
-         });
-
-      doc.text('For support, contact: support@ticketeer.com', 50, 770, { 
-        width: 500, 
-        align: 'center' 
+  resolveTemplate(event, templateName) {
+    const name = templateName || (event.ticketDesign && event.ticketDesign.template) || DEFAULT_TEMPLATE;
+    const template = templates[name];
+    if (!template) {
+      throw new Error(`Unknown ticket template: ${name}`);
+    }
+    return { name, template };
+  }
+
+  async buildTemplateContext(ticket, order, event, template, { qrData, preview = false }) {
+    const design = event.ticketDesign || {};
+    const flyerUrl = design.showFlyer !== false ? event.flyerUrl || (event.images && event.images[0] && event.images[0].url) : null;
+
+    const qrCodeDataURL = await this.generateQRCode(qrData);
+
+    return {
+      ticket,
+      order,
+      event,
+      preview,
+      qrCode: Buffer.from(qrCodeDataURL.split(',')[1], 'base64'),
+      accentColor: template.monochrome || !/^#[0-9a-f]{6}$/i.test(event.selectedAccentColor || '')
+        ? '#000000'
+        : event.selectedAccentColor,
+      flyer: template.monochrome ? null : await this.loadBrandImage(flyerUrl, { width: 1200, height: 600 }),
+      logo: await this.loadBrandImage(design.logoUrl, { width: 600, height: 150, grayscale: !!template.monochrome }),
+      footerText: design.footerText,
+      admissionCount: order.tickets.reduce((sum, line) => sum + line.quantity, 0)
+    };
+  }
+
+  // Draw a ticket with the given (or the event's) template into a stream
+  async renderTicket(stream, ticket, order, event, { template: templateName, qrData, preview = false } = {}) {
+    const { template } = this.resolveTemplate(event, templateName);
+    const context = await this.buildTemplateContext(ticket, order, event, template, { qrData, preview });
+
+    const doc = new PDFDocument({
+      size: template.size,
+      margins: template.margins,
+      info: { Title: `${event.name} - ${ticket.ticketId}` }
+    });
+
+    const written = new Promise((resolve, reject) => {
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+    });
+    doc.pipe(stream);
+
+    template.render(doc, context);
+    if (preview) {
+      drawPreviewWatermark(doc);
+    }
+
+    doc.end();
+    await written;
+  }
+
+  async generateTicketPDF(ticket, order, event, { template } = {}) {
+    try {
+      const ticketId = ticket.ticketId;
+      const filename = `ticket-${ticketId}-${Date.now()}.pdf`;
+
+      // Render in memory, then hand the finished file to storage
+      const chunks = [];
+      const sink = new Writable({
+        write(chunk, encoding, callback) {
+          chunks.push(chunk);
+          callback();
+        }
+      });
+
+      // Signed payload - carries no customer details
+      await this.renderTicket(sink, ticket, order, event, {
+        template,
+        qrData: ticketSigningService.signTicket(ticket)
       });
 
-      // Finalize PDF
-      doc.end();
+      const content = Buffer.concat(chunks);
+      await storageService.put(this.ticketKey(filename), content, { contentType: 'application/pdf' });
 
       return {
         filename,
-        filepath,
+        content,
         ticketId
       };
     } catch (error) {
@@ -173,13 +178,76 @@ class TicketGeneratorService {
     }
   }
 
+  // Sample ticket for organizers to check a layout before sales open. Nothing
+  // is saved and the QR code is not a valid ticket.
+  async renderPreview(stream, event, templateName) {
+    const ticketType = (event.ticketTypes && event.ticketTypes[0]) || { name: 'General Admission', price: 0 };
+    const ticket = {
+      ticketId: 'TIX-PREVIEW',
+      ticketTypeName: ticketType.name,
+      price: ticketType.price,
+      sequence: 1,
+      holder: { firstName: 'Sample', lastName: 'Attendee', email: 'attendee@example.com' }
+    };
+    const order = {
+      orderNumber: 'TKT-PREVIEW',
+      createdAt: new Date(),
+      tickets: [{ quantity: 1 }]
+    };
+
+    await this.renderTicket(stream, ticket, order, event, {
+      template: templateName,
+      qrData: 'TICKETEER-PREVIEW-NOT-VALID',
+      preview: true
+    });
+  }
+
+  // Create one Ticket record per admission. Orders that already have active
+  // tickets keep them, so re-sending an order never duplicates admissions.
+  async createTicketsForOrder(order) {
+    const existing = await Ticket.find({ orderId: order._id, status: 'active' }).sort({ sequence: 1 });
+    if (existing.length > 0) {
+      return existing;
+    }
+
+    const eventId = order.eventId && order.eventId._id ? order.eventId._id : order.eventId;
+    const records = [];
+    let sequence = 1;
+
+    for (const line of order.tickets) {
+      for (let i = 0; i < line.quantity; i++) {
+        records.push({
+          orderId: order._id,
+          eventId,
+          ticketTypeId: line.ticketTypeId,
+          ticketTypeName: line.name,
+          price: line.price,
+          sequence: sequence++,
+          holder: {
+            firstName: order.customerInfo.firstName,
+            lastName: order.customerInfo.lastName,
+            email: order.customerInfo.email
+          }
+        });
+      }
+    }
+
+    return Ticket.create(records);
+  }
+
   async generateTicketsForOrder(order, event) {
     try {
       const tickets = [];
-      
-      // Generate one PDF for the entire order
-      const ticketInfo = await this.generateTicketPDF(order, event);
-      tickets.push(ticketInfo);
+      const records = await this.createTicketsForOrder(order);
+
+      // One PDF per admission
+      for (const ticket of records) {
+        const ticketInfo = await this.generateTicketPDF(ticket, order, event);
+        await this.removeTicketFile(ticket.pdfFilename);
+        ticket.pdfFilename = ticketInfo.filename;
+        await ticket.save();
+        tickets.push({ ...ticketInfo, ticket });
+      }
 
       return tickets;
     } catch (error) {
@@ -188,12 +256,136 @@ class TicketGeneratorService {
     }
   }
 
-  getTicketPath(filename) {
-    return path.join(this.ticketsDir, filename);
+  async voidTicket(ticket, { reason, voidedBy } = {}) {
+    if (ticket.status === 'void') {
+      return ticket;
+    }
+
+    ticket.status = 'void';
+    ticket.voidedAt = new Date();
+    ticket.voidReason = reason || 'Voided';
+    if (voidedBy) ticket.voidedBy = voidedBy;
+
+    return ticket.save();
+  }
+
+  // Replace a ticket with a fresh one (new ID and QR code). The old ticket is
+  // voided so its QR code stops working at the door.
+  async reissueTicket(ticket, order, event, { reason, reissuedBy, holder } = {}) {
+    const replacement = new Ticket({
+      orderId: ticket.orderId,
+      eventId: ticket.eventId,
+      ticketTypeId: ticket.ticketTypeId,
+      ticketTypeName: ticket.ticketTypeName,
+      price: ticket.price,
+      sequence: ticket.sequence,
+      holder: {
+        firstName: holder?.firstName || ticket.holder.firstName,
+        lastName: holder?.lastName || ticket.holder.lastName,
+        email: holder?.email || ticket.holder.email
+      },
+      reissuedFrom: ticket._id
+    });
+    await replacement.save();
+
+    await this.voidTicket(ticket, { reason: reason || 'Reissued', voidedBy: reissuedBy });
+    ticket.reissuedTo = replacement._id;
+    await this.removeTicketFile(ticket.pdfFilename);
+    ticket.pdfFilename = undefined;
+    await ticket.save();
+
+    const ticketInfo = await this.generateTicketPDF(replacement, order, event);
+    replacement.pdfFilename = ticketInfo.filename;
+    await replacement.save();
+
+    return { ticket: replacement, ...ticketInfo };
+  }
+
+  // An order's active tickets that the buyer still holds. Transferred tickets
+  // keep their orderId but belong to the recipient.
+  async buyerTickets(order, filter = {}) {
+    const email = (order.customerInfo.email || '').toLowerCase();
+    const tickets = await Ticket.find({ orderId: order._id, status: 'active', ...filter }).sort({ sequence: 1 });
+    return tickets.filter(ticket => (ticket.holder.email || '').toLowerCase() === email);
+  }
+
+  // Reissue the buyer's active tickets on an order (all, or just ticketIds)
+  // after a name change or event update. Old QR codes stop working and old
+  // files are deleted.
+  async regenerateOrderTickets(order, event, { ticketIds, holder, reason, reissuedBy } = {}) {
+    const current = await this.buyerTickets(order, ticketIds && ticketIds.length > 0 ? { ticketId: { $in: ticketIds } } : {});
+    const tickets = [];
+
+    for (const ticket of current) {
+      const reissued = await this.reissueTicket(ticket, order, event, {
+        reason: reason || 'Regenerated',
+        reissuedBy,
+        holder
+      });
+      tickets.push(reissued);
+    }
+
+    return tickets;
+  }
+
+  // Files written before a move to S3 (or lost with a wiped local disk) are
+  // re-rendered from the ticket record rather than failing the download.
+  // Returns the storage key.
+  async ensureTicketFile(ticket, order, event) {
+    if (ticket.pdfFilename && await storageService.exists(this.ticketKey(ticket.pdfFilename))) {
+      return this.ticketKey(ticket.pdfFilename);
+    }
+
+    const ticketInfo = await this.generateTicketPDF(ticket, order, event);
+    ticket.pdfFilename = ticketInfo.filename;
+    await ticket.save();
+    return this.ticketKey(ticketInfo.filename);
+  }
+
+  // Signed, expiring link that lets a guest buyer download their tickets
+  // without an account. Links stay valid until 30 days after the event.
+  downloadSignature(orderId, expires) {
+    return crypto.createHmac('sha256', `ticket-download:${process.env.JWT_SECRET}`)
+      .update(`${orderId}.${expires}`)
+      .digest('hex');
+  }
+
+  downloadQuery(order, event) {
+    const end = new Date(event.endDate || event.startDate).getTime();
+    const expires = Math.floor(end / 1000) + 30 * 24 * 60 * 60;
+    return { expires, token: this.downloadSignature(order._id.toString(), expires) };
+  }
+
+  downloadUrl(order, event) {
+    const baseUrl = process.env.BACKEND_URL || process.env.BASE_URL || 'http://localhost:3001';
+    const { expires, token } = this.downloadQuery(order, event);
+    return `${baseUrl}/api/tickets/order/${order._id}/download?expires=${expires}&token=${token}`;
+  }
+
+  isValidDownloadToken(orderId, expires, token) {
+    const expiresAt = parseInt(expires, 10);
+    if (typeof token !== 'string' || !expiresAt || expiresAt * 1000 < Date.now()) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.downloadSignature(orderId, expiresAt));
+    const given = Buffer.from(token);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  // A file we fail to delete is only clutter; its ticket is already void
+  async removeTicketFile(filename) {
+    if (!filename) return;
+
+    try {
+      await storageService.remove(this.ticketKey(filename));
+    } catch (error) {
+      console.error(`Failed to remove ticket file ${filename}:`, error);
+    }
   }
 
-  ticketExists(filename) {
-    return fs.existsSync(this.getTicketPath(filename));
+  ticketKey(filename) {
+    return `tickets/${filename}`;
   }
 }
 
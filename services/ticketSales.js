@@ -0,0 +1,149 @@
+const inventoryService = require('./inventory');
+
+// What a ticket type costs and whether it can be bought right now. A type
+// is on sale between salesStart and salesEnd, once its hiddenUntil date has
+// passed. Its price is the first price tier still open, or `price` once
+// every tier has ended.
+
+function salesError(message, statusCode, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+}
+
+class TicketSalesService {
+  // How many tickets of the type (sold or held) each price tier reaches up
+  // to. Tier quantities stack: with tiers of 100 and 200, the second tier
+  // covers tickets 101-300. A tier without a quantity has no limit, and
+  // neither do the tiers after it.
+  tierLimits(ticketType) {
+    let limit = 0;
+    return (ticketType.priceTiers || []).map(tier => {
+      limit = tier.quantity ? limit + tier.quantity : Infinity;
+      return limit;
+    });
+  }
+
+  // Index of the price tier in effect, or -1 when the base price applies
+  activeTierIndex(ticketType, now = new Date()) {
+    const taken = (ticketType.sold || 0) + (ticketType.reserved || 0);
+    const limits = this.tierLimits(ticketType);
+
+    return (ticketType.priceTiers || []).findIndex((tier, index) =>
+      !(tier.endsAt && now >= new Date(tier.endsAt)) && taken < limits[index]);
+  }
+
+  activeTier(ticketType, now = new Date()) {
+    const index = this.activeTierIndex(ticketType, now);
+    return index === -1 ? null : ticketType.priceTiers[index];
+  }
+
+  currentPrice(ticketType, now = new Date()) {
+    const tier = this.activeTier(ticketType, now);
+    return tier ? tier.price : ticketType.price;
+  }
+
+  // What the next `quantity` tickets of the type cost, as [{ price, quantity }].
+  // Each open tier only sells what it has left; whatever no tier covers is
+  // sold at the type's base price.
+  priceBreakdown(ticketType, quantity, now = new Date()) {
+    const limits = this.tierLimits(ticketType);
+    let position = (ticketType.sold || 0) + (ticketType.reserved || 0);
+    let left = quantity;
+    const parts = [];
+
+    const add = (price, count) => {
+      const last = parts[parts.length - 1];
+      if (last && last.price === price) {
+        last.quantity += count;
+      } else {
+        parts.push({ price, quantity: count });
+      }
+    };
+
+    (ticketType.priceTiers || []).forEach((tier, index) => {
+      if (left === 0 || (tier.endsAt && now >= new Date(tier.endsAt)) || position >= limits[index]) return;
+
+      const count = Math.min(left, limits[index] - position);
+      add(tier.price, count);
+      position += count;
+      left -= count;
+    });
+    if (left > 0) add(ticketType.price, left);
+
+    return parts;
+  }
+
+  // 'hidden', 'scheduled', 'ended', 'sold_out' or 'on_sale'
+  salesState(ticketType, now = new Date()) {
+    if (ticketType.hiddenUntil && now < new Date(ticketType.hiddenUntil)) return 'hidden';
+    if (ticketType.salesStart && now < new Date(ticketType.salesStart)) return 'scheduled';
+    if (ticketType.salesEnd && now >= new Date(ticketType.salesEnd)) return 'ended';
+    if (inventoryService.available(ticketType) === 0) return 'sold_out';
+    return 'on_sale';
+  }
+
+  // Throws a 400 error for types that aren't on sale. Running out of stock is
+  // left to the inventory service, which reports what is still available.
+  assertPurchasable(ticketType, now = new Date()) {
+    const state = this.salesState(ticketType, now);
+
+    if (state === 'hidden') {
+      throw salesError(`Ticket type ${ticketType._id} not found`, 400);
+    }
+    if (state === 'scheduled') {
+      throw salesError(`${ticketType.name} tickets go on sale on ${new Date(ticketType.salesStart).toISOString()}`, 400, {
+        ticketTypeId: ticketType._id,
+        salesStart: ticketType.salesStart
+      });
+    }
+    if (state === 'ended') {
+      throw salesError(`${ticketType.name} tickets are no longer on sale`, 400, {
+        ticketTypeId: ticketType._id,
+        salesEnd: ticketType.salesEnd
+      });
+    }
+  }
+
+  // Buyer-facing view of a ticket type: current price and tier, no counts
+  // beyond what is left
+  publicTicketType(ticketType, now = new Date()) {
+    const tier = this.activeTier(ticketType, now);
+    const view = {
+      _id: ticketType._id,
+      name: ticketType.name,
+      description: ticketType.description,
+      price: tier ? tier.price : ticketType.price,
+      available: inventoryService.available(ticketType),
+      salesEnd: ticketType.salesEnd
+    };
+
+    if (tier) {
+      const index = this.activeTierIndex(ticketType, now);
+      view.tier = { name: tier.name, endsAt: tier.endsAt };
+      view.regularPrice = ticketType.price;
+
+      // How many are left at this price, when the tier is capped
+      const limit = this.tierLimits(ticketType)[index];
+      if (Number.isFinite(limit)) {
+        view.tier.remaining = limit - (ticketType.sold || 0) - (ticketType.reserved || 0);
+      }
+    }
+
+    return view;
+  }
+
+  // Only ticket types that can be bought right now. Sold-out types stay
+  // listed (flagged soldOut) so buyers can join their waitlist.
+  publicTicketTypes(event, now = new Date()) {
+    return (event.ticketTypes || [])
+      .filter(ticketType => ['on_sale', 'sold_out'].includes(this.salesState(ticketType, now)))
+      .map(ticketType => ({
+        ...this.publicTicketType(ticketType, now),
+        soldOut: this.salesState(ticketType, now) === 'sold_out'
+      }));
+  }
+}
+
+module.exports = new TicketSalesService();
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+
+// QR payloads are signed with Ed25519 so scanners can check them offline with
+// only the public key. Format: TKT1.<keyId>.<base64url payload>.<base64url signature>
+// The payload holds the ticket and event IDs only - never customer details.
+const PAYLOAD_PREFIX = 'TKT1';
+
+// DER header that turns a raw 32-byte Ed25519 seed into a PKCS#8 private key
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+class TicketSigningService {
+  constructor() {
+    this.keys = null;
+    this.activeKeyId = null;
+  }
+
+  // TICKET_SIGNING_KEYS is a comma separated list of keyId:base64Seed pairs.
+  // TICKET_SIGNING_KEY_ID picks the key used for new tickets; the others keep
+  // verifying tickets issued before a rotation. TICKET_VERIFICATION_KEYS holds
+  // keyId:base64PublicKey pairs for retired keys whose seed has been destroyed.
+  loadKeys() {
+    if (this.keys) {
+      return this.keys;
+    }
+
+    const keys = new Map();
+
+    for (const [keyId, seed] of this.parseKeyList(process.env.TICKET_SIGNING_KEYS)) {
+      const privateKey = this.privateKeyFromSeed(Buffer.from(seed, 'base64'));
+      keys.set(keyId, { privateKey, publicKey: crypto.createPublicKey(privateKey) });
+    }
+
+    for (const [keyId, publicKey] of this.parseKeyList(process.env.TICKET_VERIFICATION_KEYS)) {
+      if (!keys.has(keyId)) {
+        keys.set(keyId, {
+          privateKey: null,
+          publicKey: crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' })
+        });
+      }
+    }
+
+    let activeKeyId = process.env.TICKET_SIGNING_KEY_ID || [...keys.keys()].find(keyId => keys.get(keyId).privateKey);
+
+    if (!activeKeyId) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('TICKET_SIGNING_KEYS must be configured in production');
+      }
+
+      // Development fallback: a stable key derived from JWT_SECRET
+      console.warn('TICKET_SIGNING_KEYS not set - using a development key derived from JWT_SECRET');
+      const seed = crypto.createHash('sha256').update(`ticket-signing:${process.env.JWT_SECRET}`).digest();
+      const privateKey = this.privateKeyFromSeed(seed);
+      activeKeyId = 'dev';
+      keys.set(activeKeyId, { privateKey, publicKey: crypto.createPublicKey(privateKey) });
+    }
+
+    if (!keys.has(activeKeyId) || !keys.get(activeKeyId).privateKey) {
+      throw new Error(`Ticket signing key "${activeKeyId}" has no private key configured`);
+    }
+
+    this.keys = keys;
+    this.activeKeyId = activeKeyId;
+    return keys;
+  }
+
+  parseKeyList(value) {
+    if (!value) return [];
+
+    return value.split(',')
+      .map(entry => entry.trim())
+      .filter(entry => entry.length > 0)
+      .map(entry => {
+        const separator = entry.indexOf(':');
+        return [entry.substring(0, separator), entry.substring(separator + 1)];
+      });
+  }
+
+  privateKeyFromSeed(seed) {
+    if (seed.length !== 32) {
+      throw new Error('Ticket signing seeds must be 32 bytes');
+    }
+    return crypto.createPrivateKey({
+      key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+      format: 'der',
+      type: 'pkcs8'
+    });
+  }
+
+  signTicket(ticket) {
+    const keys = this.loadKeys();
+    const payload = Buffer.from(JSON.stringify({
+      t: ticket.ticketId,
+      e: ticket.eventId.toString()
+    }));
+
+    const signature = crypto.sign(null, payload, keys.get(this.activeKeyId).privateKey);
+
+    return [
+      PAYLOAD_PREFIX,
+      this.activeKeyId,
+      payload.toString('base64url'),
+      signature.toString('base64url')
+    ].join('.');
+  }
+
+  // Returns { ticketId, eventId, keyId } for an authentic payload, or null
+  verifyPayload(code) {
+    if (typeof code !== 'string') return null;
+
+    const parts = code.trim().split('.');
+    if (parts.length !== 4 || parts[0] !== PAYLOAD_PREFIX) {
+      return null;
+    }
+
+    const [, keyId, encodedPayload, encodedSignature] = parts;
+    const key = this.loadKeys().get(keyId);
+    if (!key) {
+      return null;
+    }
+
+    try {
+      const payload = Buffer.from(encodedPayload, 'base64url');
+      const signature = Buffer.from(encodedSignature, 'base64url');
+
+      if (!crypto.verify(null, payload, key.publicKey, signature)) {
+        return null;
+      }
+
+      const data = JSON.parse(payload.toString('utf8'));
+      if (typeof data.t !== 'string' || typeof data.e !== 'string') {
+        return null;
+      }
+
+      return { ticketId: data.t, eventId: data.e, keyId };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  isSignedPayload(code) {
+    return typeof code === 'string' && code.trim().startsWith(`${PAYLOAD_PREFIX}.`);
+  }
+
+  // Public keys for scanner devices, newest first
+  getPublicKeys() {
+    const keys = this.loadKeys();
+    const ordered = [this.activeKeyId, ...[...keys.keys()].filter(keyId => keyId !== this.activeKeyId)];
+
+    return ordered.map(keyId => ({
+      keyId,
+      algorithm: 'Ed25519',
+      active: keyId === this.activeKeyId,
+      publicKey: keys.get(keyId).publicKey.export({ format: 'pem', type: 'spki' })
+    }));
+  }
+}
+
+module.exports = new TicketSigningService();
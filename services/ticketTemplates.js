@@ -0,0 +1,236 @@
+// Ticket PDF layouts. Each template declares its page size and draws one
+// ticket per page from a context built by the ticket generator:
+// { ticket, order, event, qrCode, accentColor, flyer, logo, footerText,
+//   admissionCount, preview }
+
+const SUPPORT_LINE = 'For support, contact: support@ticketeer.com';
+const DEFAULT_FOOTER = 'Present this ticket at the venue entrance. Each ticket admits one person. Keep this ticket safe and do not share the QR code.';
+
+function formatDate(event) {
+  return new Date(event.startDate).toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+}
+
+function formatTime(event) {
+  return new Date(event.startDate).toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true
+  });
+}
+
+function holderName(ticket) {
+  return `${ticket.holder.firstName} ${ticket.holder.lastName}`;
+}
+
+function footerText(ctx) {
+  return ctx.footerText || DEFAULT_FOOTER;
+}
+
+// Diagonal "SAMPLE" across preview pages so they can't pass for real tickets
+function drawPreviewWatermark(doc) {
+  const { width, height } = doc.page;
+  doc.save()
+     .rotate(-35, { origin: [width / 2, height / 2] })
+     .fontSize(Math.min(width, height) / 5)
+     .fillColor('#cccccc')
+     .fillOpacity(0.5)
+     .text('SAMPLE', 0, height / 2 - width / 10, { width, align: 'center', lineBreak: false })
+     .restore();
+  doc.fillOpacity(1);
+}
+
+// Organizer logo if there is one, otherwise the Ticketeer wordmark
+function drawBrand(doc, ctx, x, y, { height, color }) {
+  if (ctx.logo) {
+    doc.image(ctx.logo, x, y, { fit: [height * 4, height], align: 'left' });
+  } else {
+    doc.fontSize(height * 0.8)
+       .fillColor(color)
+       .text('TICKETEER', x, y, { lineBreak: false });
+  }
+}
+
+const a4 = {
+  label: 'A4 (print at home)',
+  size: 'A4',
+  margins: { top: 50, bottom: 50, left: 50, right: 50 },
+
+  render(doc, ctx) {
+    const { ticket, order, event, accentColor } = ctx;
+    const pageWidth = doc.page.width;
+
+    // Accent band with the brand and E-TICKET label
+    doc.rect(0, 0, pageWidth, 110).fill(accentColor);
+    drawBrand(doc, ctx, 50, 35, { height: 30, color: '#FFFFFF' });
+    doc.fontSize(14)
+       .fillColor('#FFFFFF')
+       .text('E-TICKET', 50, 45, { width: pageWidth - 100, align: 'right' });
+
+    let y = 130;
+    if (ctx.flyer) {
+      doc.image(ctx.flyer, 50, y, { fit: [pageWidth - 100, 180], align: 'center' });
+      y += 195;
+    }
+
+    // Event Information
+    doc.fontSize(20)
+       .fillColor('#000000')
+       .text(event.name, 50, y, { width: pageWidth - 100 });
+    y = doc.y + 10;
+
+    doc.fontSize(12)
+       .fillColor('#666666')
+       .text(`Date: ${formatDate(event)}`, 50, y);
+    doc.text(`Time: ${formatTime(event)}`);
+    doc.text(`Venue: ${event.venueName || event.location}`);
+    y = doc.y + 25;
+
+    // Ticket details and holder on the left, QR code on the right
+    const columnTop = y;
+    doc.fontSize(14)
+       .fillColor(accentColor)
+       .text('TICKET DETAILS', 50, y);
+    doc.fontSize(12)
+       .fillColor('#333333')
+       .text(ticket.ticketTypeName, 50, doc.y + 5);
+    doc.text(`Rs${(ticket.price || 0).toFixed(2)}`);
+    doc.text(`Admission ${ticket.sequence || 1} of ${ctx.admissionCount}`);
+
+    doc.fontSize(14)
+       .fillColor(accentColor)
+       .text('TICKET HOLDER', 50, doc.y + 20);
+    doc.fontSize(12)
+       .fillColor('#333333')
+       .text(`Name: ${holderName(ticket)}`, 50, doc.y + 5);
+    doc.text(`Email: ${ticket.holder.email}`);
+
+    doc.fontSize(14)
+       .fillColor(accentColor)
+       .text('ORDER INFORMATION', 50, doc.y + 20);
+    doc.fontSize(12)
+       .fillColor('#333333')
+       .text(`Order Number: ${order.orderNumber}`, 50, doc.y + 5);
+    doc.text(`Ticket ID: ${ticket.ticketId}`);
+    doc.text(`Purchase Date: ${new Date(order.createdAt).toLocaleDateString()}`);
+
+    doc.fontSize(14)
+       .fillColor('#000000')
+       .text('SCAN FOR ENTRY', 345, columnTop, { width: 200, align: 'center' });
+    doc.image(ctx.qrCode, 365, columnTop + 25, { width: 160, height: 160 });
+
+    // Footer
+    doc.fontSize(10)
+       .fillColor('#999999')
+       .text(footerText(ctx), 50, 740, { width: pageWidth - 100, align: 'center' });
+    doc.text(SUPPORT_LINE, { width: pageWidth - 100, align: 'center' });
+  }
+};
+
+const mobile = {
+  label: 'Mobile (phone screen)',
+  size: [360, 720],
+  margins: { top: 20, bottom: 20, left: 20, right: 20 },
+
+  render(doc, ctx) {
+    const { ticket, event, accentColor } = ctx;
+    const width = doc.page.width;
+    const contentWidth = width - 40;
+
+    doc.rect(0, 0, width, 60).fill(accentColor);
+    drawBrand(doc, ctx, 20, 18, { height: 24, color: '#FFFFFF' });
+
+    let y = 70;
+    if (ctx.flyer) {
+      doc.image(ctx.flyer, 20, y, { fit: [contentWidth, 150], align: 'center' });
+      y += 160;
+    }
+
+    doc.fontSize(18)
+       .fillColor('#000000')
+       .text(event.name, 20, y, { width: contentWidth, align: 'center' });
+    doc.fontSize(11)
+       .fillColor('#666666')
+       .text(`${formatDate(event)} · ${formatTime(event)}`, 20, doc.y + 4, { width: contentWidth, align: 'center' });
+    doc.text(event.venueName || event.location, { width: contentWidth, align: 'center' });
+
+    // The QR code is the point of a phone ticket: make it as large as fits
+    const qrSize = 220;
+    y = doc.y + 12;
+    doc.image(ctx.qrCode, (width - qrSize) / 2, y, { width: qrSize, height: qrSize });
+    y += qrSize + 10;
+
+    doc.fontSize(13)
+       .fillColor(accentColor)
+       .text(ticket.ticketTypeName, 20, y, { width: contentWidth, align: 'center' });
+    doc.fontSize(11)
+       .fillColor('#333333')
+       .text(holderName(ticket), { width: contentWidth, align: 'center' });
+    doc.text(`Admission ${ticket.sequence || 1} of ${ctx.admissionCount}`, { width: contentWidth, align: 'center' });
+    doc.fontSize(9)
+       .fillColor('#666666')
+       .text(`${ticket.ticketId} · Order ${ctx.order.orderNumber}`, { width: contentWidth, align: 'center' });
+
+    doc.fontSize(8)
+       .fillColor('#999999')
+       .text(footerText(ctx), 20, doc.page.height - 60, { width: contentWidth, align: 'center' });
+  }
+};
+
+// 80mm receipt paper. Black only and no photos: thermal heads can't print
+// colour and dither flyers into noise.
+const thermal = {
+  label: 'Thermal printer (80mm)',
+  size: [226, 500],
+  margins: { top: 10, bottom: 10, left: 10, right: 10 },
+  monochrome: true,
+
+  render(doc, ctx) {
+    const { ticket, order, event } = ctx;
+    const contentWidth = doc.page.width - 20;
+    const center = { width: contentWidth, align: 'center' };
+
+    if (ctx.logo) {
+      doc.image(ctx.logo, 10, 10, { fit: [contentWidth, 40], align: 'center' });
+      doc.y = 55;
+    } else {
+      doc.fontSize(16).fillColor('#000000').text('TICKETEER', 10, 10, center);
+    }
+
+    doc.moveTo(10, doc.y + 4).lineTo(10 + contentWidth, doc.y + 4).dash(2, { space: 2 }).stroke().undash();
+
+    doc.fontSize(13)
+       .fillColor('#000000')
+       .text(event.name, 10, doc.y + 10, center);
+    doc.fontSize(9)
+       .text(formatDate(event), center)
+       .text(formatTime(event), center)
+       .text(event.venueName || event.location, center);
+
+    const qrSize = 150;
+    const y = doc.y + 8;
+    doc.image(ctx.qrCode, (doc.page.width - qrSize) / 2, y, { width: qrSize, height: qrSize });
+
+    doc.fontSize(11)
+       .text(ticket.ticketTypeName, 10, y + qrSize + 6, center);
+    doc.fontSize(9)
+       .text(holderName(ticket), center)
+       .text(`Admission ${ticket.sequence || 1} of ${ctx.admissionCount}`, center)
+       .text(`${ticket.ticketId} / ${order.orderNumber}`, center);
+
+    doc.fontSize(7)
+       .text(footerText(ctx), 10, doc.y + 8, center);
+  }
+};
+
+const templates = { a4, mobile, thermal };
+
+module.exports = {
+  templates,
+  DEFAULT_TEMPLATE: 'a4',
+  drawPreviewWatermark
+};
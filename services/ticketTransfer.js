@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const Ticket = require('../models/Ticket');
+const TicketTransfer = require('../models/TicketTransfer');
+const Order = require('../models/Order');
+const Event = require('../models/Event');
+const ticketGeneratorService = require('./ticketGenerator');
+const walletPassService = require('./walletPass');
+const {
+  sendTransferConfirmationEmail,
+  sendTransferOfferEmail,
+  sendTransferCompletedEmails
+} = require('../utils/sendTransferEmail');
+
+// Pending transfers lapse after this long (or at the cutoff, if sooner)
+const TRANSFER_TTL_MS = 72 * 60 * 60 * 1000;
+
+function transferError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class TicketTransferService {
+  // Organizers can switch transfers off or close them at a cutoff time.
+  // Transfers always close when the event starts.
+  transferCutoff(event) {
+    const eventStart = new Date(event.startDate);
+    const cutoff = event.transferSettings && event.transferSettings.transferCutoff;
+    return cutoff && new Date(cutoff) < eventStart ? new Date(cutoff) : eventStart;
+  }
+
+  assertTransfersOpen(event) {
+    if (event.transferSettings && event.transferSettings.allowTransfers === false) {
+      throw transferError('Ticket transfers are disabled for this event', 403);
+    }
+
+    if (new Date() >= this.transferCutoff(event)) {
+      throw transferError('The transfer window for this event has closed', 403);
+    }
+  }
+
+  assertTicketTransferable(ticket) {
+    if (ticket.status !== 'active') {
+      throw transferError('Ticket is no longer valid', 400);
+    }
+
+    if (ticket.checkedInAt) {
+      throw transferError('Ticket has already been used', 400);
+    }
+  }
+
+  // Holder asks to send a ticket to someone. Nothing moves until the holder
+  // confirms from the email we send to the address on the ticket.
+  async startTransfer({ ticketId, holderEmail, recipient, message }) {
+    const ticket = await Ticket.findOne({ ticketId });
+    if (!ticket || !holderEmail || ticket.holder.email.toLowerCase() !== holderEmail.toLowerCase().trim()) {
+      throw transferError('Ticket not found for this email address', 404);
+    }
+
+    this.assertTicketTransferable(ticket);
+
+    const event = await Event.findById(ticket.eventId);
+    if (!event) {
+      throw transferError('Event not found', 404);
+    }
+    this.assertTransfersOpen(event);
+
+    if (recipient.email.toLowerCase().trim() === ticket.holder.email.toLowerCase()) {
+      throw transferError('Recipient already holds this ticket', 400);
+    }
+
+    // A newer request replaces any transfer still in flight
+    await TicketTransfer.updateMany(
+      { ticket: ticket._id, status: { $in: ['pending_confirmation', 'pending'] } },
+      { $set: { status: 'cancelled', completedAt: new Date() } }
+    );
+
+    // The recipient token is replaced on confirmation; until then nobody holds it
+    const holderToken = crypto.randomBytes(32).toString('hex');
+    const recipientToken = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Math.min(Date.now() + TRANSFER_TTL_MS, this.transferCutoff(event).getTime()));
+
+    const transfer = await TicketTransfer.create({
+      ticket: ticket._id,
+      eventId: ticket.eventId,
+      orderId: ticket.orderId,
+      from: {
+        firstName: ticket.holder.firstName,
+        lastName: ticket.holder.lastName,
+        email: ticket.holder.email
+      },
+      to: {
+        firstName: recipient.firstName,
+        lastName: recipient.lastName,
+        email: recipient.email
+      },
+      message,
+      holderTokenHash: hashToken(holderToken),
+      recipientTokenHash: hashToken(recipientToken),
+      expiresAt
+    });
+
+    await sendTransferConfirmationEmail(transfer, ticket, event, holderToken);
+
+    return transfer;
+  }
+
+  async findByToken(token, field, statuses) {
+    const transfer = await TicketTransfer.findOne({ [field]: hashToken(token || '') });
+    if (!transfer) {
+      throw transferError('Transfer not found', 404);
+    }
+
+    if (statuses.includes(transfer.status) && transfer.expiresAt < new Date()) {
+      transfer.status = 'expired';
+      await transfer.save();
+    }
+
+    if (!statuses.includes(transfer.status)) {
+      throw transferError(`Transfer is ${transfer.status.replace('_', ' ')}`, 409);
+    }
+
+    return transfer;
+  }
+
+  // Holder confirms; the recipient now gets an accept link. A fresh recipient
+  // token is issued here because only its hash was stored.
+  async confirmTransfer(holderToken) {
+    const transfer = await this.findByToken(holderToken, 'holderTokenHash', ['pending_confirmation']);
+    const ticket = await Ticket.findById(transfer.ticket);
+    const event = await Event.findById(transfer.eventId);
+
+    this.assertTicketTransferable(ticket);
+    this.assertTransfersOpen(event);
+
+    const recipientToken = crypto.randomBytes(32).toString('hex');
+    transfer.recipientTokenHash = hashToken(recipientToken);
+    transfer.status = 'pending';
+    transfer.confirmedAt = new Date();
+    await transfer.save();
+
+    await sendTransferOfferEmail(transfer, ticket, event, recipientToken);
+
+    return transfer;
+  }
+
+  async cancelTransfer(holderToken) {
+    const transfer = await this.findByToken(holderToken, 'holderTokenHash', ['pending_confirmation', 'pending']);
+    transfer.status = 'cancelled';
+    transfer.completedAt = new Date();
+    return transfer.save();
+  }
+
+  async declineTransfer(recipientToken) {
+    const transfer = await this.findByToken(recipientToken, 'recipientTokenHash', ['pending']);
+    transfer.status = 'declined';
+    transfer.completedAt = new Date();
+    return transfer.save();
+  }
+
+  // What the recipient sees before accepting
+  async describeOffer(recipientToken) {
+    const transfer = await this.findByToken(recipientToken, 'recipientTokenHash', ['pending']);
+    const ticket = await Ticket.findById(transfer.ticket);
+    const event = await Event.findById(transfer.eventId);
+
+    return {
+      status: transfer.status,
+      expiresAt: transfer.expiresAt,
+      from: { firstName: transfer.from.firstName },
+      to: transfer.to,
+      message: transfer.message,
+      ticketTypeName: ticket.ticketTypeName,
+      event: {
+        id: event._id,
+        name: event.name,
+        startDate: event.startDate,
+        venue: event.venueName || event.location
+      }
+    };
+  }
+
+  // Recipient accepts: the old ticket (and its QR code) is voided and a new
+  // ticket is issued in the recipient's name. Both parties are emailed.
+  async acceptTransfer(recipientToken, { firstName, lastName }) {
+    const pending = await this.findByToken(recipientToken, 'recipientTokenHash', ['pending']);
+    const ticket = await Ticket.findById(pending.ticket);
+    const event = await Event.findById(pending.eventId);
+    const order = await Order.findById(pending.orderId);
+
+    this.assertTicketTransferable(ticket);
+    this.assertTransfersOpen(event);
+
+    // Claim the transfer so a double-submitted accept only issues one ticket
+    const transfer = await TicketTransfer.findOneAndUpdate(
+      { _id: pending._id, status: 'pending' },
+      { $set: { status: 'accepted', completedAt: new Date() } },
+      { new: true }
+    );
+    if (!transfer) {
+      throw transferError('Transfer has already been completed', 409);
+    }
+
+    let reissued;
+    try {
+      reissued = await ticketGeneratorService.reissueTicket(ticket, order, event, {
+        reason: `Transferred to ${transfer.to.email}`,
+        holder: {
+          firstName: firstName || transfer.to.firstName,
+          lastName: lastName || transfer.to.lastName,
+          email: transfer.to.email
+        }
+      });
+    } catch (error) {
+      await TicketTransfer.updateOne({ _id: transfer._id }, { $set: { status: 'pending' }, $unset: { completedAt: 1 } });
+      throw error;
+    }
+
+    transfer.newTicket = reissued.ticket._id;
+    await transfer.save();
+
+    try {
+      const wallet = await walletPassService.emailExtras([reissued.ticket], event);
+      await sendTransferCompletedEmails(transfer, reissued, event, wallet);
+    } catch (error) {
+      console.error(`Failed to send transfer emails for transfer ${transfer._id}:`, error);
+    }
+
+    return { transfer, ticket: reissued.ticket };
+  }
+}
+
+module.exports = new TicketTransferService();
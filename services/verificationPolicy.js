@@ -0,0 +1,97 @@
+const Event = require('../models/Event');
+
+// Per-event rules for what happens to an MCB Juice order once its receipt has
+// been read by OCR: approve it now, approve it after a delay in which the
+// buyer or organizer can step in, or leave it for a person to review. Every
+// change bumps the policy's version, which is recorded with each decision.
+
+const DEFAULT_POLICY = {
+  autoApprove: true,
+  approveConfidence: 80, // Approve straight away at or above this OCR confidence
+  delayedApproveConfidence: 50, // Approve after the delay at or above this one
+  autoApprovalDelayMinutes: 5,
+  maxAutoApproveAmount: null // Orders above this total always get reviewed
+};
+const POLICY_FIELDS = Object.keys(DEFAULT_POLICY);
+
+function policyError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class VerificationPolicyService {
+  // The event's policy as a plain object, with defaults for events saved
+  // before policies existed
+  policyFor(event) {
+    const saved = event.verificationPolicy || {};
+    const policy = { version: saved.version || 1 };
+    for (const field of POLICY_FIELDS) {
+      policy[field] = saved[field] === undefined ? DEFAULT_POLICY[field] : saved[field];
+    }
+    return policy;
+  }
+
+  // Apply changes to the event's policy and bump its version. Throws 400 for
+  // unknown fields or thresholds that don't make sense together.
+  async update(event, changes) {
+    const unknown = Object.keys(changes).filter(field => !POLICY_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw policyError(`Unknown policy fields: ${unknown.join(', ')}`, 400);
+    }
+
+    const current = this.policyFor(event);
+    const policy = { ...current, ...changes, version: current.version + 1 };
+
+    if (policy.delayedApproveConfidence > policy.approveConfidence) {
+      throw policyError('delayedApproveConfidence cannot be higher than approveConfidence', 400);
+    }
+
+    const updated = await Event.findByIdAndUpdate(
+      event._id,
+      { verificationPolicy: policy, updatedAt: Date.now() },
+      { new: true, runValidators: true }
+    );
+    return this.policyFor(updated);
+  }
+
+  // What to do with an order given its receipt check. `verification` is the
+  // result of receiptVerification.verifyReceipt(), or null if the receipt
+  // couldn't be read at all. Returns { action, reason, priority } where action
+  // is 'approve', 'delayed_approve' or 'review'.
+  decide(policy, order, verification) {
+    if (!verification || verification.error) {
+      return { action: 'review', reason: 'Receipt could not be read', priority: 'high' };
+    }
+
+    const { confidence } = verification;
+    if (!policy.autoApprove) {
+      return { action: 'review', reason: 'Auto-approval is turned off for this event', priority: 'standard' };
+    }
+    if (policy.maxAutoApproveAmount !== null && order.totalAmount > policy.maxAutoApproveAmount) {
+      return { action: 'review', reason: `Order total is above the auto-approval limit of Rs ${policy.maxAutoApproveAmount}`, priority: 'standard' };
+    }
+    if (confidence >= policy.approveConfidence) {
+      return { action: 'approve', reason: `Receipt verified automatically (${confidence}% confidence)` };
+    }
+    if (confidence >= policy.delayedApproveConfidence) {
+      return policy.autoApprovalDelayMinutes > 0
+        ? { action: 'delayed_approve', reason: `Medium confidence receipt (${confidence}%)` }
+        : { action: 'approve', reason: `Receipt verified automatically (${confidence}% confidence)` };
+    }
+    return { action: 'review', reason: `Low confidence receipt (${confidence}%)`, priority: 'high' };
+  }
+
+  // The decision as recorded on the order
+  record(policy, decision, confidence) {
+    return {
+      action: decision.action,
+      reason: decision.reason,
+      confidence,
+      policyVersion: policy.version,
+      decidedAt: new Date()
+    };
+  }
+}
+
+module.exports = new VerificationPolicyService();
@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const inventoryService = require('./inventory');
+const ticketSalesService = require('./ticketSales');
+const jobQueue = require('./jobQueue');
+const { sendWaitlistJoinedEmail, sendWaitlistOfferEmail } = require('../utils/sendWaitlistEmail');
+const { toCsv } = require('../utils/csv');
+
+// People wait in line per ticket type. Stock freed by a refund, rejection or
+// expired hold (see inventory.release) is offered to the front of the line:
+// the tickets are held (`reserved`) for the entry and the person is emailed
+// a purchase link. Unused offers expire and move on to the next person.
+
+const DEFAULT_OFFER_HOURS = 24;
+
+function waitlistError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class WaitlistService {
+  offerHours() {
+    const configured = parseFloat(process.env.WAITLIST_OFFER_HOURS);
+    return configured > 0 ? configured : DEFAULT_OFFER_HOURS;
+  }
+
+  // Offer links are signed rather than stored. The expiry is part of the
+  // signature, so a link from an earlier offer stops working.
+  offerSignature(entry) {
+    return crypto.createHmac('sha256', `waitlist-offer:${process.env.JWT_SECRET}`)
+      .update(`${entry._id}.${new Date(entry.offerExpiresAt).getTime()}`)
+      .digest('hex');
+  }
+
+  offerToken(entry) {
+    return `${entry._id}.${this.offerSignature(entry)}`;
+  }
+
+  // Live offer for a token; throws 404 for bad links and 410 for used or
+  // expired offers
+  async findOffer(token) {
+    const [entryId, signature] = String(token || '').split('.');
+    if (!mongoose.Types.ObjectId.isValid(entryId) || !signature) {
+      throw waitlistError('Offer not found', 404);
+    }
+
+    const entry = await WaitlistEntry.findById(entryId);
+    if (!entry || !entry.offerExpiresAt) {
+      throw waitlistError('Offer not found', 404);
+    }
+
+    const expected = Buffer.from(this.offerSignature(entry));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      throw waitlistError('Offer not found', 404);
+    }
+
+    if (entry.status !== 'offered' || entry.offerExpiresAt <= new Date()) {
+      throw waitlistError('This offer has expired or was already used', 410);
+    }
+
+    return entry;
+  }
+
+  async position(entry) {
+    return 1 + await WaitlistEntry.countDocuments({
+      eventId: entry.eventId,
+      ticketTypeId: entry.ticketTypeId,
+      status: 'waiting',
+      createdAt: { $lt: entry.createdAt }
+    });
+  }
+
+  // Join the line for a ticket type that can't cover the requested quantity
+  async join(event, ticketTypeId, { email, firstName, lastName, quantity = 1 }) {
+    const ticketType = event.ticketTypes.id(ticketTypeId);
+    const state = ticketType ? ticketSalesService.salesState(ticketType) : 'hidden';
+
+    if (state === 'hidden') {
+      throw waitlistError('Ticket type not found', 404);
+    }
+    if (state === 'scheduled' || state === 'ended') {
+      throw waitlistError(`${ticketType.name} tickets are not on sale`, 409);
+    }
+    if (inventoryService.available(ticketType) >= quantity) {
+      throw waitlistError(`${ticketType.name} tickets are still available`, 409);
+    }
+
+    let entry;
+    try {
+      entry = await WaitlistEntry.create({
+        eventId: event._id,
+        ticketTypeId: ticketType._id.toString(),
+        email,
+        firstName,
+        lastName,
+        quantity
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw waitlistError('You are already on the waitlist for this ticket type', 409);
+      }
+      throw error;
+    }
+
+    try {
+      await sendWaitlistJoinedEmail(entry, event, ticketType);
+    } catch (emailError) {
+      console.error(`Failed to send waitlist confirmation for entry ${entry._id}:`, emailError);
+    }
+
+    return entry;
+  }
+
+  // Offer free stock to the front of the line, one entry at a time. Strictly
+  // first come, first served: if the next person wants more tickets than are
+  // free, nobody behind them is offered either.
+  async offerNext(eventId, ticketTypeId) {
+    let offered = 0;
+
+    for (;;) {
+      const event = await Event.findById(eventId);
+      const ticketType = event && event.ticketTypes.id(ticketTypeId);
+      if (!ticketType || ['hidden', 'scheduled', 'ended'].includes(ticketSalesService.salesState(ticketType))) {
+        break;
+      }
+
+      const next = await WaitlistEntry.findOne({ eventId, ticketTypeId, status: 'waiting' }).sort({ createdAt: 1 });
+      if (!next || inventoryService.available(ticketType) < next.quantity) {
+        break;
+      }
+
+      const entry = await WaitlistEntry.findOneAndUpdate(
+        { _id: next._id, status: 'waiting' },
+        { $set: { status: 'offered', offeredAt: new Date(), offerExpiresAt: new Date(Date.now() + this.offerHours() * 60 * 60 * 1000) } },
+        { new: true }
+      );
+      if (!entry) continue;
+
+      try {
+        await inventoryService.take(event, [{ ticketTypeId, quantity: entry.quantity }], 'reserved');
+      } catch (error) {
+        // Someone bought the stock first; put them back at the front
+        await WaitlistEntry.updateOne(
+          { _id: entry._id, status: 'offered' },
+          { $set: { status: 'waiting' }, $unset: { offeredAt: 1, offerExpiresAt: 1 } }
+        );
+        if (error.statusCode === 409) break;
+        throw error;
+      }
+
+      const entryId = entry._id.toString();
+      await jobQueue.enqueue('waitlist.sendOffer', { entryId }, { eventId });
+      await jobQueue.enqueue('waitlist.expireOffer', { entryId }, { runAt: entry.offerExpiresAt, eventId });
+      offered++;
+    }
+
+    return offered;
+  }
+
+  // Unused offer: give its held stock back and move down the line
+  async expireOffer(entryId) {
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: entryId, status: 'offered', offerExpiresAt: { $lte: new Date() } },
+      { $set: { status: 'expired' } },
+      { new: true }
+    );
+    if (!entry) return false;
+
+    await inventoryService.adjust(entry.eventId, [{ ticketTypeId: entry.ticketTypeId, quantity: entry.quantity }], { reserved: -1 });
+    await this.offerNext(entry.eventId, entry.ticketTypeId);
+    return true;
+  }
+
+  // Checkout with an offer link. The order may only contain the offered
+  // ticket type, up to the offered quantity. Claims the offer for the order
+  // so it can't be used twice; returns the entry.
+  async claimOffer(token, event, order) {
+    const entry = await this.findOffer(token);
+
+    const quantity = order.tickets.reduce((sum, line) => sum + line.quantity, 0);
+    const onlyOfferedType = order.tickets.every(line => line.ticketTypeId === entry.ticketTypeId);
+    if (!entry.eventId.equals(event._id) || !onlyOfferedType || quantity > entry.quantity) {
+      throw waitlistError(`This offer covers up to ${entry.quantity} ticket(s) of one ticket type for this event`, 400);
+    }
+
+    const claimed = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'offered', offerExpiresAt: { $gt: new Date() } },
+      { $set: { status: 'purchased', orderId: order._id, purchasedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw waitlistError('This offer has expired or was already used', 410);
+    }
+
+    return claimed;
+  }
+
+  // The order could not be saved; the offer is still open
+  async unclaimOffer(entry) {
+    await WaitlistEntry.updateOne(
+      { _id: entry._id, status: 'purchased', orderId: entry.orderId },
+      { $set: { status: 'offered' }, $unset: { orderId: 1, purchasedAt: 1 } }
+    );
+  }
+
+  // Inventory fields for an order paid for with an offer. The stock is
+  // already reserved for the entry, so nothing is taken here.
+  offerInventory(order) {
+    if (order.paymentStatus === 'completed') {
+      return { inventoryStatus: 'sold' };
+    }
+    return {
+      inventoryStatus: 'held',
+      holdExpiresAt: new Date(Date.now() + inventoryService.holdMinutes(order.paymentMethod) * 60 * 1000)
+    };
+  }
+
+  // After the order is saved: paid orders turn the held stock into sold,
+  // and tickets the buyer didn't take go to the next person
+  async settleOffer(entry, order) {
+    const quantity = order.tickets.reduce((sum, line) => sum + line.quantity, 0);
+    const line = { ticketTypeId: entry.ticketTypeId };
+
+    if (order.inventoryStatus === 'sold') {
+      await inventoryService.adjust(entry.eventId, [{ ...line, quantity }], { reserved: -1, sold: 1 });
+    }
+
+    const unused = entry.quantity - quantity;
+    if (unused > 0) {
+      await inventoryService.adjust(entry.eventId, [{ ...line, quantity: unused }], { reserved: -1 });
+      await this.offerNext(entry.eventId, entry.ticketTypeId);
+    }
+  }
+
+  // Organizer adds capacity for the people waiting
+  async releaseStock(event, ticketTypeId, quantity) {
+    const ticketType = event.ticketTypes.id(ticketTypeId);
+    if (!ticketType) {
+      throw waitlistError('Ticket type not found', 404);
+    }
+
+    await Event.updateOne(
+      { _id: event._id },
+      { $inc: { 'ticketTypes.$[type].quantity': quantity } },
+      { arrayFilters: [{ 'type._id': ticketType._id }] }
+    );
+
+    return this.offerNext(event._id, ticketType._id.toString());
+  }
+
+  toCsv(entries, event) {
+    const ticketTypeNames = new Map(event.ticketTypes.map(type => [type._id.toString(), type.name]));
+
+    const header = ['email', 'firstName', 'lastName', 'ticketType', 'quantity', 'status', 'joinedAt', 'offeredAt', 'offerExpiresAt', 'orderId'];
+    const rows = entries.map(entry => [
+      entry.email,
+      entry.firstName,
+      entry.lastName,
+      ticketTypeNames.get(entry.ticketTypeId) || entry.ticketTypeId,
+      entry.quantity,
+      entry.status,
+      entry.createdAt,
+      entry.offeredAt,
+      entry.offerExpiresAt,
+      entry.orderId
+    ]);
+
+    return toCsv([header, ...rows]);
+  }
+}
+
+const waitlistService = new WaitlistService();
+
+jobQueue.define('waitlist.offer', async ({ eventId, ticketTypeId }) => {
+  await waitlistService.offerNext(eventId, ticketTypeId);
+});
+
+jobQueue.define('waitlist.expireOffer', async ({ entryId }) => {
+  await waitlistService.expireOffer(entryId);
+});
+
+jobQueue.define('waitlist.sendOffer', async ({ entryId }) => {
+  const entry = await WaitlistEntry.findById(entryId);
+  if (!entry || entry.status !== 'offered') return;
+
+  const event = await Event.findById(entry.eventId);
+  const ticketType = event && event.ticketTypes.id(entry.ticketTypeId);
+  if (!ticketType) return;
+
+  await sendWaitlistOfferEmail(entry, event, ticketType, waitlistService.offerToken(entry));
+});
+
+module.exports = waitlistService;
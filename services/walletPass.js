@@ -0,0 +1,357 @@
+const crypto = require('crypto');
+const http2 = require('http2');
+const jwt = require('jsonwebtoken');
+const sharp = require('sharp');
+const { PKPass } = require('passkit-generator');
+const { google } = require('googleapis');
+const Ticket = require('../models/Ticket');
+const WalletRegistration = require('../models/WalletRegistration');
+const ticketSigningService = require('./ticketSigning');
+
+const APNS_HOST = 'https://api.push.apple.com';
+const DEFAULT_ACCENT_COLOR = '#3b82f6';
+
+// Certificates and keys are stored base64-encoded in the environment so they
+// survive Render/Railway config without multi-line values.
+function decodeEnv(name) {
+  return process.env[name] ? Buffer.from(process.env[name], 'base64').toString('utf8') : null;
+}
+
+class WalletPassService {
+  constructor() {
+    this.iconCache = new Map();
+  }
+
+  isAppleConfigured() {
+    return !!(process.env.APPLE_PASS_TYPE_ID && process.env.APPLE_TEAM_ID &&
+      process.env.APPLE_PASS_CERT && process.env.APPLE_PASS_KEY && process.env.APPLE_WWDR_CERT);
+  }
+
+  isGoogleConfigured() {
+    return !!(process.env.GOOGLE_WALLET_ISSUER_ID && process.env.GOOGLE_WALLET_SERVICE_ACCOUNT);
+  }
+
+  getAppleCertificates() {
+    return {
+      wwdr: decodeEnv('APPLE_WWDR_CERT'),
+      signerCert: decodeEnv('APPLE_PASS_CERT'),
+      signerKey: decodeEnv('APPLE_PASS_KEY'),
+      signerKeyPassphrase: process.env.APPLE_PASS_KEY_PASSPHRASE || undefined
+    };
+  }
+
+  getGoogleServiceAccount() {
+    return JSON.parse(decodeEnv('GOOGLE_WALLET_SERVICE_ACCOUNT'));
+  }
+
+  // Token that proves a caller was handed a link to this ticket's passes. Also
+  // used as the Apple web service authenticationToken.
+  accessToken(ticketId) {
+    return crypto.createHmac('sha256', `wallet-pass:${process.env.JWT_SECRET}`)
+      .update(ticketId)
+      .digest('hex')
+      .substring(0, 32);
+  }
+
+  isValidAccessToken(ticketId, token) {
+    if (typeof token !== 'string') return false;
+    const expected = Buffer.from(this.accessToken(ticketId));
+    const given = Buffer.from(token);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  passLinks(ticket) {
+    const baseUrl = process.env.BACKEND_URL || process.env.BASE_URL || 'http://localhost:3001';
+    const token = this.accessToken(ticket.ticketId);
+    return {
+      apple: this.isAppleConfigured() ? `${baseUrl}/api/wallet/tickets/${ticket.ticketId}/apple?token=${token}` : null,
+      google: this.isGoogleConfigured() ? `${baseUrl}/api/wallet/tickets/${ticket.ticketId}/google?token=${token}` : null
+    };
+  }
+
+  accentColor(event) {
+    return /^#[0-9a-f]{6}$/i.test(event.selectedAccentColor || '') ? event.selectedAccentColor : DEFAULT_ACCENT_COLOR;
+  }
+
+  hexToRgb(hex) {
+    const value = parseInt(hex.substring(1), 16);
+    return `rgb(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255})`;
+  }
+
+  formatEventDate(event) {
+    return new Date(event.startDate).toLocaleDateString('en-US', {
+      weekday: 'short',
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  }
+
+  // Pass icon and logo: a "T" badge in the event's accent color
+  async renderIcon(color, size) {
+    const key = `${color}-${size}`;
+    if (!this.iconCache.has(key)) {
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">
+        <rect width="${size}" height="${size}" rx="${size / 5}" fill="${color}"/>
+        <text x="50%" y="50%" dy=".35em" text-anchor="middle" font-family="Arial, sans-serif"
+          font-weight="bold" font-size="${size * 0.6}" fill="#ffffff">T</text>
+      </svg>`;
+      this.iconCache.set(key, await sharp(Buffer.from(svg)).png().toBuffer());
+    }
+    return this.iconCache.get(key);
+  }
+
+  async generateApplePass(ticket, event) {
+    if (!this.isAppleConfigured()) {
+      throw new Error('Apple Wallet passes are not configured');
+    }
+
+    const accentColor = this.accentColor(event);
+    const baseUrl = process.env.BACKEND_URL || process.env.BASE_URL || 'http://localhost:3001';
+
+    const passJson = {
+      formatVersion: 1,
+      passTypeIdentifier: process.env.APPLE_PASS_TYPE_ID,
+      teamIdentifier: process.env.APPLE_TEAM_ID,
+      organizationName: 'Ticketeer',
+      description: `Ticket for ${event.name}`,
+      serialNumber: ticket.ticketId,
+      logoText: 'Ticketeer',
+      backgroundColor: this.hexToRgb(accentColor),
+      foregroundColor: 'rgb(255, 255, 255)',
+      labelColor: 'rgb(255, 255, 255)',
+      webServiceURL: `${baseUrl}/api/wallet/apple`,
+      authenticationToken: this.accessToken(ticket.ticketId),
+      voided: ticket.status === 'void',
+      eventTicket: {
+        primaryFields: [
+          { key: 'event', label: 'EVENT', value: event.name }
+        ],
+        secondaryFields: [
+          { key: 'date', label: 'DATE', value: this.formatEventDate(event), changeMessage: 'Event time changed to %@' },
+          { key: 'venue', label: 'VENUE', value: event.venueName || event.location, changeMessage: 'Venue changed to %@' }
+        ],
+        auxiliaryFields: [
+          { key: 'ticketType', label: 'TICKET', value: ticket.ticketTypeName },
+          { key: 'holder', label: 'NAME', value: `${ticket.holder.firstName} ${ticket.holder.lastName}` }
+        ],
+        backFields: [
+          { key: 'ticketId', label: 'Ticket ID', value: ticket.ticketId },
+          { key: 'location', label: 'Location', value: event.location },
+          { key: 'support', label: 'Support', value: 'support@ticketeer.com' }
+        ]
+      }
+    };
+
+    const pass = new PKPass({
+      'pass.json': Buffer.from(JSON.stringify(passJson)),
+      'icon.png': await this.renderIcon(accentColor, 29),
+      'icon@2x.png': await this.renderIcon(accentColor, 58),
+      'logo.png': await this.renderIcon(accentColor, 50),
+      'logo@2x.png': await this.renderIcon(accentColor, 100)
+    }, this.getAppleCertificates());
+
+    pass.setBarcodes({
+      message: ticketSigningService.signTicket(ticket),
+      format: 'PKBarcodeFormatQR',
+      messageEncoding: 'iso-8859-1',
+      altText: ticket.ticketId
+    });
+    pass.setRelevantDates([{ relevantDate: new Date(event.startDate) }]);
+
+    return pass.getAsBuffer();
+  }
+
+  // .pkpass attachments and Google Wallet links to send with the ticket email.
+  // Wallet problems are logged and skipped - the PDF tickets still go out.
+  async emailExtras(tickets, event) {
+    const attachments = [];
+    const googleLinks = [];
+
+    for (const ticket of tickets) {
+      if (this.isAppleConfigured()) {
+        try {
+          attachments.push({
+            filename: `ticket-${ticket.ticketId}.pkpass`,
+            content: await this.generateApplePass(ticket, event),
+            contentType: 'application/vnd.apple.pkpass'
+          });
+        } catch (error) {
+          console.error(`Failed to generate Apple Wallet pass for ticket ${ticket.ticketId}:`, error);
+        }
+      }
+
+      const links = this.passLinks(ticket);
+      if (links.google) {
+        googleLinks.push({ ticketId: ticket.ticketId, ticketTypeName: ticket.ticketTypeName, url: links.google });
+      }
+    }
+
+    return { attachments, googleLinks };
+  }
+
+  googleClassId(event) {
+    return `${process.env.GOOGLE_WALLET_ISSUER_ID}.ticketeer-event-${event._id}`;
+  }
+
+  googleObjectId(ticket) {
+    return `${process.env.GOOGLE_WALLET_ISSUER_ID}.${ticket.ticketId.replace(/[^\w.-]/g, '_')}`;
+  }
+
+  buildGoogleClass(event) {
+    return {
+      id: this.googleClassId(event),
+      issuerName: 'Ticketeer',
+      reviewStatus: 'UNDER_REVIEW',
+      eventName: { defaultValue: { language: 'en-US', value: event.name } },
+      venue: {
+        name: { defaultValue: { language: 'en-US', value: event.venueName || event.location } },
+        address: { defaultValue: { language: 'en-US', value: event.location } }
+      },
+      dateTime: {
+        start: new Date(event.startDate).toISOString(),
+        end: new Date(event.endDate).toISOString()
+      },
+      hexBackgroundColor: this.accentColor(event),
+      ...(event.flyerUrl ? { heroImage: { sourceUri: { uri: event.flyerUrl } } } : {})
+    };
+  }
+
+  buildGoogleObject(ticket, event) {
+    return {
+      id: this.googleObjectId(ticket),
+      classId: this.googleClassId(event),
+      state: ticket.status === 'void' ? 'INACTIVE' : 'ACTIVE',
+      ticketHolderName: `${ticket.holder.firstName} ${ticket.holder.lastName}`,
+      ticketNumber: ticket.ticketId,
+      ticketType: { defaultValue: { language: 'en-US', value: ticket.ticketTypeName } },
+      hexBackgroundColor: this.accentColor(event),
+      barcode: {
+        type: 'QR_CODE',
+        value: ticketSigningService.signTicket(ticket),
+        alternateText: ticket.ticketId
+      }
+    };
+  }
+
+  // "Save to Google Wallet" link. The class and object travel inside the
+  // signed JWT, so Google creates them on first save.
+  generateGoogleSaveUrl(ticket, event) {
+    if (!this.isGoogleConfigured()) {
+      throw new Error('Google Wallet passes are not configured');
+    }
+
+    const serviceAccount = this.getGoogleServiceAccount();
+    const token = jwt.sign({
+      iss: serviceAccount.client_email,
+      aud: 'google',
+      typ: 'savetowallet',
+      origins: [],
+      payload: {
+        eventTicketClasses: [this.buildGoogleClass(event)],
+        eventTicketObjects: [this.buildGoogleObject(ticket, event)]
+      }
+    }, serviceAccount.private_key, { algorithm: 'RS256' });
+
+    return `https://pay.google.com/gp/v/save/${token}`;
+  }
+
+  getGoogleClient() {
+    const serviceAccount = this.getGoogleServiceAccount();
+    const auth = new google.auth.JWT({
+      email: serviceAccount.client_email,
+      key: serviceAccount.private_key,
+      scopes: ['https://www.googleapis.com/auth/wallet_object.issuer']
+    });
+    return google.walletobjects({ version: 'v1', auth });
+  }
+
+  // Push changed event details to passes already saved on devices
+  async handleEventUpdated(event) {
+    const results = { apple: 0, google: false };
+
+    if (this.isGoogleConfigured()) {
+      try {
+        await this.getGoogleClient().eventticketclass.patch({
+          resourceId: this.googleClassId(event),
+          requestBody: this.buildGoogleClass(event)
+        });
+        results.google = true;
+      } catch (error) {
+        // 404 just means nobody has saved a pass for this event yet
+        if (error.code !== 404) {
+          console.error(`Failed to update Google Wallet class for event ${event._id}:`, error.message);
+        }
+      }
+    }
+
+    if (this.isAppleConfigured()) {
+      const tickets = await Ticket.find({ eventId: event._id }).select('ticketId');
+      results.apple = await this.notifyAppleDevices(tickets.map(ticket => ticket.ticketId));
+    }
+
+    return results;
+  }
+
+  // Tell Apple Wallet that passes changed; devices then fetch the latest pass
+  // from the web service in routes/wallet.js.
+  async notifyAppleDevices(serialNumbers) {
+    const registrations = await WalletRegistration.find({
+      passTypeIdentifier: process.env.APPLE_PASS_TYPE_ID,
+      serialNumber: { $in: serialNumbers }
+    }).select('pushToken');
+
+    const pushTokens = [...new Set(registrations.map(registration => registration.pushToken))];
+    if (pushTokens.length === 0) {
+      return 0;
+    }
+
+    const { signerCert, signerKey, signerKeyPassphrase } = this.getAppleCertificates();
+    const client = http2.connect(APNS_HOST, { cert: signerCert, key: signerKey, passphrase: signerKeyPassphrase });
+    let delivered = 0;
+
+    // A failed connection (bad certificate, network) errors the session and
+    // closes its requests. Unhandled, the error would crash the process.
+    let sessionError = null;
+    client.on('error', (error) => {
+      console.error('APNs connection failed:', error.message);
+      sessionError = error;
+    });
+
+    try {
+      await Promise.all(pushTokens.map(pushToken => new Promise((resolve) => {
+        const request = client.request({
+          ':method': 'POST',
+          ':path': `/3/device/${pushToken}`,
+          'apns-topic': process.env.APPLE_PASS_TYPE_ID
+        });
+
+        request.on('response', (headers) => {
+          if (headers[':status'] === 200) {
+            delivered++;
+          } else if (headers[':status'] === 410) {
+            // Device no longer has the pass
+            WalletRegistration.deleteMany({ pushToken }).catch(() => {});
+          }
+        });
+        request.on('error', (error) => {
+          console.error('APNs push failed:', error.message);
+          resolve();
+        });
+        request.on('close', resolve);
+        request.end('{}');
+      })));
+    } finally {
+      client.close();
+    }
+
+    if (sessionError) {
+      throw sessionError;
+    }
+    return delivered;
+  }
+}
+
+module.exports = new WalletPassService();
@@ -0,0 +1,92 @@
+const jwt = require('jsonwebtoken');
+const Event = require('../models/Event');
+const checkInService = require('../services/checkIn');
+
+// Minimum gap between stats pushes for one event, so a busy door does not
+// trigger an aggregation per scan
+const BROADCAST_INTERVAL_MS = 2000;
+
+class CheckInDashboardSocket {
+  constructor(io) {
+    this.io = io;
+    this.pendingBroadcasts = new Map();
+    this.setupEventHandlers();
+  }
+
+  setupEventHandlers() {
+    this.io.on('connection', (socket) => {
+      // Organizer opens the door dashboard for an event
+      socket.on('joinCheckInDashboard', async (data) => {
+        try {
+          const { eventId, token } = data || {};
+
+          let user;
+          try {
+            user = jwt.verify(token, process.env.JWT_SECRET);
+          } catch (error) {
+            socket.emit('error', { message: 'Invalid or expired token' });
+            return;
+          }
+
+          const event = await Event.findById(eventId);
+          if (!event || event.organizer.toString() !== user.userId) {
+            socket.emit('error', { message: 'Unauthorized or event not found' });
+            return;
+          }
+
+          socket.join(this.roomName(eventId));
+          console.log(`Socket ${socket.id} joined check-in dashboard: ${this.roomName(eventId)}`);
+
+          socket.emit('checkInStats', await checkInService.getDashboardStats(event));
+        } catch (error) {
+          console.error('Error joining check-in dashboard:', error);
+          socket.emit('error', { message: 'Failed to join check-in dashboard' });
+        }
+      });
+
+      socket.on('leaveCheckInDashboard', (eventId) => {
+        socket.leave(this.roomName(eventId));
+      });
+    });
+  }
+
+  roomName(eventId) {
+    return `checkin-${eventId}`;
+  }
+
+  // Called after scans; pushes fresh stats to the organizer room at most
+  // once per interval
+  scheduleUpdate(eventId) {
+    const key = eventId.toString();
+    if (this.pendingBroadcasts.has(key)) {
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      this.pendingBroadcasts.delete(key);
+      try {
+        await this.broadcastStats(key);
+      } catch (error) {
+        console.error(`Failed to push check-in stats for event ${key}:`, error);
+      }
+    }, BROADCAST_INTERVAL_MS);
+
+    this.pendingBroadcasts.set(key, timer);
+  }
+
+  async broadcastStats(eventId) {
+    const room = this.io.sockets.adapter.rooms.get(this.roomName(eventId));
+    if (!room || room.size === 0) {
+      return;
+    }
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return;
+    }
+
+    this.io.to(this.roomName(eventId)).emit('checkInStats', await checkInService.getDashboardStats(event));
+  }
+}
+
+module.exports = CheckInDashboardSocket;
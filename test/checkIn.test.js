@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+process.env.TICKET_SIGNING_KEYS = `test:${crypto.randomBytes(32).toString('base64')}`;
+process.env.TICKET_SIGNING_KEY_ID = 'test';
+
+const Ticket = require('../models/Ticket');
+const Order = require('../models/Order');
+const ScanLog = require('../models/ScanLog');
+const ticketSigningService = require('../services/ticketSigning');
+const checkInService = require('../services/checkIn');
+
+const eventId = new mongoose.Types.ObjectId();
+
+// In-memory stand-ins for the collections check-in reads and writes. Each
+// update is applied in one step, like MongoDB's conditional updates.
+function fakeDatabase(t) {
+  const order = { _id: new mongoose.Types.ObjectId(), status: 'confirmed', paymentStatus: 'completed' };
+  const tickets = [];
+  const logs = [];
+
+  const matches = (doc, filter) => Object.entries(filter).every(([field, value]) => {
+    if (value === null) return doc[field] === null || doc[field] === undefined;
+    if (value instanceof Date) return doc[field] instanceof Date && doc[field].getTime() === value.getTime();
+    return String(doc[field]) === String(value);
+  });
+
+  t.mock.method(Ticket, 'findOne', async filter => tickets.find(ticket => matches(ticket, filter)) || null);
+  t.mock.method(Ticket, 'findById', async id => tickets.find(ticket => ticket._id.equals(id)) || null);
+  t.mock.method(Ticket, 'findOneAndUpdate', async (filter, update) => {
+    const ticket = tickets.find(candidate => matches(candidate, filter));
+    if (!ticket) return null;
+    Object.assign(ticket, update.$set);
+    return ticket;
+  });
+  t.mock.method(Ticket, 'updateOne', async (filter, update) => {
+    const ticket = tickets.find(candidate => matches(candidate, filter));
+    if (ticket) Object.assign(ticket, update.$set);
+    return { modifiedCount: ticket ? 1 : 0 };
+  });
+  t.mock.method(Order, 'findById', async id => (order._id.equals(id) ? order : null));
+  t.mock.method(ScanLog, 'create', async log => logs.push(log));
+  t.mock.method(ScanLog, 'findOne', async filter => logs.find(log => matches(log, filter)) || null);
+
+  const addTicket = fields => {
+    const ticket = {
+      _id: new mongoose.Types.ObjectId(),
+      ticketId: `TIX-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+      eventId,
+      orderId: order._id,
+      ticketTypeName: 'General',
+      holder: { firstName: 'Ada', lastName: 'Lovelace' },
+      status: 'active',
+      checkedInAt: null,
+      ...fields
+    };
+    tickets.push(ticket);
+    return ticket;
+  };
+
+  return { order, tickets, logs, addTicket };
+}
+
+function codeFor(ticket) {
+  return ticketSigningService.signTicket(ticket);
+}
+
+test('two simultaneous scans of one ticket admit it once', async t => {
+  const db = fakeDatabase(t);
+  const ticket = db.addTicket();
+
+  const results = await Promise.all([
+    checkInService.checkIn(codeFor(ticket), { eventId, deviceId: 'door-1' }),
+    checkInService.checkIn(codeFor(ticket), { eventId, deviceId: 'door-2' })
+  ]);
+
+  assert.deepEqual(results.map(result => result.result).sort(), ['admitted', 'already_checked_in']);
+  assert.deepEqual(db.logs.map(log => log.result).sort(), ['admitted', 'already_checked_in']);
+});
+
+test('a second scan later is turned away', async t => {
+  const db = fakeDatabase(t);
+  const ticket = db.addTicket();
+
+  assert.equal((await checkInService.checkIn(codeFor(ticket), { eventId })).result, 'admitted');
+  const again = await checkInService.checkIn(codeFor(ticket), { eventId });
+  assert.equal(again.result, 'already_checked_in');
+  assert.equal(again.valid, false);
+});
+
+test('unsigned ticket IDs are refused at the scanner but accepted by manual check-in', async t => {
+  const db = fakeDatabase(t);
+  const ticket = db.addTicket();
+
+  assert.equal((await checkInService.checkIn(ticket.ticketId, { eventId })).result, 'invalid_code');
+  assert.equal((await checkInService.checkInByTicketId(ticket.ticketId, { eventId })).result, 'admitted');
+  assert.equal(ticket.checkInSource, 'manual');
+});
+
+test('tickets for another event or on a refunded order are refused', async t => {
+  const db = fakeDatabase(t);
+  const ticket = db.addTicket();
+
+  const otherEvent = new mongoose.Types.ObjectId();
+  assert.equal((await checkInService.checkIn(codeFor(ticket), { eventId: otherEvent })).result, 'wrong_event');
+
+  db.order.paymentStatus = 'refunded';
+  assert.equal((await checkInService.checkIn(codeFor(ticket), { eventId })).result, 'order_refunded');
+});
+
+test('offline scans of one ticket on two devices report a duplicate entry, earliest first', async t => {
+  const db = fakeDatabase(t);
+  const ticket = db.addTicket();
+  const early = new Date('2024-06-12T19:00:00Z');
+  const late = new Date('2024-06-12T19:05:00Z');
+
+  const first = await checkInService.syncOfflineScans(eventId, {
+    deviceId: 'door-2',
+    scans: [{ code: codeFor(ticket), result: 'admitted', scannedAt: late.toISOString() }]
+  });
+  assert.equal(first.merged, 1);
+
+  const second = await checkInService.syncOfflineScans(eventId, {
+    deviceId: 'door-1',
+    scans: [{ code: codeFor(ticket), result: 'admitted', scannedAt: early.toISOString() }]
+  });
+
+  assert.equal(second.merged, 0);
+  assert.equal(second.duplicates.length, 1);
+  assert.deepEqual(second.duplicates[0].firstEntry, { scannedAt: early, deviceId: 'door-1', source: 'offline' });
+  assert.equal(second.duplicates[0].duplicateEntry.deviceId, 'door-2');
+  assert.equal(ticket.checkedInAt.getTime(), early.getTime());
+  assert.equal(ticket.checkInDevice, 'door-1');
+});
+
+test('re-sending the same offline batch changes nothing', async t => {
+  const db = fakeDatabase(t);
+  const ticket = db.addTicket();
+  const batch = {
+    deviceId: 'door-1',
+    scans: [{ code: codeFor(ticket), result: 'admitted', scannedAt: '2024-06-12T19:00:00Z' }]
+  };
+
+  assert.equal((await checkInService.syncOfflineScans(eventId, batch)).merged, 1);
+  const resent = await checkInService.syncOfflineScans(eventId, batch);
+
+  assert.equal(resent.merged, 0);
+  assert.equal(resent.alreadySynced, 1);
+  assert.equal(resent.duplicates.length, 0);
+  assert.equal(db.logs.length, 1);
+});
+
+test('offline scans carrying a bare ticket ID are not admitted', async t => {
+  const db = fakeDatabase(t);
+  const ticket = db.addTicket();
+
+  const report = await checkInService.syncOfflineScans(eventId, {
+    deviceId: 'door-1',
+    scans: [{ ticketId: ticket.ticketId, result: 'admitted', scannedAt: '2024-06-12T19:00:00Z' }]
+  });
+
+  assert.equal(report.merged, 0);
+  assert.deepEqual(report.invalidAdmissions.map(admission => admission.result), ['invalid_code']);
+  assert.equal(ticket.checkedInAt, null);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Order = require('../models/Order');
+const inventoryService = require('../services/inventory');
+
+// In-memory stand-ins for the event and order updates the inventory service
+// makes. Each update is applied in one step, like MongoDB's: a conditional
+// increment only goes through while the type has room for it.
+function fakeDatabase(t, ticketTypes) {
+  const event = new Event({ name: 'Launch party', ticketTypes });
+  const orders = [];
+
+  const typeFor = options => event.ticketTypes.id(options.arrayFilters[0]['type._id']);
+
+  t.mock.method(Event, 'updateOne', async (filter, update, options) => {
+    const type = typeFor(options);
+    const changes = Object.entries(update.$inc).map(([path, amount]) => [path.split('.').pop(), amount]);
+
+    if (filter.$expr) {
+      const requested = changes.reduce((sum, [, amount]) => sum + amount, 0);
+      if ((type.sold || 0) + (type.reserved || 0) + requested > type.quantity) {
+        return { matchedCount: 0, modifiedCount: 0 };
+      }
+    }
+
+    for (const [field, amount] of changes) {
+      type[field] = (type[field] || 0) + amount;
+    }
+    return { matchedCount: 1, modifiedCount: 1 };
+  });
+  t.mock.method(Event, 'findById', () => Object.assign(Promise.resolve(event), { select: async () => event }));
+
+  t.mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+    const order = orders.find(candidate => candidate._id.equals(filter._id) && filter.inventoryStatus.$in.includes(candidate.inventoryStatus));
+    if (!order) return null;
+    const previous = { ...order };
+    Object.assign(order, update.$set);
+    return previous;
+  });
+  t.mock.method(Order, 'find', filter => ({
+    limit: async () => orders.filter(order => order.inventoryStatus === filter.inventoryStatus && order.holdExpiresAt <= filter.holdExpiresAt.$lte)
+  }));
+  t.mock.method(Order, 'updateOne', async () => ({ modifiedCount: 1 }));
+  t.mock.method(inventoryService, 'offerToWaitlist', async () => {});
+
+  const addOrder = (lines, inventory) => {
+    const order = { _id: new mongoose.Types.ObjectId(), eventId: event._id, tickets: lines, refunds: [], ...inventory };
+    orders.push(order);
+    return order;
+  };
+
+  return { event, addOrder };
+}
+
+function line(ticketType, quantity) {
+  return { ticketTypeId: ticketType._id.toString(), name: ticketType.name, quantity };
+}
+
+test('two buyers racing for the last ticket: one gets it, the other is told it sold out', async t => {
+  const { event } = fakeDatabase(t, [{ name: 'General', price: 100, quantity: 10, sold: 9 }]);
+  const [general] = event.ticketTypes;
+
+  const results = await Promise.allSettled([
+    inventoryService.reserve(event, [line(general, 1)], 'card'),
+    inventoryService.reserve(event, [line(general, 1)], 'card')
+  ]);
+
+  const [won, lost] = results[0].status === 'fulfilled' ? results : [...results].reverse();
+  assert.equal(won.status, 'fulfilled');
+  assert.equal(won.value.inventoryStatus, 'held');
+  assert.equal(lost.status, 'rejected');
+  assert.equal(lost.reason.statusCode, 409);
+  assert.deepEqual({ available: lost.reason.details.available, requested: lost.reason.details.requested }, { available: 0, requested: 1 });
+  assert.equal(general.reserved, 1);
+  assert.equal(inventoryService.available(general), 0);
+});
+
+test('an order that can only partly be filled takes nothing', async t => {
+  const { event } = fakeDatabase(t, [
+    { name: 'General', price: 100, quantity: 10 },
+    { name: 'VIP', price: 500, quantity: 2, sold: 2 }
+  ]);
+  const [general, vip] = event.ticketTypes;
+
+  await assert.rejects(inventoryService.reserve(event, [line(general, 3), line(vip, 1)], 'card'), { statusCode: 409 });
+  assert.equal(general.reserved, 0);
+  assert.equal(vip.reserved || 0, 0);
+});
+
+test('holds are given a payment-method specific expiry', async t => {
+  const { event } = fakeDatabase(t, [{ name: 'General', price: 100, quantity: 10 }]);
+  const before = Date.now();
+
+  const card = await inventoryService.reserve(event, [line(event.ticketTypes[0], 1)], 'card');
+  const juice = await inventoryService.reserve(event, [line(event.ticketTypes[0], 1)], 'mcb-juice');
+
+  assert.ok(card.holdExpiresAt.getTime() - before >= 30 * 60 * 1000);
+  assert.ok(card.holdExpiresAt.getTime() - before < 31 * 60 * 1000);
+  assert.ok(juice.holdExpiresAt.getTime() - before >= 24 * 60 * 60 * 1000);
+});
+
+test('expired holds go back on sale once', async t => {
+  const { event, addOrder } = fakeDatabase(t, [{ name: 'General', price: 100, quantity: 10, reserved: 5 }]);
+  const [general] = event.ticketTypes;
+  const expired = addOrder([line(general, 3)], { inventoryStatus: 'held', holdExpiresAt: new Date(Date.now() - 1000) });
+  addOrder([line(general, 2)], { inventoryStatus: 'held', holdExpiresAt: new Date(Date.now() + 60 * 1000) });
+
+  assert.equal(await inventoryService.releaseExpiredHolds(), 1);
+  assert.equal(general.reserved, 2);
+  assert.equal(expired.inventoryStatus, 'released');
+
+  assert.equal(await inventoryService.releaseExpiredHolds(), 0);
+  assert.equal(general.reserved, 2);
+});
+
+test('paying after the hold expired takes the stock again, or oversells when it is gone', async t => {
+  const { event, addOrder } = fakeDatabase(t, [{ name: 'General', price: 100, quantity: 3, sold: 1 }]);
+  const [general] = event.ticketTypes;
+
+  const lateOne = addOrder([line(general, 1)], { inventoryStatus: 'released' });
+  assert.deepEqual(await inventoryService.commit(lateOne), { committed: true, oversold: false });
+  assert.equal(general.sold, 2);
+
+  general.sold = 3;
+  const lateTwo = addOrder([line(general, 1)], { inventoryStatus: 'released' });
+  assert.deepEqual(await inventoryService.commit(lateTwo), { committed: true, oversold: true });
+  assert.equal(general.sold, 4);
+
+  // Committing twice does nothing the second time
+  assert.deepEqual(await inventoryService.commit(lateTwo), { committed: false });
+});
+
+test('a held order that gets paid turns its hold into a sale', async t => {
+  const { event, addOrder } = fakeDatabase(t, [{ name: 'General', price: 100, quantity: 10, reserved: 2 }]);
+  const [general] = event.ticketTypes;
+  const order = addOrder([line(general, 2)], { inventoryStatus: 'held', holdExpiresAt: new Date(Date.now() + 60 * 1000) });
+
+  await inventoryService.commit(order);
+  assert.equal(general.reserved, 0);
+  assert.equal(general.sold, 2);
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Ticket = require('../models/Ticket');
+const inventoryService = require('../services/inventory');
+const promoCodeService = require('../services/promoCodes');
+const jobQueue = require('../services/jobQueue');
+const ticketGeneratorService = require('../services/ticketGenerator');
+const orderStateMachine = require('../services/orderStateMachine');
+
+const STATUSES = [
+  'pending', 'pending_verification', 'pending_auto_approval', 'pending_quick_review',
+  'pending_whatsapp_verification', 'completed', 'failed', 'refunded'
+];
+
+const ALLOWED = [
+  ['pending', 'pending_verification'],
+  ['pending', 'pending_whatsapp_verification'],
+  ['pending', 'completed'],
+  ['pending', 'failed'],
+  ['pending_verification', 'pending_auto_approval'],
+  ['pending_verification', 'pending_quick_review'],
+  ['pending_verification', 'completed'],
+  ['pending_verification', 'failed'],
+  ['pending_auto_approval', 'pending_quick_review'],
+  ['pending_auto_approval', 'completed'],
+  ['pending_auto_approval', 'failed'],
+  ['pending_quick_review', 'completed'],
+  ['pending_quick_review', 'failed'],
+  ['pending_whatsapp_verification', 'completed'],
+  ['pending_whatsapp_verification', 'failed'],
+  ['completed', 'refunded'],
+  ['failed', 'completed']
+];
+
+// A stored order whose conditional updates behave like MongoDB's, with every
+// side effect recorded instead of run
+function fakeOrder(t, paymentStatus) {
+  const stored = { _id: new mongoose.Types.ObjectId(), eventId: new mongoose.Types.ObjectId(), paymentStatus, statusHistory: [] };
+  const effects = [];
+
+  t.mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+    if (!stored._id.equals(filter._id) || stored.paymentStatus !== filter.paymentStatus) return null;
+    Object.assign(stored, update.$set);
+    stored.statusHistory.push(update.$push.statusHistory);
+    return { ...stored };
+  });
+  t.mock.method(inventoryService, 'release', async () => effects.push('inventory.release'));
+  t.mock.method(promoCodeService, 'release', async () => effects.push('promoCodes.release'));
+  t.mock.method(promoCodeService, 'reclaim', async () => effects.push('promoCodes.reclaim'));
+  t.mock.method(jobQueue, 'enqueue', async name => effects.push(name));
+  t.mock.method(Ticket, 'find', async () => [{ ticketId: 'TIX-1' }, { ticketId: 'TIX-2' }]);
+  t.mock.method(ticketGeneratorService, 'voidTicket', async ticket => effects.push(`void ${ticket.ticketId}`));
+
+  return { order: new Order({ _id: stored._id, eventId: stored.eventId, paymentStatus }), stored, effects };
+}
+
+test('only the listed status changes are allowed', () => {
+  for (const from of STATUSES) {
+    for (const to of STATUSES) {
+      const allowed = ALLOWED.some(([a, b]) => a === from && b === to);
+      assert.equal(orderStateMachine.canTransition(from, to), allowed, `${from} -> ${to}`);
+    }
+  }
+  assert.deepEqual(orderStateMachine.allowedTransitions('refunded'), []);
+  assert.deepEqual(orderStateMachine.allowedTransitions('nonsense'), []);
+});
+
+test('an allowed change is stored with its history', async t => {
+  const { order, stored } = fakeOrder(t, 'pending_quick_review');
+  const actor = new mongoose.Types.ObjectId();
+
+  const updated = await orderStateMachine.transition(order, 'completed', { actor, reason: 'Receipt checked', set: { verifiedBy: actor } });
+
+  assert.equal(updated.paymentStatus, 'completed');
+  assert.equal(order.paymentStatus, 'completed');
+  assert.equal(stored.verifiedBy, actor);
+  assert.equal(stored.statusHistory.length, 1);
+  assert.deepEqual(
+    { from: stored.statusHistory[0].from, to: stored.statusHistory[0].to, actor: stored.statusHistory[0].actor, reason: stored.statusHistory[0].reason },
+    { from: 'pending_quick_review', to: 'completed', actor, reason: 'Receipt checked' }
+  );
+});
+
+test('a change that is not allowed is refused with the allowed ones', async t => {
+  const { order, stored } = fakeOrder(t, 'refunded');
+
+  await assert.rejects(orderStateMachine.transition(order, 'completed'), error => {
+    assert.equal(error.statusCode, 409);
+    assert.deepEqual(error.details, { from: 'refunded', to: 'completed', allowed: [] });
+    return true;
+  });
+  assert.equal(stored.paymentStatus, 'refunded');
+  assert.equal(Order.findOneAndUpdate.mock.callCount(), 0);
+});
+
+test('an unknown status is refused', async t => {
+  const { order } = fakeOrder(t, 'pending');
+  await assert.rejects(orderStateMachine.transition(order, 'shipped'), { statusCode: 400 });
+});
+
+test('of two concurrent changes only the first applies', async t => {
+  const { order, stored } = fakeOrder(t, 'pending_quick_review');
+  const sameOrder = new Order({ _id: order._id, eventId: order.eventId, paymentStatus: 'pending_quick_review' });
+
+  const results = await Promise.allSettled([
+    orderStateMachine.transition(order, 'completed'),
+    orderStateMachine.transition(sameOrder, 'failed')
+  ]);
+
+  assert.equal(results[0].status, 'fulfilled');
+  assert.equal(results[1].status, 'rejected');
+  assert.equal(results[1].reason.statusCode, 409);
+  assert.equal(stored.paymentStatus, 'completed');
+});
+
+test('completing an order queues its tickets', async t => {
+  const { order, effects } = fakeOrder(t, 'pending');
+  await orderStateMachine.transition(order, 'completed', { notifyWhatsApp: true });
+
+  assert.deepEqual(effects, ['orders.sendTickets', 'orders.sendWhatsAppConfirmation']);
+});
+
+test('failing an order gives back its tickets and promo code uses', async t => {
+  const { order, effects } = fakeOrder(t, 'pending_verification');
+  await orderStateMachine.transition(order, 'failed');
+
+  assert.deepEqual(effects, ['inventory.release', 'promoCodes.release']);
+});
+
+test('approving a failed order reclaims its promo code uses first', async t => {
+  const { order, effects } = fakeOrder(t, 'failed');
+  await orderStateMachine.transition(order, 'completed');
+
+  assert.deepEqual(effects, ['promoCodes.reclaim', 'orders.sendTickets']);
+});
+
+test('refunding an order voids its tickets', async t => {
+  const { order, effects } = fakeOrder(t, 'completed');
+  await orderStateMachine.transition(order, 'refunded');
+
+  assert.deepEqual(effects, ['inventory.release', 'promoCodes.release', 'void TIX-1', 'void TIX-2']);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Event = require('../models/Event');
+const pricingService = require('../services/pricing');
+
+function makeEvent(fields = {}) {
+  return new Event({
+    name: 'Launch party',
+    ticketTypes: [
+      { name: 'General', price: 500, quantity: 100 },
+      { name: 'VIP', price: 1500, quantity: 20 }
+    ],
+    ...fields
+  });
+}
+
+function line(event, index, quantity) {
+  return { ticketTypeId: event.ticketTypes[index]._id.toString(), quantity };
+}
+
+test('the quote is priced from the event, not the request', () => {
+  const event = makeEvent();
+  const quote = pricingService.quote(event, [
+    { ...line(event, 0, 2), price: 1 },
+    line(event, 1, 1)
+  ]);
+
+  assert.deepEqual(quote.tickets.map(ticket => [ticket.name, ticket.price, ticket.quantity]), [['General', 500, 2], ['VIP', 1500, 1]]);
+  assert.equal(quote.subtotal, 2500);
+  assert.equal(quote.totalAmount, 2500);
+  assert.equal(quote.feeTotal, 0);
+});
+
+test('discounts stack, only touch their ticket types and stop at zero', () => {
+  const event = makeEvent();
+  const vipId = event.ticketTypes[1]._id.toString();
+
+  const quote = pricingService.quote(event, [line(event, 0, 2), line(event, 1, 1)], {
+    discounts: [
+      { code: 'VIP10', type: 'percent', value: 10, ticketTypeIds: [vipId] },
+      { code: 'BIG', type: 'fixed', value: 5000 }
+    ]
+  });
+
+  assert.deepEqual(quote.discounts.map(discount => [discount.code, discount.amount]), [['VIP10', 150], ['BIG', 2350]]);
+  assert.equal(quote.discountTotal, 2500);
+  assert.equal(quote.totalAmount, 0);
+});
+
+test('a required promo code that matches none of the tickets is refused', () => {
+  const event = makeEvent();
+
+  assert.throws(() => pricingService.quote(event, [line(event, 0, 1)], {
+    discounts: [{ code: 'VIPONLY', type: 'percent', value: 20, ticketTypeIds: [event.ticketTypes[1]._id.toString()], required: true }]
+  }), { statusCode: 400 });
+});
+
+test('fees are charged on the discounted subtotal and per paid ticket', () => {
+  const event = makeEvent({ feeSettings: { percent: 5, fixedPerTicket: 10 } });
+
+  const quote = pricingService.quote(event, [line(event, 0, 2)], {
+    discounts: [{ code: 'HALF', type: 'percent', value: 50 }]
+  });
+
+  assert.equal(quote.subtotal, 1000);
+  assert.equal(quote.discountTotal, 500);
+  assert.equal(quote.feeTotal, 45);
+  assert.equal(quote.feesPassedToBuyer, true);
+  assert.equal(quote.totalAmount, 545);
+});
+
+test('fees absorbed by the organizer are not added to the total', () => {
+  const event = makeEvent({ feeSettings: { percent: 5, passToBuyer: false } });
+  const quote = pricingService.quote(event, [line(event, 0, 2)]);
+
+  assert.equal(quote.feeTotal, 50);
+  assert.equal(quote.feesPassedToBuyer, false);
+  assert.equal(quote.totalAmount, 1000);
+});
+
+test('free orders carry no fee', () => {
+  const event = makeEvent({ feeSettings: { percent: 5, fixedPerTicket: 10 } });
+  const quote = pricingService.quote(event, [line(event, 0, 1)], {
+    discounts: [{ code: 'COMP', type: 'percent', value: 100 }]
+  });
+
+  assert.equal(quote.feeTotal, 0);
+  assert.equal(quote.totalAmount, 0);
+});
+
+test('a submitted total that differs from the quote is refused with the right quote', () => {
+  const event = makeEvent();
+  const requested = [line(event, 0, 2)];
+
+  assert.equal(pricingService.priceOrder(event, requested, '1000.004').totalAmount, 1000);
+
+  assert.throws(() => pricingService.priceOrder(event, requested, 900), error => {
+    assert.equal(error.statusCode, 409);
+    assert.equal(error.details.submittedTotal, 900);
+    assert.equal(error.details.expectedTotal, 1000);
+    return true;
+  });
+  assert.throws(() => pricingService.priceOrder(event, requested, undefined), error => {
+    assert.equal(error.details.submittedTotal, null);
+    return true;
+  });
+});
+
+test('the same ticket type requested twice is priced as one line', () => {
+  const event = makeEvent();
+  const quote = pricingService.quote(event, [line(event, 0, 1), line(event, 0, 2)]);
+
+  assert.deepEqual(quote.tickets.map(ticket => [ticket.name, ticket.quantity]), [['General', 3]]);
+  assert.equal(quote.subtotal, 1500);
+});
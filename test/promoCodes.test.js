@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const PromoCode = require('../models/PromoCode');
+const Order = require('../models/Order');
+const promoCodeService = require('../services/promoCodes');
+
+const event = { _id: new mongoose.Types.ObjectId(), ticketTypes: [] };
+
+// In-memory promo codes whose updates apply in one step, like MongoDB's: a
+// use is only counted while the code is under its cap
+function fakePromoCodes(t, ...codes) {
+  const promos = codes.map(fields => ({ _id: new mongoose.Types.ObjectId(), active: true, usedCount: 0, maxUses: null, ticketTypeIds: [], ...fields }));
+  const byId = id => promos.find(promo => promo._id.equals(id));
+
+  t.mock.method(PromoCode, 'findOneAndUpdate', async (filter, update) => {
+    const promo = byId(filter._id);
+    if (!promo || (promo.maxUses !== null && promo.usedCount >= promo.maxUses)) return null;
+    promo.usedCount += update.$inc.usedCount;
+    return promo;
+  });
+  t.mock.method(PromoCode, 'updateMany', async (filter, update) => {
+    const matched = filter._id.$in.map(byId).filter(promo => !filter.usedCount || promo.usedCount > filter.usedCount.$gt);
+    matched.forEach(promo => { promo.usedCount += update.$inc.usedCount; });
+    return { modifiedCount: matched.length };
+  });
+
+  return promos;
+}
+
+function orderUsing(...promos) {
+  return {
+    pricing: {
+      discounts: promos.map(promo => ({ promoCodeId: promo._id, code: promo.code, amount: 100 }))
+    }
+  };
+}
+
+test('the last use of a capped code goes to only one of two racing orders', async t => {
+  const [promo] = fakePromoCodes(t, { code: 'LAST', maxUses: 5, usedCount: 4 });
+
+  const results = await Promise.allSettled([
+    promoCodeService.redeem(orderUsing(promo)),
+    promoCodeService.redeem(orderUsing(promo))
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find(result => result.status === 'rejected').reason.statusCode, 409);
+  assert.equal(promo.usedCount, 5);
+});
+
+test('an order whose second code is used up gives back the first', async t => {
+  const [open, full] = fakePromoCodes(t, { code: 'OPEN' }, { code: 'FULL', maxUses: 1, usedCount: 1 });
+
+  await assert.rejects(promoCodeService.redeem(orderUsing(open, full)), { statusCode: 409, message: /FULL/ });
+  assert.equal(open.usedCount, 0);
+  assert.equal(full.usedCount, 1);
+});
+
+test('uncapped codes can be used any number of times', async t => {
+  const [promo] = fakePromoCodes(t, { code: 'ALWAYS', usedCount: 1000 });
+
+  await promoCodeService.redeem(orderUsing(promo));
+  assert.equal(promo.usedCount, 1001);
+});
+
+test('a failed order frees its use, and reclaims it past the cap if paid after all', async t => {
+  const [promo] = fakePromoCodes(t, { code: 'LAST', maxUses: 1 });
+  const order = orderUsing(promo);
+
+  await promoCodeService.redeem(order);
+  await promoCodeService.release(order);
+  assert.equal(promo.usedCount, 0);
+
+  // Someone else takes the freed use before the late payment arrives
+  await promoCodeService.redeem(orderUsing(promo));
+  await promoCodeService.reclaim(order);
+  assert.equal(promo.usedCount, 2);
+});
+
+test('releasing never takes a count below zero', async t => {
+  const [promo] = fakePromoCodes(t, { code: 'ZERO' });
+
+  await promoCodeService.release(orderUsing(promo));
+  assert.equal(promo.usedCount, 0);
+});
+
+test('codes over their total or per-customer limit are refused at checkout', async t => {
+  const [usedUp, perCustomer] = fakePromoCodes(t,
+    { code: 'USEDUP', maxUses: 10, usedCount: 10 },
+    { code: 'ONCE', maxUsesPerCustomer: 1 });
+  t.mock.method(Order, 'countDocuments', async filter => (filter['customerInfo.email'].test('ADA@example.com') ? 1 : 0));
+
+  await assert.rejects(promoCodeService.validate(usedUp, event), { statusCode: 400, message: /usage limit/ });
+  await assert.rejects(promoCodeService.validate(perCustomer, event, { email: 'ada@example.com ' }), { statusCode: 400, message: /already used/ });
+  await promoCodeService.validate(perCustomer, event, { email: 'grace@example.com' });
+});
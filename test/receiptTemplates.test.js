@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const receiptVerificationService = require('../services/receiptVerification');
+
+// OCR text of a transfer receipt from each banking app, with what its
+// template should read from it and how far each field can be trusted
+const samples = [
+  {
+    file: 'mcb-juice.txt',
+    template: 'mcb-juice',
+    templateConfidence: 75,
+    fields: { amount: 1500, reference: 'TCK123456', transactionId: 'JU24061200123', date: '12/06/2024', time: '14:32', recipient: '+230 5123 4567' },
+    fieldConfidence: { amount: 95, reference: 95, transactionId: 90, date: 90, time: 70, recipient: 90 }
+  },
+  {
+    file: 'sbm.txt',
+    template: 'sbm',
+    templateConfidence: 75,
+    fields: { amount: 750, reference: 'TCK998877', transactionId: 'FT24164ABC123', date: '12 Jun 2024', time: '09:15 AM', recipient: '00012345678901' },
+    fieldConfidence: { amount: 95, reference: 95, transactionId: 90, date: 90, time: 70, recipient: 90 }
+  },
+  {
+    file: 'maubank.txt',
+    template: 'maubank',
+    templateConfidence: 100,
+    fields: { amount: 2000, reference: 'TCK555111', transactionId: 'MB2024061299', date: '12-06-2024', time: null, recipient: '000444555666' },
+    fieldConfidence: { amount: 80, reference: 95, transactionId: 90, date: 90, time: 0, recipient: 90 }
+  },
+  {
+    file: 'absa.txt',
+    template: 'absa',
+    templateConfidence: 100,
+    fields: { amount: 300, reference: 'TCK42424242', transactionId: 'AB77889900', date: '12/06/2024', time: null, recipient: '5987 6543' },
+    fieldConfidence: { amount: 95, reference: 95, transactionId: 90, date: 90, time: 0, recipient: 85 }
+  },
+  {
+    file: 'myt-money.txt',
+    template: 'myt-money',
+    templateConfidence: 75,
+    fields: { amount: 120, reference: 'TCK1010', transactionId: 'MT0099887766', date: '12/06/24', time: '10:01', recipient: '5765 4321' },
+    fieldConfidence: { amount: 95, reference: 95, transactionId: 90, date: 90, time: 70, recipient: 90 }
+  },
+  {
+    file: 'unrecognised.txt',
+    template: 'generic',
+    templateConfidence: 0,
+    fields: { amount: 150, reference: 'TCK777', transactionId: '1234ABCD5678', date: null, time: null, recipient: null },
+    fieldConfidence: { amount: 60, reference: 70, transactionId: 50, date: 0, time: 0, recipient: 0 }
+  }
+];
+
+function readSample(file) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'receipts', file), 'utf8');
+}
+
+for (const sample of samples) {
+  test(`reads a ${sample.template} receipt (${sample.file})`, () => {
+    const receiptData = receiptVerificationService.parseReceiptData(readSample(sample.file));
+
+    assert.equal(receiptData.template, sample.template);
+    assert.equal(receiptData.templateConfidence, sample.templateConfidence);
+    for (const [field, value] of Object.entries(sample.fields)) {
+      assert.equal(receiptData[field], value, `${field} value`);
+    }
+    assert.deepEqual(receiptData.fieldConfidence, sample.fieldConfidence);
+  });
+}
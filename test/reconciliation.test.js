@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const reconciliationService = require('../services/reconciliation');
+
+function readStatement(file) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'statements', file));
+}
+
+function day(text) {
+  return new Date(`${text}T00:00:00Z`);
+}
+
+test('reads credits from a bank CSV with account details above the header and separate debit and credit columns', () => {
+  const { format, lines, skipped } = reconciliationService.parseStatement(readStatement('mcb.csv'), 'statement.csv');
+
+  assert.equal(format, 'csv');
+  assert.equal(skipped, 1);
+  assert.deepEqual(lines, [
+    { line: 6, date: day('2024-06-12'), amount: 1500, reference: 'TCK123456', description: 'JUICE TRANSFER FROM A LOVELACE' },
+    { line: 8, date: day('2024-06-14'), amount: 750, reference: '', description: 'INWARD TRANSFER, G HOPPER' }
+  ]);
+});
+
+test('reads a semicolon-separated export whose direction is in a Cr/Dr column', () => {
+  const { lines, skipped } = reconciliationService.parseStatement(readStatement('juice.csv'), 'juice.csv');
+
+  assert.equal(skipped, 1);
+  assert.deepEqual(lines, [
+    { line: 2, date: day('2024-06-12'), amount: 1200, reference: '', description: 'Payment from 5123 4567 ref TCK998877' }
+  ]);
+});
+
+test('reads credits from an OFX export with unclosed tags', () => {
+  const { format, lines, skipped } = reconciliationService.parseStatement(readStatement('maubank.ofx'), 'statement');
+
+  assert.equal(format, 'ofx');
+  assert.equal(skipped, 1);
+  assert.deepEqual(lines, [
+    { line: 1, date: day('2024-06-12'), amount: 2000, reference: 'MB2024061299', description: 'A LOVELACE TCK555111' },
+    { line: 3, date: day('2024-06-14'), amount: 300, reference: 'TCK42424242', description: '' }
+  ]);
+});
+
+test('a statement without date and amount columns is refused', () => {
+  assert.throws(() => reconciliationService.parseStatement(Buffer.from('Name,Balance\nA,100\n'), 'statement.csv'), { statusCode: 400 });
+});
+
+test('debit and direction columns are never read as credits', () => {
+  const columns = reconciliationService.csvColumns(['Date', 'Debit/Credit', 'Amount', 'Withdrawals', 'Deposits', 'Narrative']);
+
+  assert.equal(columns.type, 1);
+  assert.equal(columns.amount, 2);
+  assert.equal(columns.debit, 3);
+  assert.equal(columns.credit, 4);
+  assert.deepEqual(columns.text, [5]);
+});
+
+test('amounts and day-first dates in the formats banks export', () => {
+  assert.equal(reconciliationService.parseAmount('Rs 1,250.00'), 1250);
+  assert.equal(reconciliationService.parseAmount('(500.00)'), -500);
+  assert.equal(reconciliationService.parseAmount('-500'), -500);
+  assert.equal(reconciliationService.parseAmount(''), null);
+
+  assert.deepEqual(reconciliationService.parseDate('02/03/2024'), day('2024-03-02'));
+  assert.deepEqual(reconciliationService.parseDate('02.03.24'), day('2024-03-02'));
+  assert.deepEqual(reconciliationService.parseDate('2 March 2024'), day('2024-03-02'));
+  assert.deepEqual(reconciliationService.parseDate('20240302120000[+4:MUT]'), day('2024-03-02'));
+  assert.equal(reconciliationService.parseDate('yesterday'), null);
+});
+
+test('credits are matched by reference and amount, then by amount alone', () => {
+  const order = (orderNumber, totalAmount, fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    orderNumber,
+    totalAmount,
+    createdAt: day('2024-06-11'),
+    ...fields
+  });
+  const lovelace = order('TCK123456', 1500);
+  const hopper = order('TCK777001', 750);
+  const twins = [order('TCK888001', 400), order('TCK888002', 400)];
+  const { lines } = reconciliationService.parseStatement(readStatement('mcb.csv'), 'statement.csv');
+  const extra = [
+    { line: 20, date: day('2024-06-12'), amount: 400, reference: '', description: '' },
+    { line: 21, date: day('2024-06-30'), amount: 1500, reference: 'TCK123456', description: '' }
+  ];
+
+  const results = reconciliationService.match([...lines, ...extra], [lovelace, hopper, ...twins]);
+
+  assert.deepEqual(results.map(result => [result.line, result.status, result.orderId]), [
+    [6, 'matched', lovelace._id],
+    [8, 'probable', hopper._id],
+    [20, 'ambiguous', undefined],
+    [21, 'unmatched', undefined]
+  ]);
+  assert.deepEqual(results[2].candidateOrderIds, twins.map(twin => twin._id));
+});
+
+test('two credits claiming the same order are both left for the organizer', () => {
+  const order = { _id: new mongoose.Types.ObjectId(), orderNumber: 'TCK123456', totalAmount: 1500, createdAt: day('2024-06-11') };
+  const line = { date: day('2024-06-12'), amount: 1500, reference: 'TCK123456', description: '' };
+
+  const results = reconciliationService.match([{ ...line, line: 1 }, { ...line, line: 2 }], [order]);
+
+  assert.deepEqual(results.map(result => result.status), ['ambiguous', 'ambiguous']);
+  assert.match(results[0].reason, /line\(s\) 2/);
+});
+
+test('the exported report cannot smuggle spreadsheet formulas', () => {
+  const csv = reconciliationService.toCsv({
+    lines: [{
+      line: 1,
+      date: day('2024-06-12'),
+      amount: -12.5,
+      reference: '=HYPERLINK("http://example.com")',
+      description: '@SUM(A1:A2), "quoted"',
+      status: 'unmatched',
+      reason: '+1 payment',
+      candidateOrderIds: []
+    }]
+  });
+
+  const [, row] = csv.split('\n');
+  assert.equal(row, '1,2024-06-12T00:00:00.000Z,-12.5,"\'=HYPERLINK(""http://example.com"")","\'@SUM(A1:A2), ""quoted""",unmatched,\'+1 payment,,,,');
+});
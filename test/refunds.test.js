@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Ticket = require('../models/Ticket');
+const TicketTransfer = require('../models/TicketTransfer');
+const inventoryService = require('../services/inventory');
+const orderStateMachine = require('../services/orderStateMachine');
+const ticketGeneratorService = require('../services/ticketGenerator');
+const jobQueue = require('../services/jobQueue');
+const cardProvider = require('../services/payments/card');
+const refundService = require('../services/refunds');
+
+const event = { _id: new mongoose.Types.ObjectId() };
+
+// A paid order for three tickets (2 x 500, 1 x 1000) with a 10% discount and
+// a 60 fee passed to the buyer: 2000 - 200 + 60 = 1860. Refund writes are
+// applied to it the way MongoDB's conditional updates would be.
+function fakeOrder(t, { prices = [500, 500, 1000], ...fields } = {}) {
+  const order = new Order({
+    paymentMethod: 'mcb-juice',
+    paymentStatus: 'completed',
+    totalAmount: 1860,
+    pricing: { subtotal: 2000, discountTotal: 200, feeTotal: 60 },
+    ...fields
+  });
+  const tickets = prices.map((price, index) => ({
+    _id: new mongoose.Types.ObjectId(),
+    ticketId: `TIX-${index + 1}`,
+    ticketTypeId: new mongoose.Types.ObjectId(),
+    price,
+    status: 'active',
+    checkedInAt: null
+  }));
+  const effects = [];
+
+  t.mock.method(Order, 'findOneAndUpdate', async (filter, update) => {
+    const balance = order.refundedAmount || 0;
+    const expected = filter.refundedAmount.$in ? 0 : filter.refundedAmount;
+    if (order.paymentStatus !== filter.paymentStatus || balance !== expected) return null;
+    order.refunds.push(update.$push.refunds);
+    order.refundedAmount = balance + update.$inc.refundedAmount;
+    return order;
+  });
+  t.mock.method(Order, 'updateOne', async (filter, update) => {
+    if (update.$pull) {
+      order.refunds.pull(update.$pull.refunds._id);
+      order.refundedAmount += update.$inc.refundedAmount;
+    }
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(Ticket, 'find', () => ({ sort: async () => tickets.filter(ticket => ticket.status === 'active') }));
+  t.mock.method(ticketGeneratorService, 'voidTicket', async ticket => { ticket.status = 'void'; });
+  t.mock.method(TicketTransfer, 'updateMany', async () => ({ modifiedCount: 0 }));
+  t.mock.method(inventoryService, 'returnTickets', async (_order, returned) => effects.push(`return ${returned.length}`));
+  t.mock.method(orderStateMachine, 'transition', async (_order, to) => {
+    effects.push(to);
+    order.paymentStatus = to;
+    return order;
+  });
+  t.mock.method(jobQueue, 'enqueue', async () => {});
+
+  return { order, tickets, effects };
+}
+
+test('a ticket is worth its share of the discounted total and fees', () => {
+  const order = { totalAmount: 1860, pricing: { subtotal: 2000 } };
+
+  assert.equal(refundService.ticketsValue(order, [{ price: 500 }]), 465);
+  assert.equal(refundService.ticketsValue(order, [{ price: 500 }, { price: 1000 }]), 1395);
+  assert.equal(refundService.ticketsValue({ totalAmount: 0, pricing: { subtotal: 0 } }, [{ price: 0 }]), 0);
+});
+
+test('refunding some tickets pays back their share and returns them to sale', async t => {
+  const { order, tickets, effects } = fakeOrder(t);
+
+  const { refund } = await refundService.refund(order, event, { ticketIds: ['TIX-1'], reference: 'JU-1' });
+
+  assert.equal(refund.amount, 465);
+  assert.equal(refund.full, false);
+  assert.equal(order.refundedAmount, 465);
+  assert.equal(refundService.refundableAmount(order), 1395);
+  assert.equal(tickets[0].status, 'void');
+  assert.equal(order.paymentStatus, 'completed');
+  assert.deepEqual(effects, ['return 1']);
+});
+
+test('refunding the last tickets pays back the whole balance and refunds the order', async t => {
+  const { order, effects } = fakeOrder(t, { prices: [500, 500, 500], totalAmount: 1000, pricing: { subtotal: 1500 } });
+
+  // Each ticket's share rounds to 333.33; the last refund takes the cent left over
+  await refundService.refund(order, event, { ticketIds: ['TIX-1'], reference: 'JU-1' });
+  await refundService.refund(order, event, { ticketIds: ['TIX-2'], reference: 'JU-2' });
+  const { refund } = await refundService.refund(order, event, { reference: 'JU-3' });
+
+  assert.equal(refund.full, true);
+  assert.equal(refund.amount, 333.34);
+  assert.equal(order.refundedAmount, 1000);
+  assert.equal(refundService.refundableAmount(order), 0);
+  assert.deepEqual(effects, ['return 1', 'return 1', 'refunded']);
+});
+
+test('refunds larger than the balance, of used tickets or of unpaid orders are refused', async t => {
+  const { order, tickets } = fakeOrder(t);
+
+  await assert.rejects(refundService.refund(order, event, { amount: 2000, reference: 'JU-1' }), { statusCode: 400 });
+  await assert.rejects(refundService.refund(order, event, { ticketIds: ['TIX-1'] }), { statusCode: 400 });
+  await assert.rejects(refundService.refund(order, event, { ticketIds: ['TIX-9'], reference: 'JU-1' }), { statusCode: 400 });
+
+  tickets[2].checkedInAt = new Date();
+  await assert.rejects(refundService.refund(order, event, { ticketIds: ['TIX-3'], reference: 'JU-1' }), { statusCode: 400 });
+
+  order.paymentStatus = 'pending';
+  await assert.rejects(refundService.refund(order, event, { reference: 'JU-1' }), { statusCode: 409 });
+  assert.equal(order.refunds.length, 0);
+});
+
+test('a refund made against an outdated balance is refused', async t => {
+  const { order } = fakeOrder(t);
+  const stale = { _id: order._id, refundedAmount: 0 };
+
+  await refundService.refund(order, event, { ticketIds: ['TIX-1'], reference: 'JU-1' });
+  await assert.rejects(refundService.record(stale, { amount: 465 }), { statusCode: 409 });
+  assert.equal(order.refundedAmount, 465);
+});
+
+test('card refunds are paid back through Stripe and taken off the order if Stripe refuses', async t => {
+  const { order, tickets } = fakeOrder(t, { paymentMethod: 'card', paymentIntentId: 'pi_123' });
+
+  t.mock.method(cardProvider, 'refund', async () => 're_123');
+  const { refund } = await refundService.refund(order, event, { ticketIds: ['TIX-1'] });
+  assert.equal(refund.method, 'card');
+  assert.equal(refund.reference, 're_123');
+
+  cardProvider.refund.mock.mockImplementation(async () => { throw new Error('charge_already_refunded'); });
+  await assert.rejects(refundService.refund(order, event, { ticketIds: ['TIX-2'] }), { statusCode: 502 });
+  assert.equal(order.refunds.length, 1);
+  assert.equal(order.refundedAmount, 465);
+  assert.equal(tickets[1].status, 'active');
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// stripe-mock accepts any test key. Without STRIPE_API_HOST nothing here
+// talks to Stripe.
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_123';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_secret';
+
+const Order = require('../models/Order');
+const Event = require('../models/Event');
+const stripeService = require('../services/stripe');
+const refundService = require('../services/refunds');
+const cardProvider = require('../services/payments/card');
+const stripeWebhookService = require('../services/stripeWebhooks');
+
+const event = { _id: new mongoose.Types.ObjectId(), name: 'Launch party' };
+
+// A card order for Rs 1500 and the handlers' effects on it, with the
+// provider and refund calls recorded instead of run
+function fakeOrder(t, fields = {}) {
+  const order = new Order({
+    orderNumber: 'TCK123456',
+    eventId: event._id,
+    paymentMethod: 'card',
+    paymentIntentId: 'pi_123',
+    paymentStatus: 'pending',
+    totalAmount: 1500,
+    customerInfo: { email: 'ada@example.com' },
+    ...fields
+  });
+  const calls = [];
+
+  t.mock.method(Order, 'findOne', async filter => (filter.paymentIntentId === order.paymentIntentId ? order : null));
+  t.mock.method(Event, 'findById', async () => event);
+  t.mock.method(cardProvider, 'confirm', async (_order, options) => calls.push(['confirm', options.reason]));
+  t.mock.method(cardProvider, 'reject', async (_order, options) => calls.push(['reject', options.reason]));
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+
+  const recordRefund = (kind, updates) => async (current, _event, details) => {
+    calls.push([kind, details.amount, details.reference]);
+    current.refunds.push({ amount: details.amount, method: details.method, reference: details.reference });
+    current.refundedAmount = (current.refundedAmount || 0) + details.amount;
+    Object.assign(current, updates);
+    return { order: current };
+  };
+  t.mock.method(refundService, 'refund', recordRefund('refund', { paymentStatus: 'refunded' }));
+  t.mock.method(refundService, 'recordPayout', recordRefund('recordPayout', {}));
+
+  return { order, calls };
+}
+
+function intentEvent(type, fields = {}) {
+  return {
+    id: 'evt_123',
+    type,
+    data: { object: { id: 'pi_123', object: 'payment_intent', amount_received: 150000, currency: 'mur', ...fields } }
+  };
+}
+
+function refundedEvent(refunds, t) {
+  t.mock.method(stripeService, 'listRefunds', async () => refunds);
+  return { id: 'evt_456', type: 'charge.refunded', data: { object: { id: 'ch_123', payment_intent: 'pi_123' } } };
+}
+
+test('a successful payment for the full amount completes the order', async t => {
+  const { order, calls } = fakeOrder(t);
+
+  assert.deepEqual(await stripeWebhookService.handle(intentEvent('payment_intent.succeeded')), { handled: true, orderId: order._id });
+  assert.deepEqual(calls, [['confirm', 'Card payment succeeded']]);
+});
+
+test('a payment for the wrong amount or currency is left for a person to check', async t => {
+  const { order, calls } = fakeOrder(t);
+
+  const short = await stripeWebhookService.handle(intentEvent('payment_intent.succeeded', { amount_received: 100000 }));
+  const euros = await stripeWebhookService.handle(intentEvent('payment_intent.succeeded', { currency: 'eur' }));
+
+  assert.deepEqual(short, { handled: false, orderId: order._id });
+  assert.deepEqual(euros, { handled: false, orderId: order._id });
+  assert.deepEqual(calls, []);
+});
+
+test('a redelivered success for a completed order changes nothing', async t => {
+  const { calls } = fakeOrder(t, { paymentStatus: 'completed' });
+
+  assert.equal((await stripeWebhookService.handle(intentEvent('payment_intent.succeeded'))).handled, true);
+  assert.deepEqual(calls, []);
+});
+
+test('a declined card keeps the order pending so the buyer can try another', async t => {
+  const { order, calls } = fakeOrder(t);
+
+  const result = await stripeWebhookService.handle(intentEvent('payment_intent.payment_failed', {
+    last_payment_error: { message: 'Your card was declined.' }
+  }));
+
+  assert.equal(result.handled, true);
+  assert.deepEqual(calls, []);
+  assert.equal(order.paymentStatus, 'pending');
+});
+
+test('a canceled payment fails a pending order only', async t => {
+  const { order, calls } = fakeOrder(t);
+
+  await stripeWebhookService.handle(intentEvent('payment_intent.canceled'));
+  assert.deepEqual(calls, [['reject', 'Card payment canceled']]);
+
+  order.paymentStatus = 'completed';
+  await stripeWebhookService.handle(intentEvent('payment_intent.canceled'));
+  assert.equal(calls.length, 1);
+});
+
+test('events for unknown orders or of other types are not handled', async t => {
+  fakeOrder(t);
+
+  assert.deepEqual(await stripeWebhookService.handle(intentEvent('payment_intent.succeeded', { id: 'pi_other' })), { handled: false });
+  assert.deepEqual(await stripeWebhookService.handle({ type: 'customer.created', data: { object: {} } }), { handled: false });
+});
+
+test('refunds made in the Stripe dashboard are recorded once; the app\'s own are skipped', async t => {
+  const { order, calls } = fakeOrder(t, { paymentStatus: 'completed' });
+  const stripeEvent = refundedEvent([
+    { id: 're_app', amount: 20000, status: 'succeeded', metadata: { orderId: order._id.toString() } },
+    { id: 're_dashboard', amount: 50000, status: 'succeeded', metadata: {} },
+    { id: 're_failed', amount: 50000, status: 'failed', metadata: {} }
+  ], t);
+
+  await stripeWebhookService.handle(stripeEvent);
+  await stripeWebhookService.handle(stripeEvent);
+
+  assert.deepEqual(calls, [['recordPayout', 500, 're_dashboard']]);
+  assert.equal(order.paymentStatus, 'completed');
+});
+
+test('a dashboard refund of the whole balance refunds the order', async t => {
+  const { order, calls } = fakeOrder(t, { paymentStatus: 'completed' });
+
+  await stripeWebhookService.handle(refundedEvent([{ id: 're_all', amount: 150000, status: 'succeeded', metadata: {} }], t));
+
+  assert.deepEqual(calls, [['refund', 1500, 're_all']]);
+  assert.equal(order.paymentStatus, 'refunded');
+});
+
+test('webhook payloads must carry a valid Stripe signature', () => {
+  const payload = JSON.stringify(intentEvent('payment_intent.succeeded'));
+  const signature = stripeService.client().webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET });
+
+  assert.equal(stripeService.constructEvent(Buffer.from(payload), signature).type, 'payment_intent.succeeded');
+  assert.throws(() => stripeService.constructEvent(Buffer.from(payload.replace('150000', '1')), signature), { statusCode: 400 });
+  assert.throws(() => stripeService.constructEvent(Buffer.from(payload), undefined), { statusCode: 400 });
+});
+
+// Run against stripe-mock (see README) by setting STRIPE_API_HOST,
+// STRIPE_API_PORT and STRIPE_API_PROTOCOL
+test('payment intents and refunds can be created through the Stripe API', { skip: !process.env.STRIPE_API_HOST }, async () => {
+  const order = new Order({ orderNumber: 'TCK123456', totalAmount: 1500, paymentIntentId: 'pi_123', customerInfo: { email: 'ada@example.com' } });
+
+  const intent = await stripeService.createPaymentIntent(order, event);
+  assert.equal(intent.object, 'payment_intent');
+  assert.ok(intent.client_secret);
+
+  const refund = await stripeService.createRefund(order, 500, { refundId: new mongoose.Types.ObjectId(), reason: 'Test' });
+  assert.equal(refund.object, 'refund');
+
+  assert.ok(Array.isArray(await stripeService.listRefunds('pi_123')));
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Event = require('../models/Event');
+const ticketSalesService = require('../services/ticketSales');
+const pricingService = require('../services/pricing');
+
+const now = new Date('2024-06-01T12:00:00Z');
+const past = new Date('2024-05-01T00:00:00Z');
+const future = new Date('2024-07-01T00:00:00Z');
+
+function ticketType(fields) {
+  return { name: 'General', price: 500, quantity: 100, sold: 0, reserved: 0, ...fields };
+}
+
+test('an order running past an early-bird tier is split across prices', () => {
+  const type = ticketType({
+    sold: 8,
+    priceTiers: [{ name: 'Early bird', price: 300, quantity: 10 }]
+  });
+
+  assert.deepEqual(ticketSalesService.priceBreakdown(type, 5, now), [
+    { price: 300, quantity: 2 },
+    { price: 500, quantity: 3 }
+  ]);
+});
+
+test('stacked tiers each sell only what they have left, counting held tickets', () => {
+  const type = ticketType({
+    sold: 5,
+    reserved: 3,
+    priceTiers: [
+      { name: 'Super early', price: 200, quantity: 10 },
+      { name: 'Early', price: 300, quantity: 5 }
+    ]
+  });
+
+  assert.deepEqual(ticketSalesService.tierLimits(type), [10, 15]);
+  assert.deepEqual(ticketSalesService.priceBreakdown(type, 10, now), [
+    { price: 200, quantity: 2 },
+    { price: 300, quantity: 5 },
+    { price: 500, quantity: 3 }
+  ]);
+});
+
+test('ended tiers are skipped and an uncapped tier covers the rest', () => {
+  const type = ticketType({
+    priceTiers: [
+      { name: 'Launch', price: 100, quantity: 50, endsAt: past },
+      { name: 'Early', price: 300, endsAt: future }
+    ]
+  });
+
+  assert.deepEqual(ticketSalesService.tierLimits(type), [50, Infinity]);
+  assert.deepEqual(ticketSalesService.priceBreakdown(type, 60, now), [{ price: 300, quantity: 60 }]);
+  assert.equal(ticketSalesService.currentPrice(type, now), 300);
+});
+
+test('adjacent tiers at the same price are merged into one line', () => {
+  const type = ticketType({
+    priceTiers: [
+      { name: 'Friends', price: 300, quantity: 2 },
+      { name: 'Early', price: 300, quantity: 2 }
+    ]
+  });
+
+  assert.deepEqual(ticketSalesService.priceBreakdown(type, 3, now), [{ price: 300, quantity: 3 }]);
+});
+
+test('quotes carry a line per price when an order crosses a tier', () => {
+  const event = new Event({
+    name: 'Launch party',
+    ticketTypes: [ticketType({ sold: 9, priceTiers: [{ name: 'Early bird', price: 300, quantity: 10 }] })]
+  });
+
+  const quote = pricingService.quote(event, [{ ticketTypeId: event.ticketTypes[0]._id.toString(), quantity: 3 }]);
+
+  assert.deepEqual(quote.tickets.map(line => [line.price, line.quantity]), [[300, 1], [500, 2]]);
+  assert.equal(quote.subtotal, 1300);
+});
+
+test('buyers see what is left at the tier price only when the tier is capped', () => {
+  const capped = ticketSalesService.publicTicketType(ticketType({
+    sold: 4,
+    reserved: 1,
+    priceTiers: [{ name: 'Early bird', price: 300, quantity: 10 }]
+  }), now);
+  assert.equal(capped.price, 300);
+  assert.equal(capped.regularPrice, 500);
+  assert.equal(capped.tier.remaining, 5);
+  assert.equal(capped.available, 95);
+
+  const uncapped = ticketSalesService.publicTicketType(ticketType({
+    priceTiers: [{ name: 'Early bird', price: 300, endsAt: future }]
+  }), now);
+  assert.equal(uncapped.price, 300);
+  assert.equal('remaining' in uncapped.tier, false);
+});
+
+test('types outside their sales window cannot be bought', () => {
+  assert.equal(ticketSalesService.salesState(ticketType({ hiddenUntil: future }), now), 'hidden');
+  assert.equal(ticketSalesService.salesState(ticketType({ salesStart: future }), now), 'scheduled');
+  assert.equal(ticketSalesService.salesState(ticketType({ salesEnd: past }), now), 'ended');
+  assert.equal(ticketSalesService.salesState(ticketType({ sold: 100 }), now), 'sold_out');
+  assert.equal(ticketSalesService.salesState(ticketType({ salesStart: past, salesEnd: future }), now), 'on_sale');
+
+  assert.throws(() => ticketSalesService.assertPurchasable(ticketType({ salesStart: future }), now), { statusCode: 400 });
+  assert.throws(() => ticketSalesService.assertPurchasable(ticketType({ salesEnd: past }), now), { statusCode: 400 });
+  assert.doesNotThrow(() => ticketSalesService.assertPurchasable(ticketType({ sold: 100 }), now));
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const ticketSigningService = require('../services/ticketSigning');
+
+const ENV_KEYS = ['TICKET_SIGNING_KEYS', 'TICKET_SIGNING_KEY_ID', 'TICKET_VERIFICATION_KEYS'];
+const ticket = { ticketId: 'TIX-0A1B2C3D', eventId: '665f1c2e8b3a4d0012345678' };
+
+function seed() {
+  return crypto.randomBytes(32).toString('base64');
+}
+
+// Point the service at a new key configuration; keys are cached once loaded
+function useKeys(env) {
+  for (const name of ENV_KEYS) {
+    if (env[name] === undefined) delete process.env[name];
+    else process.env[name] = env[name];
+  }
+  ticketSigningService.keys = null;
+  ticketSigningService.activeKeyId = null;
+}
+
+test.after(() => useKeys({}));
+
+test('a signed payload verifies back to its ticket and event', () => {
+  useKeys({ TICKET_SIGNING_KEYS: `k1:${seed()}`, TICKET_SIGNING_KEY_ID: 'k1' });
+
+  const code = ticketSigningService.signTicket(ticket);
+  assert.ok(ticketSigningService.isSignedPayload(code));
+  assert.match(code, /^TKT1\.k1\./);
+  assert.deepEqual(ticketSigningService.verifyPayload(code), { ...ticket, keyId: 'k1' });
+});
+
+test('a tampered payload or signature is rejected', () => {
+  useKeys({ TICKET_SIGNING_KEYS: `k1:${seed()}`, TICKET_SIGNING_KEY_ID: 'k1' });
+
+  const [prefix, keyId, , signature] = ticketSigningService.signTicket(ticket).split('.');
+  const forged = Buffer.from(JSON.stringify({ t: 'TIX-FFFFFFFF', e: ticket.eventId })).toString('base64url');
+
+  assert.equal(ticketSigningService.verifyPayload([prefix, keyId, forged, signature].join('.')), null);
+  assert.equal(ticketSigningService.verifyPayload(`${ticketSigningService.signTicket(ticket)}x`), null);
+  assert.equal(ticketSigningService.verifyPayload('TIX-0A1B2C3D'), null);
+});
+
+test('a payload signed with a key that is not configured is rejected', () => {
+  useKeys({ TICKET_SIGNING_KEYS: `k1:${seed()}`, TICKET_SIGNING_KEY_ID: 'k1' });
+  const code = ticketSigningService.signTicket(ticket);
+
+  useKeys({ TICKET_SIGNING_KEYS: `k1:${seed()}`, TICKET_SIGNING_KEY_ID: 'k1' });
+  assert.equal(ticketSigningService.verifyPayload(code), null);
+});
+
+test('after a rotation, old tickets still verify and new ones use the new key', () => {
+  const oldSeed = seed();
+  useKeys({ TICKET_SIGNING_KEYS: `k1:${oldSeed}`, TICKET_SIGNING_KEY_ID: 'k1' });
+  const oldCode = ticketSigningService.signTicket(ticket);
+
+  useKeys({ TICKET_SIGNING_KEYS: `k1:${oldSeed},k2:${seed()}`, TICKET_SIGNING_KEY_ID: 'k2' });
+  const newCode = ticketSigningService.signTicket(ticket);
+
+  assert.match(newCode, /^TKT1\.k2\./);
+  assert.equal(ticketSigningService.verifyPayload(oldCode).keyId, 'k1');
+  assert.equal(ticketSigningService.verifyPayload(newCode).keyId, 'k2');
+
+  const publicKeys = ticketSigningService.getPublicKeys();
+  assert.deepEqual(publicKeys.map(key => [key.keyId, key.active]), [['k2', true], ['k1', false]]);
+});
+
+test('a retired key kept only as a public key still verifies its tickets', () => {
+  const oldSeed = seed();
+  useKeys({ TICKET_SIGNING_KEYS: `k1:${oldSeed}`, TICKET_SIGNING_KEY_ID: 'k1' });
+  const oldCode = ticketSigningService.signTicket(ticket);
+  const publicKey = ticketSigningService.loadKeys().get('k1').publicKey.export({ format: 'der', type: 'spki' }).toString('base64');
+
+  useKeys({ TICKET_SIGNING_KEYS: `k2:${seed()}`, TICKET_SIGNING_KEY_ID: 'k2', TICKET_VERIFICATION_KEYS: `k1:${publicKey}` });
+
+  assert.equal(ticketSigningService.verifyPayload(oldCode).ticketId, ticket.ticketId);
+});
+
+test('the active key must have its private key', () => {
+  useKeys({ TICKET_SIGNING_KEYS: `k1:${seed()}`, TICKET_SIGNING_KEY_ID: 'k2' });
+  assert.throws(() => ticketSigningService.loadKeys(), /has no private key/);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Event = require('../models/Event');
+const verificationPolicyService = require('../services/verificationPolicy');
+
+const defaults = verificationPolicyService.policyFor({});
+const order = { totalAmount: 1500 };
+
+function decide(changes, confidence, total = order.totalAmount) {
+  return verificationPolicyService.decide({ ...defaults, ...changes }, { totalAmount: total }, { confidence });
+}
+
+test('events saved before policies existed get the default policy', () => {
+  assert.deepEqual(defaults, {
+    version: 1,
+    autoApprove: true,
+    approveConfidence: 80,
+    delayedApproveConfidence: 50,
+    autoApprovalDelayMinutes: 5,
+    maxAutoApproveAmount: null
+  });
+  assert.equal(verificationPolicyService.policyFor({ verificationPolicy: { version: 3, autoApprove: false } }).autoApprove, false);
+});
+
+test('receipts that could not be read always go to a person first', () => {
+  assert.deepEqual(verificationPolicyService.decide(defaults, order, null), { action: 'review', reason: 'Receipt could not be read', priority: 'high' });
+  assert.equal(verificationPolicyService.decide(defaults, order, { error: 'OCR failed' }).priority, 'high');
+});
+
+test('confidence decides between approving now, after the delay and review', () => {
+  assert.equal(decide({}, 80).action, 'approve');
+  assert.equal(decide({}, 79).action, 'delayed_approve');
+  assert.equal(decide({}, 50).action, 'delayed_approve');
+
+  const low = decide({}, 49);
+  assert.equal(low.action, 'review');
+  assert.equal(low.priority, 'high');
+});
+
+test('without a delay, medium confidence receipts are approved straight away', () => {
+  assert.equal(decide({ autoApprovalDelayMinutes: 0 }, 60).action, 'approve');
+});
+
+test('turning auto-approval off or going over the amount limit means review', () => {
+  assert.deepEqual(decide({ autoApprove: false }, 100), { action: 'review', reason: 'Auto-approval is turned off for this event', priority: 'standard' });
+
+  assert.equal(decide({ maxAutoApproveAmount: 1000 }, 100).action, 'review');
+  assert.equal(decide({ maxAutoApproveAmount: 1000 }, 100, 1000).action, 'approve');
+  assert.equal(decide({ maxAutoApproveAmount: 0 }, 100, 0).action, 'approve');
+});
+
+test('the recorded decision carries the policy version', () => {
+  const policy = { ...defaults, version: 4 };
+  const decision = verificationPolicyService.decide(policy, order, { confidence: 90 });
+  const recorded = verificationPolicyService.record(policy, decision, 90);
+
+  assert.equal(recorded.action, 'approve');
+  assert.equal(recorded.confidence, 90);
+  assert.equal(recorded.policyVersion, 4);
+  assert.ok(recorded.decidedAt instanceof Date);
+});
+
+test('policy updates bump the version and refuse thresholds that contradict each other', async t => {
+  t.mock.method(Event, 'findByIdAndUpdate', async (id, update) => ({ _id: id, verificationPolicy: update.verificationPolicy }));
+  const event = { _id: 'event-1', verificationPolicy: { version: 2 } };
+
+  const updated = await verificationPolicyService.update(event, { approveConfidence: 90 });
+  assert.equal(updated.version, 3);
+  assert.equal(updated.approveConfidence, 90);
+
+  await assert.rejects(verificationPolicyService.update(event, { delayedApproveConfidence: 95 }), { statusCode: 400 });
+  await assert.rejects(verificationPolicyService.update(event, { approveAll: true }), { statusCode: 400 });
+  assert.equal(Event.findByIdAndUpdate.mock.callCount(), 1);
+});
@@ -0,0 +1,24 @@
+// CSV exports that organizers open in spreadsheet apps. Text that starts like
+// a formula (=, +, -, @, tab or carriage return) is prefixed with ' so a
+// buyer's name or a bank statement line can't run as one.
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// rows is an array of arrays, header first
+function toCsv(rows) {
+  return rows.map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+module.exports = {
+  csvCell,
+  toCsv
+};
@@ -0,0 +1,47 @@
+const { sendMail } = require('../mailer');
+
+const METHOD_LABELS = {
+  card: 'the card used for payment',
+  'mcb-juice': 'MCB Juice',
+  bank_transfer: 'bank transfer',
+  cash: 'cash',
+  other: 'the agreed refund method'
+};
+
+/**
+ * Tell the buyer a refund has been issued and which tickets no longer work
+ * @param {Object} order - The order document
+ * @param {Object} event - The event object
+ * @param {Object} refund - The entry from order.refunds
+ * @returns {Promise} Email sending promise
+ */
+async function sendRefundEmail(order, event, refund) {
+  const ticketList = refund.tickets.length > 0
+    ? `
+      <p>The following tickets have been cancelled and their QR codes will no longer be accepted at the door:</p>
+      <ul>
+        ${refund.tickets.map(ticket => `<li>${ticket.ticketId}</li>`).join('')}
+      </ul>
+    `
+    : '';
+
+  const html = `
+    <h2>Your refund for ${event.name}</h2>
+    <p>Hi ${order.customerInfo.firstName},</p>
+    <p>We've issued a ${refund.full ? 'full' : 'partial'} refund of <strong>Rs ${refund.amount.toFixed(2)}</strong>
+      for order <strong>#${order.orderNumber}</strong> via ${METHOD_LABELS[refund.method] || refund.method}.</p>
+    ${refund.reference ? `<p>Refund reference: <strong>${refund.reference}</strong></p>` : ''}
+    ${refund.reason ? `<p>Reason: ${refund.reason}</p>` : ''}
+    ${ticketList}
+    ${refund.full ? '' : '<p>Your other tickets for this order are still valid.</p>'}
+    <p>Depending on your bank, it may take a few days for the money to reach your account.</p>
+  `;
+
+  return sendMail({
+    to: order.customerInfo.email,
+    subject: `Refund issued for ${event.name} - Order #${order.orderNumber}`,
+    html,
+  });
+}
+
+module.exports = { sendRefundEmail };
@@ -121,7 +121,7 @@ function generateTicketEmailHTML(order, event) {
             <h4 style="margin: 0 0 8px 0; font-size: 16px; font-weight: 600; color: #92400e;">Important Information</h4>
             <ul style="margin: 0; padding-left: 20px; color: #92400e;">
               <li>Please bring a valid ID and this email confirmation to the event</li>
-              <li>Tickets are non-refundable and non-transferable</li>
+              <li>Tickets are non-refundable; transfers are subject to the organizer's transfer policy</li>
               <li>Arrive at least 30 minutes before the event starts</li>
               <li>Keep this email safe - it serves as your ticket</li>
             </ul>
@@ -0,0 +1,140 @@
+const { sendMail } = require('../mailer');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+function formatEventDate(event) {
+  return new Date(event.startDate).toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+}
+
+// Names and the message come from whoever started the transfer
+function escapeHtml(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function recipientName(transfer) {
+  const name = transfer.to.firstName ? `${transfer.to.firstName} ${transfer.to.lastName || ''}`.trim() : transfer.to.email;
+  return escapeHtml(name);
+}
+
+/**
+ * Ask the current holder to confirm a transfer they (or someone using their
+ * email address) started
+ * @param {Object} transfer - The TicketTransfer document
+ * @param {Object} ticket - The ticket being transferred
+ * @param {Object} event - The event object
+ * @param {string} holderToken - Token for the confirm and cancel links
+ * @returns {Promise} Email sending promise
+ */
+async function sendTransferConfirmationEmail(transfer, ticket, event, holderToken) {
+  const confirmUrl = `${FRONTEND_URL}/transfers/confirm/${holderToken}`;
+  const cancelUrl = `${FRONTEND_URL}/transfers/cancel/${holderToken}`;
+
+  const html = `
+    <h2>Confirm your ticket transfer</h2>
+    <p>Hi ${escapeHtml(transfer.from.firstName)},</p>
+    <p>We received a request to transfer your <strong>${ticket.ticketTypeName}</strong> ticket for
+      <strong>${event.name}</strong> (${formatEventDate(event)}) to ${recipientName(transfer)}.</p>
+    <p><a href="${confirmUrl}">Confirm the transfer</a></p>
+    <p>Once ${recipientName(transfer)} accepts, your current ticket and its QR code will stop working.</p>
+    <p>If you did not ask for this, <a href="${cancelUrl}">cancel the transfer</a> or simply ignore this email.</p>
+  `;
+
+  return sendMail({
+    to: transfer.from.email,
+    subject: `Confirm your ticket transfer for ${event.name}`,
+    html,
+  });
+}
+
+/**
+ * Offer the ticket to the recipient
+ * @param {Object} transfer - The TicketTransfer document
+ * @param {Object} ticket - The ticket being transferred
+ * @param {Object} event - The event object
+ * @param {string} recipientToken - Token for the accept link
+ * @returns {Promise} Email sending promise
+ */
+async function sendTransferOfferEmail(transfer, ticket, event, recipientToken) {
+  const acceptUrl = `${FRONTEND_URL}/transfers/accept/${recipientToken}`;
+
+  const html = `
+    <h2>${escapeHtml(transfer.from.firstName)} sent you a ticket</h2>
+    <p>Hi ${escapeHtml(transfer.to.firstName) || 'there'},</p>
+    <p>${escapeHtml(transfer.from.firstName)} ${escapeHtml(transfer.from.lastName)} wants to give you a <strong>${ticket.ticketTypeName}</strong>
+      ticket for <strong>${event.name}</strong> on ${formatEventDate(event)} at ${event.venueName || event.location}.</p>
+    ${transfer.message ? `<blockquote>${escapeHtml(transfer.message)}</blockquote>` : ''}
+    <p><a href="${acceptUrl}">Accept your ticket</a></p>
+    <p>This offer expires on ${new Date(transfer.expiresAt).toLocaleString('en-US')}.</p>
+  `;
+
+  return sendMail({
+    to: transfer.to.email,
+    subject: `You've been sent a ticket for ${event.name}`,
+    html,
+  });
+}
+
+/**
+ * Deliver the new ticket to the recipient and let the previous holder know
+ * their ticket is no longer valid
+ * @param {Object} transfer - The accepted TicketTransfer document
+ * @param {Object} reissued - Result of ticketGenerator.reissueTicket
+ * @param {Object} event - The event object
+ * @param {Object} wallet - Result of walletPass.emailExtras for the new ticket
+ * @returns {Promise} Resolves when both emails are sent
+ */
+async function sendTransferCompletedEmails(transfer, reissued, event, wallet) {
+  const { ticket } = reissued;
+
+  const recipientHtml = `
+    <h2>Your ticket is ready 🎉</h2>
+    <p>Hi ${escapeHtml(ticket.holder.firstName)},</p>
+    <p>Your <strong>${ticket.ticketTypeName}</strong> ticket for <strong>${event.name}</strong> is attached.
+      It is issued in your name with ticket ID ${ticket.ticketId}.</p>
+    <p><strong>Date:</strong> ${formatEventDate(event)}<br>
+      <strong>Venue:</strong> ${event.venueName || event.location}</p>
+    ${wallet.googleLinks.map(link => `<p><a href="${link.url}">Add to Google Wallet</a></p>`).join('')}
+    <p>Present the QR code at the entrance. Each ticket admits one person.</p>
+  `;
+
+  const holderHtml = `
+    <h2>Ticket transferred</h2>
+    <p>Hi ${escapeHtml(transfer.from.firstName)},</p>
+    <p>Your <strong>${ticket.ticketTypeName}</strong> ticket for <strong>${event.name}</strong> has been transferred to
+      ${escapeHtml(ticket.holder.firstName)} ${escapeHtml(ticket.holder.lastName)}. Your previous ticket and its QR code are no longer valid.</p>
+    <p>If you did not authorize this, contact us at <a href="mailto:support@ticketeer.com">support@ticketeer.com</a>.</p>
+  `;
+
+  await Promise.all([
+    sendMail({
+      to: ticket.holder.email,
+      subject: `Your ticket for ${event.name}`,
+      html: recipientHtml,
+      attachments: [
+        { filename: reissued.filename, content: reissued.content },
+        ...wallet.attachments
+      ],
+    }),
+    sendMail({
+      to: transfer.from.email,
+      subject: `Your ticket for ${event.name} has been transferred`,
+      html: holderHtml,
+    }),
+  ]);
+}
+
+module.exports = {
+  sendTransferConfirmationEmail,
+  sendTransferOfferEmail,
+  sendTransferCompletedEmails
+};
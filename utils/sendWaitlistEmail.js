@@ -0,0 +1,54 @@
+const { sendMail } = require('../mailer');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+/**
+ * Confirm someone's place on a waitlist
+ * @param {Object} entry - The WaitlistEntry document
+ * @param {Object} event - The event object
+ * @param {Object} ticketType - The sold-out ticket type
+ * @returns {Promise} Email sending promise
+ */
+async function sendWaitlistJoinedEmail(entry, event, ticketType) {
+  const html = `
+    <h2>You're on the waitlist</h2>
+    <p>Hi ${entry.firstName || 'there'},</p>
+    <p>You're on the waitlist for ${entry.quantity} <strong>${ticketType.name}</strong> ticket(s) for
+      <strong>${event.name}</strong>. If tickets become available we'll email you a link to buy them.</p>
+  `;
+
+  return sendMail({
+    to: entry.email,
+    subject: `You're on the waitlist for ${event.name}`,
+    html,
+  });
+}
+
+/**
+ * Offer held tickets to the next person in line
+ * @param {Object} entry - The offered WaitlistEntry document
+ * @param {Object} event - The event object
+ * @param {Object} ticketType - The ticket type being offered
+ * @param {string} token - Offer token for the purchase link
+ * @returns {Promise} Email sending promise
+ */
+async function sendWaitlistOfferEmail(entry, event, ticketType, token) {
+  const offerUrl = `${FRONTEND_URL}/waitlist/offer/${token}`;
+
+  const html = `
+    <h2>Tickets are available for ${event.name}</h2>
+    <p>Hi ${entry.firstName || 'there'},</p>
+    <p>Good news: ${entry.quantity} <strong>${ticketType.name}</strong> ticket(s) for <strong>${event.name}</strong>
+      are being held for you.</p>
+    <p><a href="${offerUrl}">Buy your tickets</a></p>
+    <p>This offer expires on ${new Date(entry.offerExpiresAt).toLocaleString('en-US')}. After that the tickets go to the next person in line.</p>
+  `;
+
+  return sendMail({
+    to: entry.email,
+    subject: `Your tickets for ${event.name} are waiting`,
+    html,
+  });
+}
+
+module.exports = { sendWaitlistJoinedEmail, sendWaitlistOfferEmail };